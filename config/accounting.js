@@ -0,0 +1,21 @@
+// Default general ledger accounts used by accounting exports. Admins can
+// override any of them, and map plans and payment methods to their own
+// accounts, through /api/accounting/accounts.
+const DEFAULT_ACCOUNTS = {
+  receivable: process.env.ACCOUNTS_RECEIVABLE_ACCOUNT || "Accounts Receivable",
+  revenue: process.env.REVENUE_ACCOUNT || "Internet Service Revenue",
+  tax: process.env.SALES_TAX_ACCOUNT || "VAT Payable",
+  // Revenue account per plan name; unlisted plans use `revenue`
+  plans: {},
+  // Deposit account per payment method
+  paymentMethods: {
+    Cash: "Cash on Hand",
+    "Bank Transfer": "Cash in Bank",
+    "Online Payment": "Cash in Bank",
+    Other: "Undeposited Funds",
+  },
+};
+
+module.exports = {
+  DEFAULT_ACCOUNTS,
+};
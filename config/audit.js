@@ -0,0 +1,8 @@
+// Audit entries that cannot be written to the database are appended to this
+// file as JSON lines, so they can be imported once the database is back
+const AUDIT_FALLBACK_FILE =
+  process.env.AUDIT_FALLBACK_FILE || "logs/audit-fallback.jsonl";
+
+module.exports = {
+  AUDIT_FALLBACK_FILE,
+};
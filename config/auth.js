@@ -0,0 +1,50 @@
+const JWT_SECRET =
+  process.env.JWT_SECRET || "your-secret-key-change-in-production";
+
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Accounts lock after this many failed logins in a row. Each lockout lasts
+// twice as long as the previous one, up to the maximum.
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOCKOUT_BASE_MINUTES) || 5;
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// Per-IP request limits on the login and register endpoints
+const AUTH_RATE_LIMIT_WINDOW_MS =
+  Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const LOGIN_RATE_LIMIT = Number(process.env.LOGIN_RATE_LIMIT) || 20;
+const REGISTER_RATE_LIMIT = Number(process.env.REGISTER_RATE_LIMIT) || 10;
+
+// Proxies in front of the app, for the client IP used by rate limits and
+// login records: a hop count, "true" to trust every proxy, or a list of
+// addresses or subnets. Unset when clients connect directly.
+function parseTrustProxy(value) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
+// Two-factor authentication
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "ISP Billing";
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+const BACKUP_CODE_COUNT = Number(process.env.BACKUP_CODE_COUNT) || 10;
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  MAX_FAILED_LOGINS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+  AUTH_RATE_LIMIT_WINDOW_MS,
+  LOGIN_RATE_LIMIT,
+  REGISTER_RATE_LIMIT,
+  TRUST_PROXY,
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL,
+  BACKUP_CODE_COUNT,
+};
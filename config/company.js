@@ -0,0 +1,16 @@
+// Company details printed on invoices and other customer documents
+const COMPANY_NAME = process.env.COMPANY_NAME || "Internet Service Provider";
+const COMPANY_ADDRESS = process.env.COMPANY_ADDRESS || "";
+const COMPANY_CONTACT = process.env.COMPANY_CONTACT || "";
+const CURRENCY = process.env.CURRENCY || "PHP";
+const PAYMENT_INSTRUCTIONS =
+  process.env.PAYMENT_INSTRUCTIONS ||
+  "Please pay on or before the due date at our office or by bank transfer, quoting your invoice number as the reference.";
+
+module.exports = {
+  COMPANY_NAME,
+  COMPANY_ADDRESS,
+  COMPANY_CONTACT,
+  CURRENCY,
+  PAYMENT_INSTRUCTIONS,
+};
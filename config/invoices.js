@@ -0,0 +1,25 @@
+// Invoice numbering. The format supports {PREFIX}, {YYYY}, {YY}, {MM} and
+// {SEQ}; the sequence restarts every month, so the format must include the
+// year and month to stay unique.
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || "INV";
+const INVOICE_NUMBER_FORMAT =
+  process.env.INVOICE_NUMBER_FORMAT || "{PREFIX}-{YYYY}{MM}-{SEQ}";
+const INVOICE_NUMBER_PADDING = Number(process.env.INVOICE_NUMBER_PADDING) || 4;
+
+// Invoices created per transaction during monthly billing runs
+const BILLING_RUN_BATCH_SIZE =
+  Number(process.env.BILLING_RUN_BATCH_SIZE) || 100;
+
+// VAT percentage, and whether plan and line item prices already include it
+const VAT_RATE =
+  process.env.VAT_RATE === undefined ? 12 : Number(process.env.VAT_RATE);
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX !== "false";
+
+module.exports = {
+  INVOICE_NUMBER_PREFIX,
+  INVOICE_NUMBER_FORMAT,
+  INVOICE_NUMBER_PADDING,
+  BILLING_RUN_BATCH_SIZE,
+  VAT_RATE,
+  PRICES_INCLUDE_TAX,
+};
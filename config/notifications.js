@@ -0,0 +1,35 @@
+// Outbound email. NOTIFICATION_TRANSPORT is "console" (log recipients and
+// subjects), "file" (write .eml files to NOTIFICATION_OUTBOX_DIR) or "smtp".
+const NOTIFICATION_TRANSPORT = process.env.NOTIFICATION_TRANSPORT || "console";
+const NOTIFICATION_FROM = process.env.NOTIFICATION_FROM || "billing@localhost";
+const NOTIFICATION_OUTBOX_DIR = process.env.NOTIFICATION_OUTBOX_DIR || "outbox";
+
+const SMTP_HOST = process.env.SMTP_HOST || "localhost";
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+
+// Payment reminders go out this many days before the due date
+const REMINDER_DAYS_BEFORE_DUE =
+  Number(process.env.REMINDER_DAYS_BEFORE_DUE) || 3;
+// Overdue notices only go out for invoices that went overdue within this
+// many days, so invoices that were already overdue long ago are not emailed
+const OVERDUE_NOTICE_MAX_AGE_DAYS =
+  Number(process.env.OVERDUE_NOTICE_MAX_AGE_DAYS) || 7;
+const REMINDER_CHECK_INTERVAL_MS =
+  Number(process.env.REMINDER_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+module.exports = {
+  NOTIFICATION_TRANSPORT,
+  NOTIFICATION_FROM,
+  NOTIFICATION_OUTBOX_DIR,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  REMINDER_DAYS_BEFORE_DUE,
+  OVERDUE_NOTICE_MAX_AGE_DAYS,
+  REMINDER_CHECK_INTERVAL_MS,
+};
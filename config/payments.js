@@ -0,0 +1,47 @@
+// Online payment gateway. PAYMENT_GATEWAY is "none" (the default: no online
+// payments, and the checkout routes are not mounted), "fake" (a local gateway
+// for testing the checkout flow offline, refused when NODE_ENV is
+// "production") or "paymongo" (cards, GCash and Maya through PayMongo). The
+// server refuses to start when the chosen gateway is unknown or misconfigured.
+const PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY || "none";
+const PAYMENT_GATEWAY_ENABLED = PAYMENT_GATEWAY !== "none";
+const PAYMENT_GATEWAY_SECRET_KEY = process.env.PAYMENT_GATEWAY_SECRET_KEY || "";
+const PAYMENT_GATEWAY_API_URL =
+  process.env.PAYMENT_GATEWAY_API_URL || "https://api.paymongo.com/v1";
+
+// Secret the gateway signs webhooks with; required for real gateways. The
+// fake gateway makes up its own when none is set.
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || "";
+
+// The fake gateway lets anyone "pay" any invoice, so it only runs outside
+// production
+const FAKE_GATEWAY_ENABLED =
+  PAYMENT_GATEWAY === "fake" && process.env.NODE_ENV !== "production";
+
+// Webhooks signed longer ago than this are rejected, so captured requests
+// cannot be replayed later
+const PAYMENT_WEBHOOK_TOLERANCE_SECONDS =
+  Number(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || 5 * 60;
+
+// Pages customers return to after paying or cancelling at the gateway
+const CHECKOUT_SUCCESS_URL =
+  process.env.CHECKOUT_SUCCESS_URL || "http://localhost:5174/payment/success";
+const CHECKOUT_CANCEL_URL =
+  process.env.CHECKOUT_CANCEL_URL || "http://localhost:5174/payment/cancelled";
+
+// How long a checkout session stays open for payment
+const CHECKOUT_SESSION_TTL_MINUTES =
+  Number(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 60;
+
+module.exports = {
+  PAYMENT_GATEWAY,
+  PAYMENT_GATEWAY_ENABLED,
+  PAYMENT_GATEWAY_SECRET_KEY,
+  PAYMENT_GATEWAY_API_URL,
+  PAYMENT_WEBHOOK_SECRET,
+  FAKE_GATEWAY_ENABLED,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+  CHECKOUT_SUCCESS_URL,
+  CHECKOUT_CANCEL_URL,
+  CHECKOUT_SESSION_TTL_MINUTES,
+};
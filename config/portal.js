@@ -0,0 +1,33 @@
+const { JWT_SECRET } = require("./auth");
+
+// Customer portal sessions are signed with their own secret, so portal and
+// staff tokens can never be used in place of each other
+const PORTAL_JWT_SECRET =
+  process.env.PORTAL_JWT_SECRET || `${JWT_SECRET}:portal`;
+const PORTAL_TOKEN_TTL = process.env.PORTAL_TOKEN_TTL || "12h";
+
+// One-time login codes, emailed to the customer
+const PORTAL_OTP_LENGTH = Number(process.env.PORTAL_OTP_LENGTH) || 6;
+const PORTAL_OTP_TTL_MINUTES = Number(process.env.PORTAL_OTP_TTL_MINUTES) || 10;
+const PORTAL_OTP_MAX_ATTEMPTS =
+  Number(process.env.PORTAL_OTP_MAX_ATTEMPTS) || 5;
+
+// Minimum length of portal passwords
+const PORTAL_PASSWORD_MIN_LENGTH =
+  Number(process.env.PORTAL_PASSWORD_MIN_LENGTH) || 8;
+
+// Per-IP request limits on portal login endpoints
+const PORTAL_LOGIN_RATE_LIMIT =
+  Number(process.env.PORTAL_LOGIN_RATE_LIMIT) || 20;
+const PORTAL_OTP_RATE_LIMIT = Number(process.env.PORTAL_OTP_RATE_LIMIT) || 5;
+
+module.exports = {
+  PORTAL_JWT_SECRET,
+  PORTAL_TOKEN_TTL,
+  PORTAL_OTP_LENGTH,
+  PORTAL_OTP_TTL_MINUTES,
+  PORTAL_OTP_MAX_ATTEMPTS,
+  PORTAL_PASSWORD_MIN_LENGTH,
+  PORTAL_LOGIN_RATE_LIMIT,
+  PORTAL_OTP_RATE_LIMIT,
+};
@@ -0,0 +1,30 @@
+// Network provisioning. PROVISIONING_ADAPTER is "mock" (keep accounts in
+// memory) or "radius-file" (write a FreeRADIUS users entry per customer to
+// PROVISIONING_RADIUS_DIR, to be $INCLUDEd from the users file). It defaults
+// to "mock" in development; in production the server refuses to start without
+// one, so a production setup never silently pushes accounts nowhere.
+const PROVISIONING_ADAPTER =
+  process.env.PROVISIONING_ADAPTER ||
+  (process.env.NODE_ENV === "production" ? undefined : "mock");
+const PROVISIONING_RADIUS_DIR =
+  process.env.PROVISIONING_RADIUS_DIR || "radius/users.d";
+
+// Failed pushes are retried with exponential backoff starting at
+// PROVISIONING_RETRY_DELAY_MS, and given up after PROVISIONING_MAX_ATTEMPTS
+const PROVISIONING_RETRY_DELAY_MS =
+  Number(process.env.PROVISIONING_RETRY_DELAY_MS) || 60 * 1000;
+const PROVISIONING_MAX_RETRY_DELAY_MS =
+  Number(process.env.PROVISIONING_MAX_RETRY_DELAY_MS) || 60 * 60 * 1000;
+const PROVISIONING_MAX_ATTEMPTS =
+  Number(process.env.PROVISIONING_MAX_ATTEMPTS) || 10;
+const PROVISIONING_QUEUE_INTERVAL_MS =
+  Number(process.env.PROVISIONING_QUEUE_INTERVAL_MS) || 60 * 1000;
+
+module.exports = {
+  PROVISIONING_ADAPTER,
+  PROVISIONING_RADIUS_DIR,
+  PROVISIONING_RETRY_DELAY_MS,
+  PROVISIONING_MAX_RETRY_DELAY_MS,
+  PROVISIONING_MAX_ATTEMPTS,
+  PROVISIONING_QUEUE_INTERVAL_MS,
+};
@@ -0,0 +1,80 @@
+// Staff roles and the permissions each one grants
+const ROLES = ["admin", "billing_clerk", "field_technician", "auditor"];
+
+// Role of accounts that were never given one: read-only access
+const DEFAULT_ROLE = "auditor";
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    "customers:read",
+    "customers:write",
+    "customers:delete",
+    "invoices:read",
+    "invoices:write",
+    "invoices:delete",
+    "payments:write",
+    "plans:read",
+    "plans:write",
+    "discounts:read",
+    "discounts:write",
+    "notifications:read",
+    "notifications:write",
+    "users:manage",
+    "audit:read",
+    "reports:read",
+    "accounting:read",
+    "accounting:write",
+    "provisioning:read",
+    "provisioning:write",
+    "tickets:read",
+    "tickets:write",
+    "tickets:work",
+  ],
+  billing_clerk: [
+    "customers:read",
+    "customers:write",
+    "invoices:read",
+    "invoices:write",
+    "payments:write",
+    "plans:read",
+    "discounts:read",
+    "notifications:read",
+    "reports:read",
+    "provisioning:read",
+    "tickets:read",
+    "tickets:write",
+  ],
+  field_technician: [
+    "customers:read",
+    "plans:read",
+    "provisioning:read",
+    "provisioning:write",
+    "tickets:read",
+    "tickets:write",
+    "tickets:work",
+  ],
+  auditor: [
+    "customers:read",
+    "invoices:read",
+    "plans:read",
+    "discounts:read",
+    "notifications:read",
+    "audit:read",
+    "reports:read",
+    "accounting:read",
+    "provisioning:read",
+    "tickets:read",
+  ],
+};
+
+// Whether a role grants a permission
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
@@ -0,0 +1,21 @@
+// Customers are suspended once an invoice has been overdue for more than
+// SUSPENSION_GRACE_DAYS days
+const SUSPENSION_GRACE_DAYS =
+  process.env.SUSPENSION_GRACE_DAYS === undefined
+    ? 15
+    : Number(process.env.SUSPENSION_GRACE_DAYS);
+const SUSPENSION_CHECK_INTERVAL_MS =
+  Number(process.env.SUSPENSION_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Fee invoiced when a customer suspended for non-payment is reconnected; 0
+// charges nothing. The fee invoice is due RECONNECTION_FEE_DUE_DAYS later.
+const RECONNECTION_FEE = Number(process.env.RECONNECTION_FEE) || 0;
+const RECONNECTION_FEE_DUE_DAYS =
+  Number(process.env.RECONNECTION_FEE_DUE_DAYS) || 7;
+
+module.exports = {
+  SUSPENSION_GRACE_DAYS,
+  SUSPENSION_CHECK_INTERVAL_MS,
+  RECONNECTION_FEE,
+  RECONNECTION_FEE_DUE_DAYS,
+};
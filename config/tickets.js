@@ -0,0 +1,22 @@
+// Hours a ticket of each priority has to be resolved in
+const TICKET_SLA_HOURS = {
+  Urgent: Number(process.env.TICKET_SLA_URGENT_HOURS) || 4,
+  High: Number(process.env.TICKET_SLA_HIGH_HOURS) || 24,
+  Normal: Number(process.env.TICKET_SLA_NORMAL_HOURS) || 72,
+  Low: Number(process.env.TICKET_SLA_LOW_HOURS) || 168,
+};
+
+// Most tickets listed per group in the open ticket reports; the counts cover
+// every open ticket
+const TICKET_GROUP_LIMIT = Number(process.env.TICKET_GROUP_LIMIT) || 50;
+
+// Ticket numbering, e.g. TKT-000042
+const TICKET_NUMBER_PREFIX = process.env.TICKET_NUMBER_PREFIX || "TKT";
+const TICKET_NUMBER_PADDING = Number(process.env.TICKET_NUMBER_PADDING) || 6;
+
+module.exports = {
+  TICKET_SLA_HOURS,
+  TICKET_GROUP_LIMIT,
+  TICKET_NUMBER_PREFIX,
+  TICKET_NUMBER_PADDING,
+};
@@ -0,0 +1,35 @@
+const { markOverdueInvoices } = require("../pages/invoices/invoices.model");
+const { recordSystemAudit } = require("../pages/audit/audit.model");
+
+const OVERDUE_CHECK_INTERVAL_MS =
+  Number(process.env.OVERDUE_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Move unpaid invoices past their due date to "Overdue"
+async function runOverdueCheck() {
+  try {
+    const marked = await markOverdueInvoices();
+    for (const invoice of marked) {
+      await recordSystemAudit("overdue-job", {
+        action: "mark-overdue",
+        entityType: "Invoice",
+        entityId: invoice._id,
+        before: { status: invoice.status },
+        after: { status: "Overdue" },
+        metadata: { invoiceNumber: invoice.invoiceNumber },
+      });
+    }
+    if (marked.length > 0) {
+      console.log(`Marked ${marked.length} invoices as overdue`);
+    }
+  } catch (err) {
+    console.error("Error running overdue check:", err);
+  }
+}
+
+// Start the overdue check on a fixed interval
+function startOverdueJob() {
+  runOverdueCheck();
+  return setInterval(runOverdueCheck, OVERDUE_CHECK_INTERVAL_MS);
+}
+
+module.exports = startOverdueJob;
@@ -0,0 +1,38 @@
+const { applyDuePlanPrices } = require("../pages/plans/plans.model");
+const { syncCustomersPlan } = require("../pages/customers/customers.model");
+const { recordSystemAudit } = require("../pages/audit/audit.model");
+
+const PLAN_PRICE_CHECK_INTERVAL_MS =
+  Number(process.env.PLAN_PRICE_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Switch plans, and the customers on them, to fee changes that have come
+// into effect
+async function runPlanPriceCheck() {
+  try {
+    const changed = await applyDuePlanPrices();
+    for (const { plan, previousFee } of changed) {
+      const customers = await syncCustomersPlan(plan);
+      await recordSystemAudit("plan-prices-job", {
+        action: "update",
+        entityType: "Plan",
+        entityId: plan._id,
+        before: { monthlyFee: previousFee },
+        after: { monthlyFee: plan.monthlyFee },
+        metadata: { customers },
+      });
+    }
+    if (changed.length > 0) {
+      console.log(`Applied new monthly fees to ${changed.length} plans`);
+    }
+  } catch (err) {
+    console.error("Error applying plan fee changes:", err);
+  }
+}
+
+// Start the plan fee check on a fixed interval
+function startPlanPricesJob() {
+  runPlanPriceCheck();
+  return setInterval(runPlanPriceCheck, PLAN_PRICE_CHECK_INTERVAL_MS);
+}
+
+module.exports = startPlanPricesJob;
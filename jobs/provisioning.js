@@ -0,0 +1,24 @@
+const {
+  processProvisioningQueue,
+} = require("../pages/provisioning/provisioning.service");
+const { PROVISIONING_QUEUE_INTERVAL_MS } = require("../config/provisioning");
+
+// Push queued and failed customer accounts to the network
+async function runProvisioningQueue() {
+  try {
+    const { synced, failed } = await processProvisioningQueue();
+    if (synced > 0 || failed > 0) {
+      console.log(`Provisioned ${synced} customers, ${failed} pushes failed`);
+    }
+  } catch (err) {
+    console.error("Error running provisioning queue:", err);
+  }
+}
+
+// Start the provisioning queue on a fixed interval
+function startProvisioningJob() {
+  runProvisioningQueue();
+  return setInterval(runProvisioningQueue, PROVISIONING_QUEUE_INTERVAL_MS);
+}
+
+module.exports = startProvisioningJob;
@@ -0,0 +1,28 @@
+const {
+  sendDueReminders,
+  sendOverdueNotices,
+} = require("../pages/notifications/notifications.service");
+const { REMINDER_CHECK_INTERVAL_MS } = require("../config/notifications");
+
+// Email due-date reminders and overdue notices
+async function runReminders() {
+  try {
+    const reminders = await sendDueReminders();
+    const notices = await sendOverdueNotices();
+    if (reminders > 0 || notices > 0) {
+      console.log(
+        `Sent ${reminders} payment reminders and ${notices} overdue notices`
+      );
+    }
+  } catch (err) {
+    console.error("Error sending reminders:", err);
+  }
+}
+
+// Start the reminder emails on a fixed interval
+function startRemindersJob() {
+  runReminders();
+  return setInterval(runReminders, REMINDER_CHECK_INTERVAL_MS);
+}
+
+module.exports = startRemindersJob;
@@ -0,0 +1,40 @@
+const {
+  suspendOverdueCustomers,
+} = require("../pages/customers/customers.lifecycle");
+const { NON_PAYMENT_REASON } = require("../pages/customers/customers.model");
+const { recordSystemAudit } = require("../pages/audit/audit.model");
+const { SUSPENSION_CHECK_INTERVAL_MS } = require("../config/subscriptions");
+
+// Suspend customers with invoices unpaid past the grace period
+async function runSuspensionCheck() {
+  try {
+    const suspendedIds = await suspendOverdueCustomers();
+    for (const customerId of suspendedIds) {
+      await recordSystemAudit("suspensions-job", {
+        action: "status-change",
+        entityType: "Customer",
+        entityId: customerId,
+        before: { status: "Active" },
+        after: { status: "Suspended" },
+        metadata: {
+          from: "Active",
+          to: "Suspended",
+          reason: NON_PAYMENT_REASON,
+        },
+      });
+    }
+    if (suspendedIds.length > 0) {
+      console.log(`Suspended ${suspendedIds.length} customers for non-payment`);
+    }
+  } catch (err) {
+    console.error("Error running suspension check:", err);
+  }
+}
+
+// Start the suspension check on a fixed interval
+function startSuspensionsJob() {
+  runSuspensionCheck();
+  return setInterval(runSuspensionCheck, SUSPENSION_CHECK_INTERVAL_MS);
+}
+
+module.exports = startSuspensionsJob;
@@ -1,10 +1,10 @@
 const jwt = require("jsonwebtoken");
+const { findUserById } = require("../pages/auth/auth.model");
+const { JWT_SECRET } = require("../config/auth");
 
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-secret-key-change-in-production";
-
-// Authentication middleware
-function authenticateToken(req, res, next) {
+// Authentication middleware. Tokens issued before the user's last password
+// change or "log out all sessions" are rejected.
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -12,14 +12,42 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: "Access token required" });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ error: "Invalid or expired token" });
-    }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  // Two-factor challenge tokens carry a purpose and are not access tokens
+  if (decoded.purpose) {
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  let user;
+  try {
+    user = await findUserById(decoded.userId);
+  } catch (err) {
+    console.error("Error authenticating token:", err);
+    return res.status(500).json({ error: "Failed to authenticate" });
+  }
+
+  if (!user) {
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  // Older tokens only carry `iat`, rounded down to the second
+  const issuedAt = decoded.issuedAt || decoded.iat * 1000;
+  const validAfter = user.tokensValidAfter
+    ? user.tokensValidAfter.getTime()
+    : 0;
+  if (issuedAt <= validAfter) {
+    return res.status(403).json({ error: "Token has been revoked" });
+  }
 
-    req.userId = decoded.userId;
-    next();
-  });
+  req.userId = decoded.userId;
+  req.user = user;
+  next();
 }
 
 module.exports = authenticateToken;
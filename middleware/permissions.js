@@ -0,0 +1,29 @@
+const { findUserById, getUserRole } = require("../pages/auth/auth.model");
+const { hasPermission } = require("../config/roles");
+
+// Permission guard; use after authenticateToken. The role is read from the
+// database on every request so role changes apply immediately.
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = req.user || (await findUserById(req.userId));
+    } catch (err) {
+      console.error("Error checking permissions:", err);
+      return res.status(500).json({ error: "Failed to check permissions" });
+    }
+
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
+    }
+
+    req.userRole = getUserRole(user);
+    if (!hasPermission(req.userRole, permission)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    next();
+  };
+}
+
+module.exports = requirePermission;
@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const authModel = require("../pages/auth/auth.model");
+
+// Users by ID; the guard takes the lookup at require time
+const USERS = {
+  admin: { _id: "admin", role: "admin" },
+  clerk: { _id: "clerk", role: "billing_clerk" },
+  technician: { _id: "technician", role: "field_technician" },
+  legacy: { _id: "legacy" },
+};
+authModel.findUserById = async (id) => {
+  if (id === "broken") throw new Error("database down");
+  return USERS[id] || null;
+};
+
+const requirePermission = require("./permissions");
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require("../config/roles");
+
+// Run the guard for a user; resolves to the status it answered with, or
+// "next" when it let the request through
+async function check(permission, userId) {
+  const req = { userId };
+  let status = "next";
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  await requirePermission(permission)(req, res, () => {});
+  return { status, role: req.userRole };
+}
+
+describe("hasPermission", () => {
+  it("grants each role only its own permissions", () => {
+    assert.equal(hasPermission("admin", "users:manage"), true);
+    assert.equal(hasPermission("billing_clerk", "payments:write"), true);
+    assert.equal(hasPermission("billing_clerk", "users:manage"), false);
+    assert.equal(hasPermission("field_technician", "invoices:read"), false);
+    assert.equal(hasPermission("auditor", "customers:write"), false);
+  });
+
+  it("grants nothing to unknown roles", () => {
+    assert.equal(hasPermission("owner", "customers:read"), false);
+    assert.equal(hasPermission(undefined, "customers:read"), false);
+  });
+
+  it("has permissions for every role", () => {
+    for (const role of ROLES) {
+      assert.ok(ROLE_PERMISSIONS[role].length > 0, role);
+    }
+  });
+});
+
+describe("requirePermission", () => {
+  it("lets users with the permission through", async () => {
+    assert.deepEqual(await check("invoices:write", "clerk"), {
+      status: "next",
+      role: "billing_clerk",
+    });
+    assert.equal((await check("users:manage", "admin")).status, "next");
+  });
+
+  it("refuses users without the permission", async () => {
+    assert.equal((await check("invoices:write", "technician")).status, 403);
+    assert.equal((await check("users:manage", "clerk")).status, 403);
+  });
+
+  it("treats users without a role as read-only", async () => {
+    assert.deepEqual(await check("customers:read", "legacy"), {
+      status: "next",
+      role: "auditor",
+    });
+    assert.equal((await check("customers:write", "legacy")).status, 403);
+  });
+
+  it("refuses users that no longer exist", async () => {
+    assert.equal((await check("customers:read", "removed")).status, 401);
+  });
+
+  it("fails closed when the user cannot be loaded", async (t) => {
+    t.mock.method(console, "error", () => {});
+    assert.equal((await check("customers:read", "broken")).status, 500);
+  });
+});
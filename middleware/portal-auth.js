@@ -0,0 +1,54 @@
+const jwt = require("jsonwebtoken");
+const { findCustomerById } = require("../pages/customers/customers.model");
+const { PortalAccount } = require("../pages/portal/portal.model");
+const { PORTAL_JWT_SECRET } = require("../config/portal");
+
+// Customer portal authentication middleware. Only portal tokens are accepted;
+// staff tokens are signed with another secret. Tokens issued before the
+// customer logged out are rejected.
+async function authenticateCustomer(req, res, next) {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (!token) {
+    return res.status(401).json({ error: "Access token required" });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, PORTAL_JWT_SECRET, { audience: "portal" });
+  } catch (err) {
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  let customer;
+  let account;
+  try {
+    [customer, account] = await Promise.all([
+      findCustomerById(decoded.customerId),
+      PortalAccount.findOne({ customerId: decoded.customerId }).lean(),
+    ]);
+  } catch (err) {
+    console.error("Error authenticating portal token:", err);
+    return res.status(500).json({ error: "Failed to authenticate" });
+  }
+
+  if (!customer || !account) {
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  // Older tokens only carry `iat`, rounded down to the second
+  const issuedAt = decoded.issuedAt || decoded.iat * 1000;
+  const validAfter = account.tokensValidAfter
+    ? account.tokensValidAfter.getTime()
+    : 0;
+  if (issuedAt <= validAfter) {
+    return res.status(403).json({ error: "Token has been revoked" });
+  }
+
+  req.customerId = String(customer._id);
+  req.customer = customer;
+  next();
+}
+
+module.exports = authenticateCustomer;
@@ -0,0 +1,38 @@
+const { rateLimit } = require("express-rate-limit");
+const {
+  AUTH_RATE_LIMIT_WINDOW_MS,
+  LOGIN_RATE_LIMIT,
+  REGISTER_RATE_LIMIT,
+} = require("../config/auth");
+const {
+  PORTAL_LOGIN_RATE_LIMIT,
+  PORTAL_OTP_RATE_LIMIT,
+} = require("../config/portal");
+
+// Per-IP limiter that answers in the API's error format
+function createRateLimiter(limit, windowMs = AUTH_RATE_LIMIT_WINDOW_MS) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res) => {
+      res
+        .status(429)
+        .json({ error: "Too many requests, please try again later" });
+    },
+  });
+}
+
+const loginRateLimit = createRateLimiter(LOGIN_RATE_LIMIT);
+const registerRateLimit = createRateLimiter(REGISTER_RATE_LIMIT);
+const portalLoginRateLimit = createRateLimiter(PORTAL_LOGIN_RATE_LIMIT);
+const portalOtpRateLimit = createRateLimiter(PORTAL_OTP_RATE_LIMIT);
+
+module.exports = {
+  createRateLimiter,
+  loginRateLimit,
+  registerRateLimit,
+  portalLoginRateLimit,
+  portalOtpRateLimit,
+};
@@ -0,0 +1,253 @@
+const {
+  ACCOUNTS_SETTING,
+  getAccounts,
+  saveAccounts,
+  previewJournal,
+  createAccountingExport,
+  listAccountingExports,
+  findAccountingExportById,
+  getBatchJournal,
+} = require("./accounting.model");
+const {
+  journalTotals,
+  journalToCsv,
+  journalToIif,
+} = require("./accounting.journal");
+const { PAYMENT_METHODS } = require("../payments/payments.model");
+const { parseDateParam } = require("../../utils/pagination");
+const { recordAudit } = require("../audit/audit.model");
+
+// Journal download formats
+const JOURNAL_FORMATS = ["json", "csv", "iif"];
+
+// Parse the required `from` and `to` dates of an export; returns { error } or
+// { from, to }
+function parseExportRange(params) {
+  const from = parseDateParam(params.from);
+  const to = parseDateParam(params.to, { endOfDay: true });
+
+  if (!from || !to) {
+    return { error: "from and to must be valid dates" };
+  }
+
+  if (from > to) {
+    return { error: "from must be before to" };
+  }
+
+  return { from, to };
+}
+
+// Send journal entries in the requested format
+function sendJournal(res, format, filename, body) {
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.csv"`
+    );
+    return res.send(journalToCsv(body.entries));
+  }
+  if (format === "iif") {
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.iif"`
+    );
+    return res.send(journalToIif(body.entries));
+  }
+  res.json({ ...body, totals: journalTotals(body.entries) });
+}
+
+// Preview the journal entries not exported yet in a date range
+async function getJournalPreview(req, res) {
+  try {
+    const format = req.query.format || "json";
+    if (!JOURNAL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${JOURNAL_FORMATS.join(", ")}`,
+      });
+    }
+
+    const range = parseExportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const entries = await previewJournal(range.from, range.to);
+    sendJournal(res, format, "journal-preview", { ...range, entries });
+  } catch (err) {
+    console.error("Error building journal preview:", err);
+    res.status(500).json({ error: "Failed to build journal preview" });
+  }
+}
+
+// Export the journal entries not exported yet in a date range as a batch
+async function createExport(req, res) {
+  try {
+    const range = parseExportRange(req.body);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const batch = await createAccountingExport({
+      ...range,
+      userId: req.userId,
+    });
+
+    if (!batch) {
+      return res.status(200).json({
+        message: "Nothing to export in this date range",
+        batch: null,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "export",
+      entityType: "AccountingExport",
+      entityId: batch._id,
+      after: batch,
+    });
+
+    res.status(201).json({ message: "Accounting export created", batch });
+  } catch (err) {
+    console.error("Error creating accounting export:", err);
+    res.status(500).json({ error: "Failed to create accounting export" });
+  }
+}
+
+// Get export batches
+async function getExports(req, res) {
+  try {
+    const batches = await listAccountingExports();
+    res.json(batches);
+  } catch (err) {
+    console.error("Error fetching accounting exports:", err);
+    res.status(500).json({ error: "Failed to load accounting exports" });
+  }
+}
+
+// Download an export batch again as JSON, CSV or IIF
+async function getExport(req, res) {
+  try {
+    const format = req.query.format || "json";
+    if (!JOURNAL_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${JOURNAL_FORMATS.join(", ")}`,
+      });
+    }
+
+    const batch = await findAccountingExportById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: "Accounting export not found" });
+    }
+
+    const entries = await getBatchJournal(batch);
+    sendJournal(res, format, `journal-${batch.batchNumber}`, {
+      batch,
+      entries,
+    });
+  } catch (err) {
+    console.error("Error fetching accounting export:", err);
+    res.status(500).json({ error: "Failed to load accounting export" });
+  }
+}
+
+// Get the accounts used by exports
+async function getExportAccounts(req, res) {
+  try {
+    res.json(await getAccounts());
+  } catch (err) {
+    console.error("Error fetching accounting accounts:", err);
+    res.status(500).json({ error: "Failed to load accounts" });
+  }
+}
+
+// Whether a value is a map of names to non-empty account names
+function isAccountMap(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.values(value).every(
+      (account) => typeof account === "string" && account.trim()
+    )
+  );
+}
+
+// Validate account overrides; returns an error message or null
+function validateAccounts(body) {
+  for (const key of ["receivable", "revenue", "tax"]) {
+    const account = body[key];
+    if (
+      account !== undefined &&
+      (typeof account !== "string" || !account.trim())
+    ) {
+      return `${key} must be a non-empty account name`;
+    }
+  }
+
+  if (body.plans !== undefined && !isAccountMap(body.plans)) {
+    return "plans must map plan names to account names";
+  }
+
+  if (body.paymentMethods !== undefined) {
+    if (!isAccountMap(body.paymentMethods)) {
+      return "paymentMethods must map payment methods to account names";
+    }
+    const unknown = Object.keys(body.paymentMethods).filter(
+      (method) => !PAYMENT_METHODS.includes(method)
+    );
+    if (unknown.length > 0) {
+      return `paymentMethods must only use: ${PAYMENT_METHODS.join(", ")}`;
+    }
+  }
+
+  return null;
+}
+
+// Set the receivable, revenue and VAT accounts, and the accounts used per
+// plan and per payment method. Accounts left out go back to their defaults.
+async function updateExportAccounts(req, res) {
+  try {
+    const error = validateAccounts(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { receivable, revenue, tax, plans, paymentMethods } = req.body;
+    const overrides = Object.fromEntries(
+      Object.entries({
+        receivable,
+        revenue,
+        tax,
+        plans,
+        paymentMethods,
+      }).filter(([, value]) => value !== undefined)
+    );
+
+    const before = await getAccounts();
+    const accounts = await saveAccounts(overrides, req.userId);
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Setting",
+      entityId: ACCOUNTS_SETTING,
+      before,
+      after: accounts,
+    });
+
+    res.json(accounts);
+  } catch (err) {
+    console.error("Error updating accounting accounts:", err);
+    res.status(500).json({ error: "Failed to update accounts" });
+  }
+}
+
+module.exports = {
+  getJournalPreview,
+  createExport,
+  getExports,
+  getExport,
+  getExportAccounts,
+  updateExportAccounts,
+};
@@ -0,0 +1,220 @@
+const { roundAmount } = require("../invoices/totals");
+const { toCsv } = require("../../utils/csv");
+
+// Revenue account of a plan; plans without their own account use the default
+function revenueAccount(accounts, planType) {
+  return (planType && accounts.plans[planType]) || accounts.revenue;
+}
+
+// Deposit account of a payment method
+function paymentAccount(accounts, paymentMethod) {
+  return (
+    accounts.paymentMethods[paymentMethod] || accounts.paymentMethods.Other
+  );
+}
+
+// Name of the customer an invoice or payment belongs to
+function customerName(doc) {
+  return doc.customerId && doc.customerId.fullName
+    ? doc.customerId.fullName
+    : "";
+}
+
+// Journal entry with the zero lines left out
+function journalEntry(entry, lines) {
+  return {
+    ...entry,
+    lines: lines
+      .map((line) => ({
+        account: line.account,
+        debit: roundAmount(line.debit || 0),
+        credit: roundAmount(line.credit || 0),
+      }))
+      .filter((line) => line.debit > 0 || line.credit > 0),
+  };
+}
+
+// Invoice issued: receivable against revenue and VAT
+function invoiceEntry(invoice, accounts) {
+  const tax = roundAmount(invoice.taxAmount || 0);
+  const planType = invoice.customerId && invoice.customerId.planType;
+  return journalEntry(
+    {
+      source: "invoices",
+      type: "Invoice",
+      date: invoice.createdAt,
+      reference: invoice.invoiceNumber,
+      name: customerName(invoice),
+      memo: `Invoice for ${invoice.billingPeriod}`,
+    },
+    [
+      { account: accounts.receivable, debit: invoice.amount },
+      {
+        account: revenueAccount(accounts, planType),
+        credit: invoice.amount - tax,
+      },
+      { account: accounts.tax, credit: tax },
+    ]
+  );
+}
+
+// Payment received: deposit account against receivable
+function paymentEntry(payment, accounts) {
+  const invoiceNumber = payment.invoiceId && payment.invoiceId.invoiceNumber;
+  return journalEntry(
+    {
+      source: "payments",
+      type: "Payment",
+      date: payment.paidAt,
+      reference: payment.referenceNumber || invoiceNumber || "",
+      name: customerName(payment),
+      memo: `${payment.paymentMethod} payment for ${
+        invoiceNumber || "invoice"
+      }`,
+    },
+    [
+      {
+        account: paymentAccount(accounts, payment.paymentMethod),
+        debit: payment.amount,
+      },
+      { account: accounts.receivable, credit: payment.amount },
+    ]
+  );
+}
+
+// Invoice voided: reverses the unpaid part of the invoice, split between
+// revenue and VAT in the same proportion as the invoice
+function voidEntry(invoice, accounts) {
+  const writtenOff = roundAmount(invoice.amount - (invoice.amountPaid || 0));
+  const taxShare =
+    invoice.amount > 0 ? (invoice.taxAmount || 0) / invoice.amount : 0;
+  const tax = roundAmount(writtenOff * taxShare);
+  const planType = invoice.customerId && invoice.customerId.planType;
+  return journalEntry(
+    {
+      source: "voids",
+      type: "Void",
+      date: invoice.voidedAt,
+      reference: invoice.invoiceNumber,
+      name: customerName(invoice),
+      memo: [`Void of ${invoice.invoiceNumber}`, invoice.voidReason]
+        .filter(Boolean)
+        .join(": "),
+    },
+    [
+      {
+        account: revenueAccount(accounts, planType),
+        debit: writtenOff - tax,
+      },
+      { account: accounts.tax, debit: tax },
+      { account: accounts.receivable, credit: writtenOff },
+    ]
+  );
+}
+
+// Journal entries for issued invoices, voids and payments, oldest first.
+// Voids of fully paid invoices reverse nothing and are left out.
+function buildJournalEntries({ invoices, voids, payments }, accounts) {
+  const entries = [
+    ...invoices.map((invoice) => invoiceEntry(invoice, accounts)),
+    ...voids.map((invoice) => voidEntry(invoice, accounts)),
+    ...payments.map((payment) => paymentEntry(payment, accounts)),
+  ].filter((entry) => entry.lines.length > 0);
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+  return entries.map((entry, index) => ({
+    ...entry,
+    journalNumber: index + 1,
+  }));
+}
+
+// Total debits and credits of journal entries
+function journalTotals(entries) {
+  let debit = 0;
+  let credit = 0;
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      debit += line.debit;
+      credit += line.credit;
+    }
+  }
+  return { debit: roundAmount(debit), credit: roundAmount(credit) };
+}
+
+// Journal as CSV, one row per line
+function journalToCsv(entries) {
+  const rows = entries.flatMap((entry) =>
+    entry.lines.map((line) => ({ ...entry, ...line }))
+  );
+  return toCsv(
+    [
+      {
+        header: "Date",
+        value: (row) => new Date(row.date).toISOString().slice(0, 10),
+      },
+      { header: "Journal No", value: (row) => row.journalNumber },
+      { header: "Type", value: (row) => row.type },
+      { header: "Reference", value: (row) => row.reference },
+      { header: "Name", value: (row) => row.name },
+      { header: "Account", value: (row) => row.account },
+      { header: "Debit", value: (row) => row.debit || "" },
+      { header: "Credit", value: (row) => row.credit || "" },
+      { header: "Memo", value: (row) => row.memo },
+    ],
+    rows
+  );
+}
+
+// Date as MM/DD/YYYY, as QuickBooks expects
+function iifDate(value) {
+  const date = new Date(value);
+  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const day = String(date.getUTCDate()).padStart(2, "0");
+  return `${month}/${day}/${date.getUTCFullYear()}`;
+}
+
+// IIF field; tabs and line breaks would break the row
+function iifValue(value) {
+  return String(value === undefined || value === null ? "" : value).replace(
+    /[\t\r\n]+/g,
+    " "
+  );
+}
+
+// Journal as a QuickBooks IIF file of general journal transactions. The first
+// line of each entry is the TRNS row, the rest are SPL rows; debits are
+// positive and credits negative.
+function journalToIif(entries) {
+  const fields = ["TRNSTYPE", "DATE", "ACCNT", "NAME", "AMOUNT", "DOCNUM"];
+  const header = [
+    ["!TRNS", ...fields, "MEMO"],
+    ["!SPL", ...fields, "MEMO"],
+    ["!ENDTRNS"],
+  ];
+
+  const rows = [...header];
+  for (const entry of entries) {
+    entry.lines.forEach((line, index) => {
+      rows.push([
+        index === 0 ? "TRNS" : "SPL",
+        "GENERAL JOURNAL",
+        iifDate(entry.date),
+        line.account,
+        entry.name,
+        (line.debit - line.credit).toFixed(2),
+        entry.reference,
+        entry.memo,
+      ]);
+    });
+    rows.push(["ENDTRNS"]);
+  }
+
+  return rows.map((row) => row.map(iifValue).join("\t") + "\r\n").join("");
+}
+
+module.exports = {
+  buildJournalEntries,
+  journalTotals,
+  journalToCsv,
+  journalToIif,
+};
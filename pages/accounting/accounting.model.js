@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const {
+  listUnexportedInvoices,
+  claimInvoicesForExport,
+  listInvoicesByExportBatch,
+} = require("../invoices/invoices.model");
+const {
+  listUnexportedPayments,
+  claimPaymentsForExport,
+  listPaymentsByExportBatch,
+} = require("../payments/payments.model");
+const { nextSequence } = require("../counters/counters.model");
+const { getSetting, setSetting } = require("../settings/settings.model");
+const { DEFAULT_ACCOUNTS } = require("../../config/accounting");
+const { buildJournalEntries, journalTotals } = require("./accounting.journal");
+
+// Setting holding the account overrides
+const ACCOUNTS_SETTING = "accounting.accounts";
+
+// Accounting export batch schema. Exported invoices, voids and payments point
+// back to their batch, so each is exported only once.
+const AccountingExportSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    from: {
+      type: Date,
+      required: true,
+    },
+    to: {
+      type: Date,
+      required: true,
+    },
+    invoices: {
+      type: Number,
+      default: 0,
+    },
+    payments: {
+      type: Number,
+      default: 0,
+    },
+    voids: {
+      type: Number,
+      default: 0,
+    },
+    totalDebit: {
+      type: Number,
+      default: 0,
+    },
+    totalCredit: {
+      type: Number,
+      default: 0,
+    },
+    // Accounts in effect when the batch was exported
+    accounts: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+const AccountingExport = mongoose.model(
+  "AccountingExport",
+  AccountingExportSchema
+);
+
+// Merge account overrides over the defaults
+function mergeAccounts(overrides = {}) {
+  return {
+    ...DEFAULT_ACCOUNTS,
+    ...overrides,
+    plans: { ...DEFAULT_ACCOUNTS.plans, ...overrides.plans },
+    paymentMethods: {
+      ...DEFAULT_ACCOUNTS.paymentMethods,
+      ...overrides.paymentMethods,
+    },
+  };
+}
+
+// Get the accounts used by exports, with saved overrides applied
+async function getAccounts() {
+  return mergeAccounts(await getSetting(ACCOUNTS_SETTING, {}));
+}
+
+// Save account overrides
+async function saveAccounts(overrides, userId) {
+  const saved = await setSetting(ACCOUNTS_SETTING, overrides, userId);
+  return mergeAccounts(saved);
+}
+
+// Journal entries for everything in a date range not exported yet, without
+// marking anything as exported
+async function previewJournal(from, to) {
+  const [{ invoices, voids }, payments, accounts] = await Promise.all([
+    listUnexportedInvoices(from, to),
+    listUnexportedPayments(from, to),
+    getAccounts(),
+  ]);
+  return buildJournalEntries({ invoices, voids, payments }, accounts);
+}
+
+// Export everything in a date range not exported yet as a new batch. Resolves
+// to null when there is nothing to export.
+async function createAccountingExport({ from, to, userId }) {
+  const accounts = await getAccounts();
+  const batch = await AccountingExport.create({
+    batchNumber: await nextSequence("accountingExport"),
+    from,
+    to,
+    accounts,
+    createdBy: userId,
+  });
+
+  await claimInvoicesForExport(batch._id, from, to);
+  await claimPaymentsForExport(batch._id, from, to);
+
+  const entries = await getBatchJournal(batch);
+  const counts = { invoices: 0, payments: 0, voids: 0 };
+  for (const entry of entries) counts[entry.source] += 1;
+
+  if (entries.length === 0) {
+    await AccountingExport.deleteOne({ _id: batch._id });
+    return null;
+  }
+
+  const totals = journalTotals(entries);
+  return AccountingExport.findByIdAndUpdate(
+    batch._id,
+    { ...counts, totalDebit: totals.debit, totalCredit: totals.credit },
+    { new: true }
+  ).lean();
+}
+
+// Get export batches, newest first
+async function listAccountingExports() {
+  return AccountingExport.find()
+    .populate("createdBy", "username")
+    .sort({ batchNumber: -1 })
+    .limit(200)
+    .lean();
+}
+
+// Get an export batch by id
+async function findAccountingExportById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return AccountingExport.findById(id).populate("createdBy", "username").lean();
+}
+
+// Journal entries of an export batch, rebuilt with the batch's accounts
+async function getBatchJournal(batch) {
+  const [{ invoices, voids }, payments] = await Promise.all([
+    listInvoicesByExportBatch(batch._id),
+    listPaymentsByExportBatch(batch._id),
+  ]);
+  return buildJournalEntries(
+    { invoices, voids, payments },
+    mergeAccounts(batch.accounts)
+  );
+}
+
+module.exports = {
+  ACCOUNTS_SETTING,
+  AccountingExport,
+  getAccounts,
+  saveAccounts,
+  previewJournal,
+  createAccountingExport,
+  listAccountingExports,
+  findAccountingExportById,
+  getBatchJournal,
+};
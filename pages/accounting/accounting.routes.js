@@ -0,0 +1,52 @@
+const express = require("express");
+const {
+  getJournalPreview,
+  createExport,
+  getExports,
+  getExport,
+  getExportAccounts,
+  updateExportAccounts,
+} = require("./accounting.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/journal",
+  authenticateToken,
+  requirePermission("accounting:read"),
+  getJournalPreview
+);
+router.get(
+  "/exports",
+  authenticateToken,
+  requirePermission("accounting:read"),
+  getExports
+);
+router.post(
+  "/exports",
+  authenticateToken,
+  requirePermission("accounting:write"),
+  createExport
+);
+router.get(
+  "/exports/:id",
+  authenticateToken,
+  requirePermission("accounting:read"),
+  getExport
+);
+router.get(
+  "/accounts",
+  authenticateToken,
+  requirePermission("accounting:read"),
+  getExportAccounts
+);
+router.put(
+  "/accounts",
+  authenticateToken,
+  requirePermission("accounting:write"),
+  updateExportAccounts
+);
+
+module.exports = router;
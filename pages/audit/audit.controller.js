@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { listAuditLogs } = require("./audit.model");
+const { parseDateParam } = require("../../utils/pagination");
+
+// Get audit trail
+async function getAuditLogs(req, res) {
+  try {
+    const { entityType, entityId, actorId, system, action, limit } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    if (from === null || to === null) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
+
+    if (actorId && !mongoose.isValidObjectId(actorId)) {
+      return res.status(400).json({ error: "actorId must be a valid ID" });
+    }
+
+    const logs = await listAuditLogs({
+      entityType,
+      entityId,
+      actorId,
+      system,
+      action,
+      from,
+      to,
+      limit: Math.min(Number(limit) || 200, 1000),
+    });
+    res.json(logs);
+  } catch (err) {
+    console.error("Error fetching audit logs:", err);
+    res.status(500).json({ error: "Failed to load audit logs" });
+  }
+}
+
+module.exports = {
+  getAuditLogs,
+};
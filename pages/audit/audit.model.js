@@ -0,0 +1,200 @@
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const { AUDIT_FALLBACK_FILE } = require("../../config/audit");
+
+// Fields left out of audit snapshots: bookkeeping and secrets
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+const REDACTED_FIELDS = [
+  "password",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "backupCodes",
+];
+
+// Audit log schema. Entries are append-only: they are never updated or
+// deleted through the model.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    // What made a change no user made, e.g. "overdue-job"
+    system: {
+      type: String,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    entityType: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: String,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Refuse to modify existing entries
+function rejectChange() {
+  throw new Error("Audit log entries cannot be modified");
+}
+
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+// Plain snapshot of a document without bookkeeping fields or secrets
+function toSnapshot(doc) {
+  if (!doc) return undefined;
+
+  const plain = JSON.parse(
+    JSON.stringify(typeof doc.toObject === "function" ? doc.toObject() : doc)
+  );
+  for (const field of [...IGNORED_FIELDS, ...REDACTED_FIELDS]) {
+    delete plain[field];
+  }
+  return plain;
+}
+
+// Top-level fields that differ between two snapshots
+function diffSnapshots(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  }
+  return changes;
+}
+
+// Write an audit entry. A failed write is retried once and then appended to
+// the fallback file, since the change itself has already been saved and
+// failing the request would invite the caller to make it again.
+async function writeAuditLog(data) {
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      return await AuditLog.create(data);
+    } catch (err) {
+      console.error("Error recording audit log:", err);
+    }
+  }
+
+  try {
+    await fs.mkdir(path.dirname(AUDIT_FALLBACK_FILE), { recursive: true });
+    await fs.appendFile(
+      AUDIT_FALLBACK_FILE,
+      JSON.stringify({ ...data, createdAt: new Date() }) + "\n"
+    );
+  } catch (err) {
+    console.error("Error writing audit fallback:", err, JSON.stringify(data));
+  }
+  return null;
+}
+
+// Audit log fields shared by user and system entries
+function auditFields(entry) {
+  const before = toSnapshot(entry.before);
+  const after = toSnapshot(entry.after);
+  return {
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId ? String(entry.entityId) : undefined,
+    before,
+    after,
+    changes: diffSnapshots(before, after),
+    metadata: entry.metadata,
+  };
+}
+
+// Record a write made through the API by the signed-in user, or by
+// entry.actorId when there is no session yet
+async function recordAudit(req, entry) {
+  return writeAuditLog({
+    ...auditFields(entry),
+    actorId: entry.actorId || req.userId,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+}
+
+// Record a write the system made on its own, e.g. in a scheduled job;
+// `system` names what made it
+async function recordSystemAudit(system, entry) {
+  return writeAuditLog({ ...auditFields(entry), system });
+}
+
+// Get audit log entries, newest first
+async function listAuditLogs(filters = {}) {
+  const query = {};
+  if (filters.entityType) query.entityType = filters.entityType;
+  if (filters.entityId) query.entityId = filters.entityId;
+  if (filters.actorId) query.actorId = filters.actorId;
+  if (filters.system) query.system = String(filters.system);
+  if (filters.action) query.action = filters.action;
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = filters.from;
+    if (filters.to) query.createdAt.$lte = filters.to;
+  }
+
+  return AuditLog.find(query)
+    .populate("actorId", "username adminName")
+    .sort({ createdAt: -1 })
+    .limit(filters.limit || 200)
+    .lean();
+}
+
+module.exports = {
+  AuditLog,
+  recordAudit,
+  recordSystemAudit,
+  listAuditLogs,
+};
@@ -0,0 +1,15 @@
+const express = require("express");
+const { getAuditLogs } = require("./audit.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("audit:read"),
+  getAuditLogs
+);
+
+module.exports = router;
@@ -1,23 +1,158 @@
+const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const {
+  getUserRole,
+  claimFirstUser,
+  releaseFirstUser,
   createUser,
+  countUsers,
+  listUsers,
   findUserByUsername,
   findUserById,
+  updateUserRole,
+  isUserLocked,
+  recordFailedLogin,
+  resetFailedLogins,
+  findUserWithTwoFactor,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  consumeBackupCode,
+  consumeTotpStep,
+  revokeUserTokens,
   updateUser,
 } = require("./auth.model");
+const {
+  recordLoginAttempt,
+  listLoginAttempts,
+} = require("./login-attempts.model");
+const {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+} = require("./refresh-tokens.model");
+const {
+  createTwoFactorSecret,
+  getTotpStep,
+  hashBackupCode,
+  generateBackupCodes,
+} = require("./two-factor");
+const { getSetting, setSetting } = require("../settings/settings.model");
+const { recordAudit } = require("../audit/audit.model");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+const { ROLES, DEFAULT_ROLE } = require("../../config/roles");
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  TWO_FACTOR_CHALLENGE_TTL,
+} = require("../../config/auth");
 
-const JWT_SECRET =
-  process.env.JWT_SECRET || "your-secret-key-change-in-production";
+const REQUIRE_TWO_FACTOR_SETTING = "auth.requireTwoFactor";
 
-// Generate JWT token
+// Generate JWT access token. `issuedAt` is the issue time in milliseconds;
+// `iat` only has whole seconds, too coarse to tell a token issued just
+// before a revocation from one issued just after it.
 function generateToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: "7d" });
+  return jwt.sign({ userId, issuedAt: Date.now() }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+// Generate a short-lived token for the second login step. The purpose is
+// "2fa" to verify a code, or "2fa-setup" to enroll when 2FA is required.
+function generateChallengeToken(userId, purpose) {
+  return jwt.sign({ userId, purpose }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+}
+
+// User ID of a valid challenge token with the given purpose, or null
+function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Whether every staff account must use two-factor authentication
+async function isTwoFactorRequired() {
+  return getSetting(REQUIRE_TWO_FACTOR_SETTING, false);
+}
+
+// Check a TOTP code and use it up, so it cannot be accepted a second time
+async function consumeTotpCode(userId, code, secret) {
+  const step = getTotpStep(code, secret);
+  if (step === null) return false;
+  return consumeTotpStep(userId, step);
+}
+
+// Start a session: a short-lived access token and a refresh token
+async function createSession(userId, req) {
+  const refreshToken = await issueRefreshToken(userId, {
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+  return { token: generateToken(userId), refreshToken };
+}
+
+// User fields returned by the API
+function serializeUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    adminName: user.adminName,
+    role: getUserRole(user),
+    twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  };
+}
+
+// Registration guard: the very first account may register itself and becomes
+// an admin; after that only admins can register staff. Registration claims
+// the first account atomically, so concurrent requests cannot both get in.
+async function authorizeRegistration(req, res, next) {
+  let userCount;
+  try {
+    userCount = await countUsers();
+  } catch (err) {
+    console.error("Error authorizing registration:", err);
+    return res.status(500).json({ error: "Failed to register user" });
+  }
+
+  if (userCount === 0) {
+    req.isFirstUser = true;
+    return next();
+  }
+
+  authenticateToken(req, res, () =>
+    requirePermission("users:manage")(req, res, next)
+  );
+}
+
+// 2FA enrollment guard: a signed-in user, or a user who passed the password
+// step of a login that requires enrolling first
+function authorizeTwoFactorSetup(req, res, next) {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) return authenticateToken(req, res, next);
+
+  const userId = verifyChallengeToken(challengeToken, "2fa-setup");
+  if (!userId) {
+    return res.status(401).json({ error: "Invalid or expired challenge" });
+  }
+
+  req.userId = userId;
+  req.isEnrollmentChallenge = true;
+  next();
 }
 
 // Register user
 async function register(req, res) {
   try {
-    const { username, password, adminName } = req.body;
+    const { username, password, adminName } = req.body || {};
+    const role = req.isFirstUser ? "admin" : req.body.role || DEFAULT_ROLE;
 
     if (!username || !password || !adminName) {
       return res.status(400).json({
@@ -25,28 +160,59 @@ async function register(req, res) {
       });
     }
 
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        error: "Username and password must be strings",
+      });
+    }
+
     if (password.length < 6) {
       return res.status(400).json({
         error: "Password must be at least 6 characters",
       });
     }
 
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
     const existingUser = await findUserByUsername(username);
     if (existingUser) {
       return res.status(400).json({ error: "Username already exists" });
     }
 
-    const user = await createUser({ username, password, adminName });
-    const token = generateToken(user._id);
+    // Only one of several concurrent first registrations may become admin
+    if (req.isFirstUser && !(await claimFirstUser())) {
+      return res.status(403).json({
+        error: "An admin account already exists; ask an admin to register you",
+      });
+    }
+
+    let user;
+    try {
+      user = await createUser({ username, password, adminName, role });
+    } catch (err) {
+      if (req.isFirstUser) await releaseFirstUser();
+      throw err;
+    }
+
+    await recordAudit(req, {
+      actorId: req.isFirstUser ? user._id : undefined,
+      action: "create",
+      entityType: "User",
+      entityId: user._id,
+      after: user,
+    });
+
+    // Only a self-registered first admin is signed in; staff log in themselves
+    const session = req.isFirstUser ? await createSession(user._id, req) : {};
 
     res.status(201).json({
       message: "User created successfully",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        adminName: user.adminName,
-      },
+      ...session,
+      user: serializeUser(user),
     });
   } catch (err) {
     console.error("Error registering user:", err);
@@ -57,7 +223,7 @@ async function register(req, res) {
 // Login user
 async function login(req, res) {
   try {
-    const { username, password } = req.body;
+    const { username, password } = req.body || {};
 
     if (!username || !password) {
       return res.status(400).json({
@@ -65,26 +231,78 @@ async function login(req, res) {
       });
     }
 
+    if (typeof username !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        error: "Username and password must be strings",
+      });
+    }
+
+    const attempt = {
+      username: String(username).toLowerCase(),
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+
     const user = await findUserByUsername(username);
     if (!user) {
+      await recordLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "Unknown user",
+      });
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    attempt.userId = user._id;
+
+    // A locked account answers like a wrong password, without checking it,
+    // so the response neither reveals the account nor confirms a guess
+    if (isUserLocked(user)) {
+      await recordLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "Account locked",
+      });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordFailedLogin(user._id);
+      await recordLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "Invalid password",
+      });
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    const token = generateToken(user._id);
+    // Failed logins are only cleared once every step has passed, so a
+    // guessed password cannot reset the count for guessing codes
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: "Two-factor code required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id, "2fa"),
+      });
+    }
+
+    if (await isTwoFactorRequired()) {
+      return res.json({
+        message: "Two-factor authentication must be set up",
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, "2fa-setup"),
+      });
+    }
+
+    await resetFailedLogins(user._id);
+    await recordLoginAttempt({ ...attempt, success: true });
+
+    const session = await createSession(user._id, req);
 
     res.json({
       message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        adminName: user.adminName,
-      },
+      ...session,
+      user: serializeUser(user),
     });
   } catch (err) {
     console.error("Error logging in:", err);
@@ -92,6 +310,360 @@ async function login(req, res) {
   }
 }
 
+// Second login step: a code from the authenticator app or a backup code
+async function verifyTwoFactor(req, res) {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        error: "Challenge token and a code or backup code are required",
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken, "2fa");
+    if (!userId) {
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+
+    const user = await findUserWithTwoFactor(userId);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+
+    const attempt = {
+      userId: user._id,
+      username: user.username,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+
+    if (isUserLocked(user)) {
+      await recordLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: "Account locked",
+      });
+      return res.status(423).json({
+        error: "Account is temporarily locked, please try again later",
+        lockedUntil: user.lockUntil,
+      });
+    }
+
+    const isCodeValid = code
+      ? await consumeTotpCode(user._id, code, user.twoFactorSecret)
+      : await consumeBackupCode(user._id, hashBackupCode(backupCode));
+    if (!isCodeValid) {
+      await recordFailedLogin(user._id);
+      await recordLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: code ? "Invalid 2FA code" : "Invalid backup code",
+      });
+      return res.status(401).json({ error: "Invalid two-factor code" });
+    }
+
+    await resetFailedLogins(user._id);
+    await recordLoginAttempt({ ...attempt, success: true });
+
+    const session = await createSession(user._id, req);
+
+    res.json({
+      message: "Login successful",
+      ...session,
+      user: serializeUser(user),
+      backupCodesRemaining: code
+        ? user.backupCodes.length
+        : user.backupCodes.length - 1,
+    });
+  } catch (err) {
+    console.error("Error verifying two-factor code:", err);
+    res.status(500).json({ error: "Failed to verify two-factor code" });
+  }
+}
+
+// Start 2FA enrollment: a new secret and backup codes, shown only once
+async function setupTwoFactor(req, res) {
+  try {
+    const user = await findUserById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { secret, otpauthUrl } = createTwoFactorSecret(user.username);
+    const backupCodes = generateBackupCodes();
+    await startTwoFactorSetup(
+      user._id,
+      secret,
+      backupCodes.map(hashBackupCode)
+    );
+
+    res.json({
+      message: "Scan the secret with an authenticator app, then confirm a code",
+      secret,
+      otpauthUrl,
+      backupCodes,
+    });
+  } catch (err) {
+    console.error("Error setting up two-factor authentication:", err);
+    res.status(500).json({
+      error: "Failed to set up two-factor authentication",
+    });
+  }
+}
+
+// Confirm 2FA enrollment with a code from the new secret
+async function confirmTwoFactor(req, res) {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: "Code is required" });
+    }
+
+    const user = await findUserWithTwoFactor(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        error: "Start two-factor setup before confirming it",
+      });
+    }
+
+    if (!(await consumeTotpCode(user._id, code, user.twoFactorPendingSecret))) {
+      return res.status(400).json({ error: "Invalid two-factor code" });
+    }
+
+    const updatedUser = await enableTwoFactor(
+      user._id,
+      user.twoFactorPendingSecret
+    );
+
+    await recordAudit(req, {
+      actorId: user._id,
+      action: "enable-2fa",
+      entityType: "User",
+      entityId: user._id,
+      before: user,
+      after: updatedUser,
+    });
+
+    // Enrolling during login completes that login
+    let session = {};
+    if (req.isEnrollmentChallenge) {
+      await resetFailedLogins(user._id);
+      await recordLoginAttempt({
+        userId: user._id,
+        username: user.username,
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+        success: true,
+      });
+      session = await createSession(user._id, req);
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      ...session,
+      user: serializeUser(updatedUser),
+    });
+  } catch (err) {
+    console.error("Error enabling two-factor authentication:", err);
+    res.status(500).json({
+      error: "Failed to enable two-factor authentication",
+    });
+  }
+}
+
+// Turn off 2FA; needs the password and a current code or backup code
+async function removeTwoFactor(req, res) {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    if (!password || (!code && !backupCode)) {
+      return res.status(400).json({
+        error: "Password and a code or backup code are required",
+      });
+    }
+
+    if (await isTwoFactorRequired()) {
+      return res.status(400).json({
+        error: "Two-factor authentication is required for all staff",
+      });
+    }
+
+    const user = await findUserWithTwoFactor(req.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "Two-factor authentication is not enabled",
+      });
+    }
+
+    // The code is only used up once the password is known to be right
+    const isValid =
+      (await user.comparePassword(password)) &&
+      (code
+        ? await consumeTotpCode(user._id, code, user.twoFactorSecret)
+        : await consumeBackupCode(user._id, hashBackupCode(backupCode)));
+    if (!isValid) {
+      return res.status(401).json({ error: "Invalid password or code" });
+    }
+
+    const updatedUser = await disableTwoFactor(user._id);
+
+    await recordAudit(req, {
+      action: "disable-2fa",
+      entityType: "User",
+      entityId: user._id,
+      before: user,
+      after: updatedUser,
+    });
+
+    res.json({
+      message: "Two-factor authentication disabled",
+      user: serializeUser(updatedUser),
+    });
+  } catch (err) {
+    console.error("Error disabling two-factor authentication:", err);
+    res.status(500).json({
+      error: "Failed to disable two-factor authentication",
+    });
+  }
+}
+
+// Get the two-factor policy
+async function getTwoFactorPolicy(req, res) {
+  try {
+    res.json({ requireTwoFactor: await isTwoFactorRequired() });
+  } catch (err) {
+    console.error("Error fetching two-factor policy:", err);
+    res.status(500).json({ error: "Failed to load two-factor policy" });
+  }
+}
+
+// Require, or stop requiring, two-factor authentication for all staff
+async function updateTwoFactorPolicy(req, res) {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    if (typeof requireTwoFactor !== "boolean") {
+      return res.status(400).json({
+        error: "requireTwoFactor must be true or false",
+      });
+    }
+
+    const previous = await isTwoFactorRequired();
+    const value = await setSetting(
+      REQUIRE_TWO_FACTOR_SETTING,
+      requireTwoFactor,
+      req.userId
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Setting",
+      entityId: REQUIRE_TWO_FACTOR_SETTING,
+      before: { value: previous },
+      after: { value },
+    });
+
+    res.json({
+      message: "Two-factor policy updated",
+      requireTwoFactor: value,
+    });
+  } catch (err) {
+    console.error("Error updating two-factor policy:", err);
+    res.status(500).json({ error: "Failed to update two-factor policy" });
+  }
+}
+
+// Exchange a refresh token for a new access and refresh token
+async function refresh(req, res) {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, {
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+
+    if (!rotated) {
+      return res
+        .status(401)
+        .json({ error: "Invalid or expired refresh token" });
+    }
+
+    // Sessions from before two-factor authentication became required end
+    // once their access token expires, until the user has enrolled
+    if (await isTwoFactorRequired()) {
+      const user = await findUserById(rotated.userId);
+      if (!user || !user.twoFactorEnabled) {
+        await revokeUserRefreshTokens(rotated.userId);
+        return res.status(401).json({
+          error:
+            "Two-factor authentication must be set up; please log in again",
+        });
+      }
+    }
+
+    res.json({
+      token: generateToken(rotated.userId),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    console.error("Error refreshing token:", err);
+    res.status(500).json({ error: "Failed to refresh token" });
+  }
+}
+
+// Logout the session a refresh token belongs to
+async function logout(req, res) {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Error logging out:", err);
+    res.status(500).json({ error: "Failed to logout" });
+  }
+}
+
+// Logout all sessions, including outstanding access tokens
+async function logoutAll(req, res) {
+  try {
+    const sessions = await revokeUserRefreshTokens(req.userId);
+    await revokeUserTokens(req.userId);
+    res.json({ message: "All sessions logged out", sessions });
+  } catch (err) {
+    console.error("Error logging out all sessions:", err);
+    res.status(500).json({ error: "Failed to logout all sessions" });
+  }
+}
+
 // Get user profile
 async function getProfile(req, res) {
   try {
@@ -102,11 +674,7 @@ async function getProfile(req, res) {
     }
 
     res.json({
-      user: {
-        id: user._id,
-        username: user.username,
-        adminName: user.adminName,
-      },
+      user: serializeUser(user),
     });
   } catch (err) {
     console.error("Error fetching profile:", err);
@@ -114,10 +682,138 @@ async function getProfile(req, res) {
   }
 }
 
+// Get all staff accounts
+async function getUsers(req, res) {
+  try {
+    const users = await listUsers();
+    res.json(users.map(serializeUser));
+  } catch (err) {
+    console.error("Error fetching users:", err);
+    res.status(500).json({ error: "Failed to load users" });
+  }
+}
+
+// Unlock a staff account locked by failed logins
+async function unlockUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const existing = await findUserById(id);
+    const user = await resetFailedLogins(id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await recordAudit(req, {
+      action: "unlock",
+      entityType: "User",
+      entityId: user._id,
+      before: existing,
+      after: user,
+    });
+
+    res.json({
+      message: "Account unlocked successfully",
+      user: serializeUser(user),
+    });
+  } catch (err) {
+    console.error("Error unlocking user:", err);
+    res.status(500).json({ error: "Failed to unlock user" });
+  }
+}
+
+// Get login history
+async function getLoginAttempts(req, res) {
+  try {
+    const { userId, username, ip, success } = req.query;
+
+    if (userId !== undefined && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: "userId must be a valid ID" });
+    }
+
+    if (
+      [username, ip].some(
+        (value) => value !== undefined && typeof value !== "string"
+      )
+    ) {
+      return res.status(400).json({ error: "username and ip must be strings" });
+    }
+
+    const attempts = await listLoginAttempts({
+      userId,
+      username,
+      ip,
+      success: success === undefined ? undefined : success === "true",
+    });
+    res.json(attempts);
+  } catch (err) {
+    console.error("Error fetching login attempts:", err);
+    res.status(500).json({ error: "Failed to load login attempts" });
+  }
+}
+
+// Change a staff member's role
+async function updateUserRoleById(req, res) {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    if (id === String(req.userId)) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    const existing = await findUserById(id);
+    const user = await updateUserRole(id, role);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await recordAudit(req, {
+      action: "update-role",
+      entityType: "User",
+      entityId: user._id,
+      before: existing,
+      after: user,
+    });
+
+    res.json({
+      message: "Role updated successfully",
+      user: serializeUser(user),
+    });
+  } catch (err) {
+    console.error("Error updating user role:", err);
+    res.status(500).json({ error: "Failed to update user role" });
+  }
+}
+
 // Update user profile
 async function updateProfile(req, res) {
   try {
-    const { adminName, username, password, currentPassword } = req.body;
+    const { adminName, username, password, currentPassword } = req.body || {};
+
+    if (
+      [adminName, username, password, currentPassword].some(
+        (value) => value !== undefined && typeof value !== "string"
+      )
+    ) {
+      return res.status(400).json({ error: "Profile fields must be strings" });
+    }
 
     if (password) {
       if (!currentPassword) {
@@ -147,13 +843,26 @@ async function updateProfile(req, res) {
       password,
     });
 
+    await recordAudit(req, {
+      action: "update-profile",
+      entityType: "User",
+      entityId: req.userId,
+      before: req.user,
+      after: updatedUser,
+      metadata: password ? { passwordChanged: true } : undefined,
+    });
+
+    // A password change ends every other session; this one gets new tokens
+    let session = {};
+    if (password) {
+      await revokeUserRefreshTokens(req.userId);
+      session = await createSession(req.userId, req);
+    }
+
     res.json({
       message: "Profile updated successfully",
-      user: {
-        id: updatedUser._id,
-        username: updatedUser.username,
-        adminName: updatedUser.adminName,
-      },
+      ...session,
+      user: serializeUser(updatedUser),
     });
   } catch (err) {
     console.error("Error updating profile:", err);
@@ -167,8 +876,23 @@ async function updateProfile(req, res) {
 }
 
 module.exports = {
+  authorizeRegistration,
+  authorizeTwoFactorSetup,
   register,
   login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  removeTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  refresh,
+  logout,
+  logoutAll,
   getProfile,
+  getUsers,
+  getLoginAttempts,
+  unlockUser,
+  updateUserRoleById,
   updateProfile,
 };
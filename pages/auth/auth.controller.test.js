@@ -0,0 +1,228 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { authenticator } = require("otplib");
+const authModel = require("./auth.model");
+const loginAttempts = require("./login-attempts.model");
+const refreshTokens = require("./refresh-tokens.model");
+const settings = require("../settings/settings.model");
+const { hashBackupCode } = require("./two-factor");
+const { JWT_SECRET } = require("../../config/auth");
+
+// One staff account and its login state, kept in memory; the controller
+// takes its dependencies at require time, so they are replaced before it is
+// loaded
+let user;
+let attempts;
+let failedLogins;
+let requireTwoFactor;
+
+authModel.findUserByUsername = async (username) =>
+  username.toLowerCase() === user.username ? user : null;
+authModel.findUserWithTwoFactor = async (id) => (id === user._id ? user : null);
+authModel.recordFailedLogin = async () => {
+  failedLogins++;
+};
+authModel.resetFailedLogins = async () => {
+  failedLogins = 0;
+};
+authModel.consumeTotpStep = async (id, step) => {
+  if (user.twoFactorLastStep >= step) return false;
+  user.twoFactorLastStep = step;
+  return true;
+};
+authModel.consumeBackupCode = async (id, codeHash) => {
+  if (!user.backupCodes.includes(codeHash)) return false;
+  // Stored apart from the user already loaded, as in the database
+  user = {
+    ...user,
+    backupCodes: user.backupCodes.filter((hash) => hash !== codeHash),
+  };
+  return true;
+};
+loginAttempts.recordLoginAttempt = async (attempt) => {
+  attempts.push(attempt);
+};
+refreshTokens.issueRefreshToken = async () => "refresh-token";
+settings.getSetting = async () => requireTwoFactor;
+
+const { login, verifyTwoFactor } = require("./auth.controller");
+
+// Minimal Express response recording the status and JSON body
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Call a handler with a request body
+async function call(handler, body) {
+  const res = createResponse();
+  await handler({ body, ip: "10.0.0.1", headers: {} }, res);
+  return res;
+}
+
+describe("login", () => {
+  beforeEach(() => {
+    user = {
+      _id: "user1",
+      username: "jdoe",
+      role: "billing_clerk",
+      lockUntil: null,
+      comparePassword: async (password) => password === "s3cret-pass",
+    };
+    attempts = [];
+    failedLogins = 0;
+    requireTwoFactor = false;
+  });
+
+  it("starts a session for the right password", async () => {
+    const res = await call(login, {
+      username: "JDoe",
+      password: "s3cret-pass",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.refreshToken, "refresh-token");
+    assert.equal(jwt.verify(res.body.token, JWT_SECRET).userId, "user1");
+    assert.equal(res.body.user.role, "billing_clerk");
+    assert.equal(attempts.at(-1).success, true);
+  });
+
+  it("counts a wrong password as a failed login", async () => {
+    const res = await call(login, { username: "jdoe", password: "guess" });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(failedLogins, 1);
+    assert.equal(attempts.at(-1).reason, "Invalid password");
+  });
+
+  it("answers unknown users like wrong passwords", async () => {
+    const unknown = await call(login, { username: "nobody", password: "x" });
+    const wrong = await call(login, { username: "jdoe", password: "x" });
+
+    assert.equal(unknown.statusCode, 401);
+    assert.deepEqual(unknown.body, wrong.body);
+  });
+
+  it("keeps a locked account out, even with the right password", async () => {
+    user.lockUntil = new Date(Date.now() + 60 * 1000);
+    user.comparePassword = async () => assert.fail("password was checked");
+    const res = await call(login, {
+      username: "jdoe",
+      password: "s3cret-pass",
+    });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(attempts.at(-1).reason, "Account locked");
+  });
+
+  it("refuses logins that are not strings", async () => {
+    const res = await call(login, {
+      username: { $ne: null },
+      password: "s3cret-pass",
+    });
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe("two-factor login", () => {
+  const secret = authenticator.generateSecret();
+
+  beforeEach(() => {
+    user = {
+      _id: "user1",
+      username: "jdoe",
+      role: "admin",
+      lockUntil: null,
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorLastStep: null,
+      backupCodes: [hashBackupCode("3f9a-c41e")],
+      comparePassword: async (password) => password === "s3cret-pass",
+    };
+    attempts = [];
+    failedLogins = 0;
+    requireTwoFactor = false;
+  });
+
+  // The challenge token handed out for the password step
+  async function passwordStep() {
+    const res = await call(login, {
+      username: "jdoe",
+      password: "s3cret-pass",
+    });
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.equal(res.body.token, undefined);
+    return res.body.challengeToken;
+  }
+
+  it("asks for a code instead of starting a session", async () => {
+    await passwordStep();
+    assert.deepEqual(attempts, []);
+  });
+
+  it("starts a session for a current code", async () => {
+    const challengeToken = await passwordStep();
+    const res = await call(verifyTwoFactor, {
+      challengeToken,
+      code: authenticator.generate(secret),
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(jwt.verify(res.body.token, JWT_SECRET).userId, "user1");
+  });
+
+  it("accepts a code only once", async () => {
+    const challengeToken = await passwordStep();
+    const code = authenticator.generate(secret);
+
+    await call(verifyTwoFactor, { challengeToken, code });
+    const replay = await call(verifyTwoFactor, { challengeToken, code });
+
+    assert.equal(replay.statusCode, 401);
+    assert.equal(failedLogins, 1);
+  });
+
+  it("accepts a backup code once", async () => {
+    const challengeToken = await passwordStep();
+    const body = { challengeToken, backupCode: "3F9A-C41E" };
+
+    const res = await call(verifyTwoFactor, body);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.backupCodesRemaining, 0);
+    assert.equal((await call(verifyTwoFactor, body)).statusCode, 401);
+  });
+
+  it("refuses tokens that are not two-factor challenges", async () => {
+    const accessToken = jwt.sign({ userId: "user1" }, JWT_SECRET);
+    const res = await call(verifyTwoFactor, {
+      challengeToken: accessToken,
+      code: authenticator.generate(secret),
+    });
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it("sends users without 2FA to set it up when it is required", async () => {
+    user.twoFactorEnabled = false;
+    requireTwoFactor = true;
+    const res = await call(login, {
+      username: "jdoe",
+      password: "s3cret-pass",
+    });
+
+    assert.equal(res.body.twoFactorSetupRequired, true);
+    assert.equal(res.body.token, undefined);
+  });
+});
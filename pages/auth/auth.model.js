@@ -1,5 +1,13 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { ROLES, DEFAULT_ROLE } = require("../../config/roles");
+const { Counter } = require("../counters/counters.model");
+const { recordSystemAudit } = require("../audit/audit.model");
+const {
+  MAX_FAILED_LOGINS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+} = require("../../config/auth");
 
 // User schema
 const UserSchema = new mongoose.Schema(
@@ -21,6 +29,46 @@ const UserSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    role: {
+      type: String,
+      enum: ROLES,
+    },
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    backupCodes: {
+      type: [String],
+      select: false,
+    },
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -39,16 +87,64 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
 
 const User = mongoose.model("User", UserSchema);
 
+// Role of a user. Accounts without one get the least privileged role;
+// `npm run migrate-roles` assigns roles to accounts from before roles existed.
+function getUserRole(user) {
+  return user.role || DEFAULT_ROLE;
+}
+
 // Create user
 async function createUser(data) {
   const user = await User.create({
     username: data.username,
     password: data.password,
     adminName: data.adminName,
+    role: data.role,
   });
   return user;
 }
 
+// Count users
+async function countUsers() {
+  return User.countDocuments();
+}
+
+// Counter that only the first account to register can claim. It holds the
+// time of the claim.
+const FIRST_USER_KEY = "users:first";
+
+// How long a claim blocks other first registrations. Older claims are left
+// over from a registration whose users have since been removed.
+const FIRST_USER_CLAIM_TTL_MS = 60 * 1000;
+
+// Claim the right to register the first account while no users exist. Only
+// one of several concurrent registrations gets it: the upsert of a fresh
+// claim fails with a duplicate key while another claim is live.
+async function claimFirstUser() {
+  const now = Date.now();
+  try {
+    await Counter.findOneAndUpdate(
+      { _id: FIRST_USER_KEY, seq: { $lt: now - FIRST_USER_CLAIM_TTL_MS } },
+      { seq: now },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+// Give up the first-account claim after the registration failed
+async function releaseFirstUser() {
+  await Counter.deleteOne({ _id: FIRST_USER_KEY });
+}
+
+// Get all users
+async function listUsers() {
+  return User.find().select("-password").sort({ username: 1 }).lean();
+}
+
 // Find user by username
 async function findUserByUsername(username) {
   return User.findOne({ username: username.toLowerCase() });
@@ -59,11 +155,141 @@ async function findUserById(id) {
   return User.findById(id).select("-password");
 }
 
+// Update user role
+async function updateUserRole(id, role) {
+  return User.findByIdAndUpdate(
+    id,
+    { role },
+    { new: true, runValidators: true }
+  ).select("-password");
+}
+
+// Whether a user is currently locked out
+function isUserLocked(user, now = new Date()) {
+  return Boolean(user.lockUntil && user.lockUntil > now);
+}
+
+// Count a failed login; too many in a row locks the account, for longer
+// after each lockout. Lockouts are audited.
+async function recordFailedLogin(id) {
+  const user = await User.findByIdAndUpdate(
+    id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!user || user.failedLoginAttempts < MAX_FAILED_LOGINS) return user;
+
+  const lockMinutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** user.lockouts,
+    LOCKOUT_MAX_MINUTES
+  );
+  const locked = await User.findByIdAndUpdate(
+    id,
+    {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+      $inc: { lockouts: 1 },
+    },
+    { new: true }
+  );
+
+  await recordSystemAudit("login-lockout", {
+    action: "lock",
+    entityType: "User",
+    entityId: id,
+    before: { lockUntil: user.lockUntil },
+    after: { lockUntil: locked && locked.lockUntil },
+    metadata: { lockouts: locked && locked.lockouts, minutes: lockMinutes },
+  });
+  return locked;
+}
+
+// Clear failed logins and any lockout
+async function resetFailedLogins(id) {
+  return User.findByIdAndUpdate(
+    id,
+    { failedLoginAttempts: 0, lockouts: 0, lockUntil: null },
+    { new: true }
+  ).select("-password");
+}
+
+// Find user by ID including two-factor secrets
+async function findUserWithTwoFactor(id) {
+  return User.findById(id).select(
+    "+twoFactorSecret +twoFactorPendingSecret +backupCodes"
+  );
+}
+
+// Store a new secret and backup codes until enrollment is confirmed
+async function startTwoFactorSetup(id, secret, backupCodeHashes) {
+  return User.findByIdAndUpdate(id, {
+    twoFactorPendingSecret: secret,
+    backupCodes: backupCodeHashes,
+  });
+}
+
+// Turn on two-factor authentication with the pending secret
+async function enableTwoFactor(id, secret) {
+  return User.findByIdAndUpdate(
+    id,
+    {
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      $unset: { twoFactorPendingSecret: 1 },
+    },
+    { new: true }
+  ).select("-password");
+}
+
+// Turn off two-factor authentication
+async function disableTwoFactor(id) {
+  return User.findByIdAndUpdate(
+    id,
+    {
+      twoFactorEnabled: false,
+      twoFactorLastStep: null,
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, backupCodes: 1 },
+    },
+    { new: true }
+  ).select("-password");
+}
+
+// Use up a backup code; returns false if it was not valid
+async function consumeBackupCode(id, codeHash) {
+  const result = await User.updateOne(
+    { _id: id, backupCodes: codeHash },
+    { $pull: { backupCodes: codeHash } }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Use up the time step of a TOTP code; returns false if a code from the same
+// or a later step was already used
+async function consumeTotpStep(id, step) {
+  const result = await User.updateOne(
+    {
+      _id: id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+    },
+    { twoFactorLastStep: step }
+  );
+  return result.modifiedCount === 1;
+}
+
+// Invalidate every access token issued to a user until now
+async function revokeUserTokens(id) {
+  return User.findByIdAndUpdate(id, { tokensValidAfter: new Date() });
+}
+
 // Update user
 async function updateUser(id, data) {
   const updateData = {};
   if (data.adminName) updateData.adminName = data.adminName;
-  if (data.password) updateData.password = data.password;
+  if (data.password) {
+    // Updates bypass the save hook, so hash here; older tokens become invalid
+    updateData.password = await bcrypt.hash(data.password, 10);
+    updateData.tokensValidAfter = new Date();
+  }
   if (data.username) updateData.username = data.username.toLowerCase();
 
   const user = await User.findByIdAndUpdate(id, updateData, {
@@ -76,8 +302,24 @@ async function updateUser(id, data) {
 
 module.exports = {
   User,
+  getUserRole,
+  claimFirstUser,
+  releaseFirstUser,
   createUser,
+  countUsers,
+  listUsers,
   findUserByUsername,
   findUserById,
+  updateUserRole,
+  isUserLocked,
+  recordFailedLogin,
+  resetFailedLogins,
+  findUserWithTwoFactor,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  consumeBackupCode,
+  consumeTotpStep,
+  revokeUserTokens,
   updateUser,
 };
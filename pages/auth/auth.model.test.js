@@ -0,0 +1,127 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const audit = require("../audit/audit.model");
+
+// Lockouts are audited; the model takes the audit function at require time
+const audited = [];
+audit.recordSystemAudit = async (source, entry) => {
+  audited.push({ source, ...entry });
+};
+
+const {
+  User,
+  getUserRole,
+  claimFirstUser,
+  isUserLocked,
+  recordFailedLogin,
+} = require("./auth.model");
+const { Counter } = require("../counters/counters.model");
+const {
+  MAX_FAILED_LOGINS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+} = require("../../config/auth");
+
+describe("getUserRole", () => {
+  it("is the user's role, or read-only for accounts without one", () => {
+    assert.equal(getUserRole({ role: "billing_clerk" }), "billing_clerk");
+    assert.equal(getUserRole({}), "auditor");
+  });
+});
+
+describe("claimFirstUser", () => {
+  it("is granted while nobody else holds the claim", async (t) => {
+    const update = t.mock.method(Counter, "findOneAndUpdate", async () => null);
+
+    assert.equal(await claimFirstUser(), true);
+    assert.equal(update.mock.calls[0].arguments[2].upsert, true);
+  });
+
+  it("is refused while another registration holds it", async (t) => {
+    t.mock.method(Counter, "findOneAndUpdate", async () => {
+      throw Object.assign(new Error("duplicate key"), { code: 11000 });
+    });
+
+    assert.equal(await claimFirstUser(), false);
+  });
+
+  it("passes other errors on", async (t) => {
+    t.mock.method(Counter, "findOneAndUpdate", async () => {
+      throw new Error("database down");
+    });
+
+    await assert.rejects(claimFirstUser(), { message: "database down" });
+  });
+});
+
+describe("isUserLocked", () => {
+  it("is locked until the lockout ends", () => {
+    const now = new Date("2025-01-01T12:00:00Z");
+
+    assert.equal(isUserLocked({ lockUntil: null }, now), false);
+    assert.equal(
+      isUserLocked({ lockUntil: new Date("2025-01-01T12:05:00Z") }, now),
+      true
+    );
+    assert.equal(
+      isUserLocked({ lockUntil: new Date("2025-01-01T11:55:00Z") }, now),
+      false
+    );
+  });
+});
+
+describe("recordFailedLogin", () => {
+  // Stand-in for the users collection holding one user
+  function mockUser(t, user) {
+    t.mock.method(User, "findByIdAndUpdate", async (id, update) => {
+      if (update.$inc.failedLoginAttempts) {
+        user.failedLoginAttempts += 1;
+      } else {
+        user.failedLoginAttempts = update.failedLoginAttempts;
+        user.lockUntil = update.lockUntil;
+        user.lockouts += update.$inc.lockouts;
+      }
+      return { ...user };
+    });
+    return user;
+  }
+
+  // Minutes an account is locked for
+  function lockedMinutes(user) {
+    return Math.round((user.lockUntil - Date.now()) / 60000);
+  }
+
+  it("locks the account after too many failed logins", async (t) => {
+    const user = mockUser(t, {
+      failedLoginAttempts: 0,
+      lockouts: 0,
+      lockUntil: null,
+    });
+
+    for (let i = 1; i < MAX_FAILED_LOGINS; i++) {
+      await recordFailedLogin("user1");
+      assert.equal(isUserLocked(user), false);
+    }
+    await recordFailedLogin("user1");
+
+    assert.equal(isUserLocked(user), true);
+    assert.equal(lockedMinutes(user), LOCKOUT_BASE_MINUTES);
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(audited.at(-1).source, "login-lockout");
+  });
+
+  it("locks for longer after each lockout, up to the maximum", async (t) => {
+    const user = mockUser(t, {
+      failedLoginAttempts: MAX_FAILED_LOGINS - 1,
+      lockouts: 1,
+      lockUntil: null,
+    });
+    await recordFailedLogin("user1");
+    assert.equal(lockedMinutes(user), LOCKOUT_BASE_MINUTES * 2);
+
+    user.failedLoginAttempts = MAX_FAILED_LOGINS - 1;
+    user.lockouts = 30;
+    await recordFailedLogin("user1");
+    assert.equal(lockedMinutes(user), LOCKOUT_MAX_MINUTES);
+  });
+});
@@ -1,17 +1,90 @@
 const express = require("express");
 const {
+  authorizeRegistration,
+  authorizeTwoFactorSetup,
   register,
   login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  confirmTwoFactor,
+  removeTwoFactor,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  refresh,
+  logout,
+  logoutAll,
   getProfile,
+  getUsers,
+  getLoginAttempts,
+  unlockUser,
+  updateUserRoleById,
   updateProfile,
 } = require("./auth.controller");
 const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+const {
+  loginRateLimit,
+  registerRateLimit,
+} = require("../../middleware/rate-limit");
 
 const router = express.Router();
 
-router.post("/register", register);
-router.post("/login", login);
+router.post("/register", registerRateLimit, authorizeRegistration, register);
+router.post("/login", loginRateLimit, login);
+router.post("/2fa/verify", loginRateLimit, verifyTwoFactor);
+router.post(
+  "/2fa/setup",
+  loginRateLimit,
+  authorizeTwoFactorSetup,
+  setupTwoFactor
+);
+router.post(
+  "/2fa/enable",
+  loginRateLimit,
+  authorizeTwoFactorSetup,
+  confirmTwoFactor
+);
+router.post("/2fa/disable", authenticateToken, removeTwoFactor);
+router.get(
+  "/2fa/policy",
+  authenticateToken,
+  requirePermission("users:manage"),
+  getTwoFactorPolicy
+);
+router.put(
+  "/2fa/policy",
+  authenticateToken,
+  requirePermission("users:manage"),
+  updateTwoFactorPolicy
+);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.post("/logout-all", authenticateToken, logoutAll);
 router.get("/profile", authenticateToken, getProfile);
 router.put("/profile", authenticateToken, updateProfile);
+router.get(
+  "/users",
+  authenticateToken,
+  requirePermission("users:manage"),
+  getUsers
+);
+router.get(
+  "/login-attempts",
+  authenticateToken,
+  requirePermission("users:manage"),
+  getLoginAttempts
+);
+router.post(
+  "/users/:id/unlock",
+  authenticateToken,
+  requirePermission("users:manage"),
+  unlockUser
+);
+router.put(
+  "/users/:id/role",
+  authenticateToken,
+  requirePermission("users:manage"),
+  updateUserRoleById
+);
 
 module.exports = router;
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Login attempt schema
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    reason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+// Record login attempt
+async function recordLoginAttempt(data) {
+  const attempt = await LoginAttempt.create({
+    userId: data.userId,
+    username: data.username,
+    ip: data.ip,
+    userAgent: data.userAgent,
+    success: data.success,
+    reason: data.reason,
+  });
+  return attempt;
+}
+
+// Get recent login attempts, newest first
+async function listLoginAttempts(filters = {}) {
+  const query = {};
+  if (filters.userId) query.userId = filters.userId;
+  if (filters.username) query.username = filters.username.toLowerCase();
+  if (filters.ip) query.ip = filters.ip;
+  if (filters.success !== undefined) query.success = filters.success;
+
+  return LoginAttempt.find(query)
+    .sort({ createdAt: -1 })
+    .limit(filters.limit || 200)
+    .lean();
+}
+
+module.exports = {
+  LoginAttempt,
+  recordLoginAttempt,
+  listLoginAttempts,
+};
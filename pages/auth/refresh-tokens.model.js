@@ -0,0 +1,126 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../../config/auth");
+
+// Refresh token schema. Only a hash of each token is stored. Tokens rotate on
+// every use; all tokens descending from one login share a family.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired tokens are removed by MongoDB
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+
+// Hash a refresh token for storage and lookup
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Issue a refresh token, starting a new family unless one is given
+async function issueRefreshToken(userId, options = {}) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family: options.family || crypto.randomUUID(),
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+    createdByIp: options.ip,
+    userAgent: options.userAgent,
+  });
+  return token;
+}
+
+// Exchange a refresh token for a new one. Returns null if the token is
+// unknown, expired or already used; reuse of a rotated token revokes its whole
+// family, since it means the token was copied.
+async function rotateRefreshToken(token, options = {}) {
+  const tokenHash = hashToken(token);
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date() }
+  );
+
+  if (!existing) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused && reused.revokedAt) {
+      await revokeTokenFamily(reused.family);
+    }
+    return null;
+  }
+
+  const refreshToken = await issueRefreshToken(existing.userId, {
+    ...options,
+    family: existing.family,
+  });
+  return { userId: existing.userId, refreshToken };
+}
+
+// Revoke every token in a family
+async function revokeTokenFamily(family) {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+// Revoke the session a refresh token belongs to
+async function revokeRefreshToken(token) {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) return false;
+
+  await revokeTokenFamily(existing.family);
+  return true;
+}
+
+// Revoke every session of a user
+async function revokeUserRefreshTokens(userId) {
+  const result = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  RefreshToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+};
@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const { authenticator } = require("otplib");
+const { TWO_FACTOR_ISSUER, BACKUP_CODE_COUNT } = require("../../config/auth");
+
+// Accept the previous and next 30-second code to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Create a TOTP secret and its provisioning URI for authenticator apps
+function createTwoFactorSecret(username) {
+  const secret = authenticator.generateSecret();
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(username, TWO_FACTOR_ISSUER, secret),
+  };
+}
+
+// Time step of the 30-second window a TOTP code belongs to, or null when the
+// code is not valid now. A code is only accepted once per step, so a code
+// seen by someone else cannot be replayed while it is still valid.
+function getTotpStep(code, secret) {
+  if (!code || !secret) return null;
+  const delta = authenticator.checkDelta(
+    String(code).replace(/\s/g, ""),
+    secret
+  );
+  if (delta === null) return null;
+  return (
+    Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta
+  );
+}
+
+// Hash a backup code for storage; dashes and case are ignored
+function hashBackupCode(code) {
+  const normalized = String(code).replace(/-/g, "").toLowerCase();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// Generate single-use backup codes, e.g. "3f9a-c41e"
+function generateBackupCodes() {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(4).toString("hex");
+    codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+  }
+  return codes;
+}
+
+module.exports = {
+  createTwoFactorSecret,
+  getTotpStep,
+  hashBackupCode,
+  generateBackupCodes,
+};
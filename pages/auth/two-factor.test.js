@@ -0,0 +1,63 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { authenticator } = require("otplib");
+const {
+  createTwoFactorSecret,
+  getTotpStep,
+  hashBackupCode,
+  generateBackupCodes,
+} = require("./two-factor");
+const { BACKUP_CODE_COUNT } = require("../../config/auth");
+
+describe("createTwoFactorSecret", () => {
+  it("makes a secret and a URI for authenticator apps", () => {
+    const { secret, otpauthUrl } = createTwoFactorSecret("jdoe");
+
+    assert.match(secret, /^[A-Z2-7]+$/);
+    assert.match(otpauthUrl, /^otpauth:\/\/totp\/.*jdoe/);
+    assert.ok(otpauthUrl.includes(`secret=${secret}`));
+  });
+});
+
+describe("getTotpStep", () => {
+  const { secret } = createTwoFactorSecret("jdoe");
+
+  it("is the time step a current code was made in", () => {
+    const step = Math.floor(Date.now() / 1000 / 30);
+    const code = authenticator.generate(secret);
+
+    assert.equal(getTotpStep(code, secret), step);
+    assert.equal(
+      getTotpStep(`${code.slice(0, 3)} ${code.slice(3)}`, secret),
+      step
+    );
+  });
+
+  it("is null for wrong codes and other secrets", () => {
+    const code = authenticator.generate(secret);
+    const { secret: otherSecret } = createTwoFactorSecret("jdoe");
+
+    assert.equal(getTotpStep(code, otherSecret), null);
+    assert.equal(getTotpStep("12345x", secret), null);
+    assert.equal(getTotpStep(code, ""), null);
+    assert.equal(getTotpStep("", secret), null);
+  });
+});
+
+describe("backup codes", () => {
+  it("generates distinct codes like 3f9a-c41e", () => {
+    const codes = generateBackupCodes();
+
+    assert.equal(codes.length, BACKUP_CODE_COUNT);
+    assert.equal(new Set(codes).size, codes.length);
+    for (const code of codes) assert.match(code, /^[0-9a-f]{4}-[0-9a-f]{4}$/);
+  });
+
+  it("hashes codes ignoring dashes and case", () => {
+    const hash = hashBackupCode("3f9a-c41e");
+
+    assert.equal(hashBackupCode("3F9AC41E"), hash);
+    assert.notEqual(hashBackupCode("3f9a-c41f"), hash);
+    assert.notEqual(hash, "3f9a-c41e");
+  });
+});
@@ -0,0 +1,311 @@
+const mongoose = require("mongoose");
+const {
+  CHECKOUT_STATUSES,
+  findCheckoutSessionById,
+  findCheckoutSessionByGatewayId,
+  listCheckoutSessions,
+} = require("./checkout.model");
+const { getGateway } = require("./checkout.gateways");
+const {
+  checkoutError,
+  parseCheckoutMethods,
+  startCheckout,
+  handleGatewayEvent,
+} = require("./checkout.service");
+const { getInvoiceById } = require("../invoices/invoices.model");
+const { recordAudit } = require("../audit/audit.model");
+
+// Start an online payment of an invoice's outstanding balance
+async function createInvoiceCheckout(req, res) {
+  try {
+    const { id } = req.params;
+    const { methods: requested } = req.body || {};
+
+    const { error, methods } = parseCheckoutMethods(requested);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const invoice = mongoose.isValidObjectId(id)
+      ? await getInvoiceById(id)
+      : null;
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const invalid = checkoutError(invoice);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const session = await startCheckout(invoice, {
+      methods,
+      source: "staff",
+      userId: req.userId,
+    });
+
+    await recordAudit(req, {
+      action: "checkout",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      metadata: {
+        checkoutSessionId: session._id,
+        gateway: session.gateway,
+        amount: session.amount,
+      },
+    });
+
+    res.status(201).json(session);
+  } catch (err) {
+    console.error("Error starting checkout:", err);
+    res.status(500).json({ error: "Failed to start checkout" });
+  }
+}
+
+// Get checkout sessions, filtered by invoice, customer or status
+async function getCheckoutSessions(req, res) {
+  try {
+    const { invoiceId, customerId, status } = req.query;
+
+    if (invoiceId && !mongoose.isValidObjectId(invoiceId)) {
+      return res.status(400).json({ error: "invoiceId must be a valid ID" });
+    }
+
+    if (customerId && !mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ error: "customerId must be a valid ID" });
+    }
+
+    if (status && !CHECKOUT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${CHECKOUT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const sessions = await listCheckoutSessions({
+      invoiceId,
+      customerId,
+      status,
+    });
+    res.json(sessions);
+  } catch (err) {
+    console.error("Error fetching checkout sessions:", err);
+    res.status(500).json({ error: "Failed to fetch checkout sessions" });
+  }
+}
+
+// Get checkout session by ID
+async function getCheckoutSession(req, res) {
+  try {
+    const { id } = req.params;
+    const session = mongoose.isValidObjectId(id)
+      ? await findCheckoutSessionById(id)
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ error: "Checkout session not found" });
+    }
+
+    res.json(session);
+  } catch (err) {
+    console.error("Error fetching checkout session:", err);
+    res.status(500).json({ error: "Failed to fetch checkout session" });
+  }
+}
+
+// Audit what a webhook changed. Webhooks have no staff user, so the entries
+// name the gateway instead.
+async function auditGatewayEvent(req, gatewayName, outcome) {
+  if (outcome.result === "needs-review") {
+    const { session } = outcome;
+    await recordAudit(req, {
+      action: "flag-payment",
+      entityType: "CheckoutSession",
+      entityId: session._id,
+      after: session,
+      metadata: {
+        invoiceId: session.invoiceId,
+        gateway: gatewayName,
+        transactionId: session.transactionId,
+        unappliedAmount: session.unappliedAmount,
+        reason: session.reviewReason,
+      },
+    });
+    return;
+  }
+  if (outcome.result !== "recorded") return;
+
+  const { payment, invoice, invoiceBefore, reconnection, session } = outcome;
+  await recordAudit(req, {
+    action: "payment",
+    entityType: "Invoice",
+    entityId: invoice._id,
+    before: invoiceBefore,
+    after: invoice,
+    metadata: {
+      paymentId: payment._id,
+      amount: payment.amount,
+      paymentMethod: payment.paymentMethod,
+      referenceNumber: payment.referenceNumber,
+      gateway: gatewayName,
+      checkoutSessionId: session._id,
+      unappliedAmount: outcome.unappliedAmount || undefined,
+    },
+  });
+
+  if (reconnection) {
+    await recordAudit(req, {
+      action: "reconnect",
+      entityType: "Customer",
+      entityId: reconnection.customer._id,
+      before: reconnection.before,
+      after: reconnection.customer,
+      metadata: {
+        paymentId: payment._id,
+        gateway: gatewayName,
+        reconnectionFeeInvoiceId: reconnection.feeInvoice
+          ? reconnection.feeInvoice._id
+          : undefined,
+      },
+    });
+  }
+}
+
+// Verify and apply a webhook body. Resolves to [status, response body].
+async function processWebhook(req, gateway, rawBody, headers) {
+  if (!gateway.verifyWebhook(rawBody, headers)) {
+    return [400, { error: "Invalid webhook signature" }];
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (err) {
+    return [400, { error: "Invalid webhook body" }];
+  }
+
+  const event = gateway.parseWebhook(payload);
+  const outcome = await handleGatewayEvent(gateway.name, event);
+  if (outcome.result === "invalid") {
+    return [400, { error: "Webhook is missing payment details" }];
+  }
+
+  await auditGatewayEvent(req, gateway.name, outcome);
+  return [
+    200,
+    {
+      received: true,
+      result: outcome.result,
+      paymentId: outcome.payment ? outcome.payment._id : undefined,
+    },
+  ];
+}
+
+// Receive a gateway webhook. The signature is checked against the exact
+// bytes received, and a delivery that was already applied is acknowledged
+// without recording the payment again.
+async function receiveWebhook(req, res) {
+  try {
+    const gateway = getGateway();
+    if (req.params.gateway !== gateway.name) {
+      return res.status(404).json({ error: "Unknown payment gateway" });
+    }
+
+    const [status, body] = await processWebhook(
+      req,
+      gateway,
+      req.rawBody,
+      req.headers
+    );
+    res.status(status).json(body);
+  } catch (err) {
+    console.error("Error handling payment webhook:", err);
+    res.status(500).json({ error: "Failed to handle webhook" });
+  }
+}
+
+// Find the session behind a fake gateway payment page; null unless the fake
+// gateway is in use. Its routes are only mounted then, but a custom gateway
+// may have been set in its place.
+async function findFakeCheckout(gatewaySessionId) {
+  const gateway = getGateway();
+  if (gateway.name !== "fake") return null;
+  return findCheckoutSessionByGatewayId("fake", gatewaySessionId);
+}
+
+// Fake gateway payment page: what the customer is asked to pay
+async function getFakeCheckout(req, res) {
+  try {
+    const session = await findFakeCheckout(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: "Checkout session not found" });
+    }
+
+    res.json({
+      sessionId: session.gatewaySessionId,
+      amount: session.amount,
+      currency: session.currency,
+      methods: session.methods,
+      status: session.status,
+      expiresAt: session.expiresAt,
+    });
+  } catch (err) {
+    console.error("Error fetching fake checkout:", err);
+    res.status(500).json({ error: "Failed to fetch checkout" });
+  }
+}
+
+// Pay (or fail to pay) at the fake gateway. The signed webhook it sends is
+// applied like a real one and returned, so it can be replayed against the
+// webhook endpoint.
+async function completeFakeCheckout(req, res) {
+  try {
+    const { outcome = "paid", method, amount } = req.body || {};
+
+    if (!["paid", "failed"].includes(outcome)) {
+      return res.status(400).json({ error: "outcome must be paid or failed" });
+    }
+
+    const session = await findFakeCheckout(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Checkout session not found" });
+    }
+
+    if (method !== undefined && !session.methods.includes(method)) {
+      return res.status(400).json({
+        error: `method must be one of: ${session.methods.join(", ")}`,
+      });
+    }
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({ error: "Amount must be greater than 0" });
+    }
+
+    const gateway = getGateway();
+    const webhook = gateway.buildWebhook(session, {
+      outcome,
+      method,
+      amount: amount === undefined ? undefined : Number(amount),
+    });
+    const [status, body] = await processWebhook(
+      req,
+      gateway,
+      Buffer.from(webhook.rawBody),
+      webhook.headers
+    );
+
+    res.status(status).json({ ...body, webhook });
+  } catch (err) {
+    console.error("Error completing fake checkout:", err);
+    res.status(500).json({ error: "Failed to complete checkout" });
+  }
+}
+
+module.exports = {
+  createInvoiceCheckout,
+  getCheckoutSessions,
+  getCheckoutSession,
+  receiveWebhook,
+  getFakeCheckout,
+  completeFakeCheckout,
+};
@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const {
+  PAYMENT_GATEWAY,
+  PAYMENT_GATEWAY_ENABLED,
+  PAYMENT_GATEWAY_SECRET_KEY,
+  PAYMENT_GATEWAY_API_URL,
+  PAYMENT_WEBHOOK_SECRET,
+  FAKE_GATEWAY_ENABLED,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+  CHECKOUT_SUCCESS_URL,
+  CHECKOUT_CANCEL_URL,
+} = require("../../config/payments");
+
+// A gateway is an object with a `name`, the payment `methods` it offers and:
+// - async createCheckout(session) resolving to { gatewaySessionId,
+//   checkoutUrl }, where `session` is { id, invoiceNumber, description,
+//   amount, currency, methods }
+// - verifyWebhook(rawBody, headers), whether a webhook is signed by the
+//   gateway
+// - parseWebhook(payload), the webhook as { id, type, gatewaySessionId,
+//   transactionId, amount, currency, method, paidAt, failureReason }. `type`
+//   is "payment.succeeded", "payment.failed" or null for events of no
+//   interest.
+
+// Payment methods a checkout can offer: cards and e-wallets
+const CHECKOUT_METHODS = ["card", "gcash", "paymaya"];
+
+// HMAC signature of a webhook body sent at `timestamp` (seconds)
+function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest("hex");
+}
+
+// Parse a "t=...,v1=..." signature header into its parts
+function parseSignatureHeader(header) {
+  return Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter(([key]) => key)
+  );
+}
+
+// Whether a signature matches the body and was made recently enough
+function isValidSignature(secret, timestamp, signature, rawBody) {
+  if (!secret || !timestamp || !signature || !rawBody) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= PAYMENT_WEBHOOK_TOLERANCE_SECONDS)) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, rawBody), "hex");
+  const actual = Buffer.from(String(signature), "hex");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// Local gateway for testing the checkout flow offline. Customers "pay" by
+// posting to the checkout URL, which makes the gateway send the webhook it
+// builds with `buildWebhook`. Without a webhook secret it signs with a random
+// one of its own.
+function createFakeGateway(
+  secret = PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex")
+) {
+  if (!FAKE_GATEWAY_ENABLED) {
+    throw new Error("The fake payment gateway cannot be used in production");
+  }
+
+  return {
+    name: "fake",
+    methods: CHECKOUT_METHODS,
+    async createCheckout() {
+      const gatewaySessionId = `fake_cs_${crypto
+        .randomBytes(12)
+        .toString("hex")}`;
+      return {
+        gatewaySessionId,
+        checkoutUrl: `/api/checkout/fake/${gatewaySessionId}`,
+      };
+    },
+    // Signed webhook for a checkout session that was paid (`outcome` "paid")
+    // or whose payment failed, as { rawBody, headers }
+    buildWebhook(session, options = {}) {
+      const paid = (options.outcome || "paid") === "paid";
+      const payload = {
+        id: `fake_evt_${crypto.randomBytes(12).toString("hex")}`,
+        type: paid ? "payment.succeeded" : "payment.failed",
+        data: {
+          sessionId: session.gatewaySessionId,
+          transactionId: `fake_tx_${crypto.randomBytes(12).toString("hex")}`,
+          amount:
+            options.amount === undefined ? session.amount : options.amount,
+          currency: session.currency,
+          method: options.method || session.methods[0],
+          paidAt: paid ? new Date().toISOString() : null,
+          failureReason: paid ? null : "Payment declined",
+        },
+      };
+      const rawBody = JSON.stringify(payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      return {
+        rawBody,
+        headers: {
+          "content-type": "application/json",
+          "x-fake-signature": `t=${timestamp},v1=${signPayload(
+            secret,
+            timestamp,
+            rawBody
+          )}`,
+        },
+      };
+    },
+    verifyWebhook(rawBody, headers) {
+      const { t, v1 } = parseSignatureHeader(headers["x-fake-signature"]);
+      return isValidSignature(secret, t, v1, rawBody);
+    },
+    parseWebhook(payload) {
+      const data = payload.data || {};
+      return {
+        id: payload.id,
+        type: payload.type,
+        gatewaySessionId: data.sessionId,
+        transactionId: data.transactionId,
+        amount: Number(data.amount),
+        currency: data.currency,
+        method: data.method,
+        paidAt: data.paidAt ? new Date(data.paidAt) : null,
+        failureReason: data.failureReason,
+      };
+    },
+  };
+}
+
+// Amounts in the smallest currency unit, as PayMongo expects them
+function toMinorUnits(amount) {
+  return Math.round(amount * 100);
+}
+
+// Cards, GCash and Maya through PayMongo hosted checkout pages
+function createPaymongoGateway(
+  secretKey = PAYMENT_GATEWAY_SECRET_KEY,
+  webhookSecret = PAYMENT_WEBHOOK_SECRET
+) {
+  if (!secretKey || !webhookSecret) {
+    throw new Error(
+      "PayMongo needs PAYMENT_GATEWAY_SECRET_KEY and PAYMENT_WEBHOOK_SECRET"
+    );
+  }
+
+  const authorization = `Basic ${Buffer.from(`${secretKey}:`).toString(
+    "base64"
+  )}`;
+
+  return {
+    name: "paymongo",
+    methods: CHECKOUT_METHODS,
+    async createCheckout(session) {
+      const response = await fetch(
+        `${PAYMENT_GATEWAY_API_URL}/checkout_sessions`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: authorization,
+            Accept: "application/json",
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            data: {
+              attributes: {
+                line_items: [
+                  {
+                    name: session.description,
+                    amount: toMinorUnits(session.amount),
+                    currency: session.currency,
+                    quantity: 1,
+                  },
+                ],
+                payment_method_types: session.methods,
+                reference_number: session.invoiceNumber,
+                description: session.description,
+                success_url: CHECKOUT_SUCCESS_URL,
+                cancel_url: CHECKOUT_CANCEL_URL,
+                metadata: { checkoutSessionId: String(session.id) },
+              },
+            },
+          }),
+        }
+      );
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const detail =
+          body.errors && body.errors[0]
+            ? body.errors[0].detail
+            : response.statusText;
+        throw new Error(`PayMongo checkout failed: ${detail}`);
+      }
+      return {
+        gatewaySessionId: body.data.id,
+        checkoutUrl: body.data.attributes.checkout_url,
+      };
+    },
+    // Live mode events are signed in `li`, test mode events in `te`
+    verifyWebhook(rawBody, headers) {
+      const { t, te, li } = parseSignatureHeader(headers["paymongo-signature"]);
+      return isValidSignature(webhookSecret, t, li || te, rawBody);
+    },
+    parseWebhook(payload) {
+      const event = payload.data || {};
+      const attributes = event.attributes || {};
+      if (attributes.type !== "checkout_session.payment.paid") {
+        return { id: event.id, type: null };
+      }
+
+      const checkout = attributes.data || {};
+      const checkoutAttributes = checkout.attributes || {};
+      const [payment = {}] = checkoutAttributes.payments || [];
+      const paid = payment.attributes || {};
+      return {
+        id: event.id,
+        type: "payment.succeeded",
+        gatewaySessionId: checkout.id,
+        transactionId: payment.id,
+        amount: Number(paid.amount) / 100,
+        currency: paid.currency,
+        method: checkoutAttributes.payment_method_used,
+        paidAt: paid.paid_at ? new Date(paid.paid_at * 1000) : null,
+      };
+    },
+  };
+}
+
+const GATEWAYS = {
+  fake: createFakeGateway,
+  paymongo: createPaymongoGateway,
+};
+
+let gateway = null;
+
+// Get the configured gateway
+function getGateway() {
+  if (!gateway) {
+    if (!PAYMENT_GATEWAY_ENABLED) {
+      throw new Error("Online payments are disabled (PAYMENT_GATEWAY=none)");
+    }
+    const create = GATEWAYS[PAYMENT_GATEWAY];
+    if (!create) {
+      throw new Error(`Unknown payment gateway "${PAYMENT_GATEWAY}"`);
+    }
+    gateway = create();
+  }
+  return gateway;
+}
+
+// Replace the gateway, e.g. with a custom one or a stub in tests
+function setGateway(customGateway) {
+  gateway = customGateway;
+}
+
+module.exports = {
+  CHECKOUT_METHODS,
+  signPayload,
+  createFakeGateway,
+  createPaymongoGateway,
+  getGateway,
+  setGateway,
+};
@@ -0,0 +1,151 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// The fake gateway is only available when chosen; config is read at require
+// time
+process.env.PAYMENT_GATEWAY = "fake";
+
+const {
+  signPayload,
+  createFakeGateway,
+  createPaymongoGateway,
+} = require("./checkout.gateways");
+
+const SECRET = "whsec_test";
+
+// A checkout session as the gateway sees it
+const session = {
+  gatewaySessionId: "fake_cs_1",
+  amount: 1500,
+  currency: "PHP",
+  methods: ["gcash"],
+};
+
+describe("fake gateway webhooks", () => {
+  const gateway = createFakeGateway(SECRET);
+
+  it("accepts the webhooks it signs", () => {
+    const { rawBody, headers } = gateway.buildWebhook(session);
+    assert.equal(gateway.verifyWebhook(rawBody, headers), true);
+
+    const event = gateway.parseWebhook(JSON.parse(rawBody));
+    assert.equal(event.type, "payment.succeeded");
+    assert.equal(event.gatewaySessionId, "fake_cs_1");
+    assert.equal(event.amount, 1500);
+    assert.equal(event.method, "gcash");
+  });
+
+  it("rejects a tampered body", () => {
+    const { rawBody, headers } = gateway.buildWebhook(session);
+    const tampered = rawBody.replace('"amount":1500', '"amount":15000');
+    assert.notEqual(tampered, rawBody);
+    assert.equal(gateway.verifyWebhook(tampered, headers), false);
+  });
+
+  it("rejects webhooks signed with another secret", () => {
+    const { rawBody, headers } =
+      createFakeGateway("other").buildWebhook(session);
+    assert.equal(gateway.verifyWebhook(rawBody, headers), false);
+  });
+
+  it("rejects missing or malformed signatures", () => {
+    const { rawBody } = gateway.buildWebhook(session);
+    assert.equal(gateway.verifyWebhook(rawBody, {}), false);
+    assert.equal(
+      gateway.verifyWebhook(rawBody, { "x-fake-signature": "t=1,v1=zz" }),
+      false
+    );
+  });
+
+  it("rejects webhooks signed too long ago", () => {
+    const rawBody = JSON.stringify({ id: "evt_old" });
+    const timestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+    const headers = {
+      "x-fake-signature": `t=${timestamp},v1=${signPayload(
+        SECRET,
+        timestamp,
+        rawBody
+      )}`,
+    };
+    assert.equal(gateway.verifyWebhook(rawBody, headers), false);
+  });
+
+  it("reports failed payments", () => {
+    const { rawBody } = gateway.buildWebhook(session, { outcome: "failed" });
+    const event = gateway.parseWebhook(JSON.parse(rawBody));
+    assert.equal(event.type, "payment.failed");
+    assert.equal(event.paidAt, null);
+    assert.equal(event.failureReason, "Payment declined");
+  });
+});
+
+describe("PayMongo gateway webhooks", () => {
+  const gateway = createPaymongoGateway("sk_test", SECRET);
+  const rawBody = JSON.stringify({
+    data: {
+      id: "evt_1",
+      attributes: {
+        type: "checkout_session.payment.paid",
+        data: {
+          id: "cs_1",
+          attributes: {
+            payment_method_used: "gcash",
+            payments: [
+              {
+                id: "pay_1",
+                attributes: {
+                  amount: 150050,
+                  currency: "PHP",
+                  paid_at: 1735689600,
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  });
+
+  // PayMongo signature header with the signature under `key`
+  function signatureHeader(key, secret = SECRET) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(secret, timestamp, rawBody);
+    return { "paymongo-signature": `t=${timestamp},${key}=${signature}` };
+  }
+
+  it("accepts live and test mode signatures", () => {
+    assert.equal(gateway.verifyWebhook(rawBody, signatureHeader("li")), true);
+    assert.equal(gateway.verifyWebhook(rawBody, signatureHeader("te")), true);
+  });
+
+  it("rejects signatures made with another secret", () => {
+    assert.equal(
+      gateway.verifyWebhook(rawBody, signatureHeader("li", "other")),
+      false
+    );
+  });
+
+  it("converts paid checkouts from centavos", () => {
+    assert.deepEqual(gateway.parseWebhook(JSON.parse(rawBody)), {
+      id: "evt_1",
+      type: "payment.succeeded",
+      gatewaySessionId: "cs_1",
+      transactionId: "pay_1",
+      amount: 1500.5,
+      currency: "PHP",
+      method: "gcash",
+      paidAt: new Date("2025-01-01T00:00:00Z"),
+    });
+  });
+
+  it("ignores other events", () => {
+    const event = gateway.parseWebhook({
+      data: { id: "evt_2", attributes: { type: "payment.refunded" } },
+    });
+    assert.deepEqual(event, { id: "evt_2", type: null });
+  });
+
+  it("needs its keys", () => {
+    assert.throws(() => createPaymongoGateway("", SECRET), /PayMongo needs/);
+  });
+});
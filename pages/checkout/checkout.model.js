@@ -0,0 +1,202 @@
+const mongoose = require("mongoose");
+
+// Checkout session statuses. Open sessions can still be paid at the gateway.
+// A session needs review when money was paid that its invoice did not take,
+// e.g. more than the balance or in the wrong currency, and has to be
+// refunded or credited by hand.
+const CHECKOUT_STATUSES = ["Open", "Paid", "Failed", "Needs Review"];
+
+// Places a checkout can be started from
+const CHECKOUT_SOURCES = ["staff", "portal"];
+
+// Checkout session schema; one attempt to pay an invoice online
+const CheckoutSessionSchema = new mongoose.Schema(
+  {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    gatewaySessionId: {
+      type: String,
+      default: null,
+    },
+    checkoutUrl: {
+      type: String,
+    },
+    methods: [String],
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: CHECKOUT_STATUSES,
+      default: "Open",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: CHECKOUT_SOURCES,
+      default: "staff",
+    },
+    transactionId: {
+      type: String,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    paidAt: {
+      type: Date,
+    },
+    // What was paid at the gateway but not applied to the invoice
+    unappliedAmount: {
+      type: Number,
+      default: 0,
+    },
+    reviewReason: {
+      type: String,
+    },
+    failureReason: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Webhooks find their session by the gateway's ID for it
+CheckoutSessionSchema.index(
+  { gateway: 1, gatewaySessionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { gatewaySessionId: { $type: "string" } },
+  }
+);
+
+const CheckoutSession = mongoose.model(
+  "CheckoutSession",
+  CheckoutSessionSchema
+);
+
+// Create checkout session
+async function createCheckoutSession(data) {
+  const session = await CheckoutSession.create(data);
+  return session.toObject();
+}
+
+// Store the gateway's ID and payment page of a session
+async function setGatewaySession(id, { gatewaySessionId, checkoutUrl }) {
+  return CheckoutSession.findByIdAndUpdate(
+    id,
+    { gatewaySessionId, checkoutUrl },
+    { new: true }
+  ).lean();
+}
+
+// Open session of an invoice for `amount` that has not expired yet, so
+// asking to pay twice reuses the same payment page
+async function findOpenCheckoutSession(invoiceId, amount, gateway) {
+  return CheckoutSession.findOne({
+    invoiceId,
+    amount,
+    gateway,
+    status: "Open",
+    gatewaySessionId: { $ne: null },
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+// Find checkout session by ID
+async function findCheckoutSessionById(id) {
+  return CheckoutSession.findById(id).lean();
+}
+
+// Find checkout session by the gateway's ID for it
+async function findCheckoutSessionByGatewayId(gateway, gatewaySessionId) {
+  return CheckoutSession.findOne({ gateway, gatewaySessionId }).lean();
+}
+
+// Get checkout sessions, newest first
+async function listCheckoutSessions(filters = {}) {
+  const query = {};
+  if (filters.invoiceId) query.invoiceId = filters.invoiceId;
+  if (filters.customerId) query.customerId = filters.customerId;
+  if (filters.status) query.status = filters.status;
+
+  return CheckoutSession.find(query)
+    .populate("invoiceId", "invoiceNumber billingPeriod")
+    .populate("customerId", "fullName")
+    .sort({ createdAt: -1 })
+    .limit(filters.limit || 100)
+    .lean();
+}
+
+// Mark a session paid with the payment recorded for it. A failed session
+// can still be paid, e.g. when the customer retried at the gateway. When
+// part or all of what was paid could not be applied (`unappliedAmount`, for
+// `reviewReason`) the session needs review instead.
+async function markCheckoutPaid(id, data) {
+  const unappliedAmount = data.unappliedAmount || 0;
+  return CheckoutSession.findByIdAndUpdate(
+    id,
+    {
+      status: unappliedAmount > 0 ? "Needs Review" : "Paid",
+      transactionId: data.transactionId,
+      paymentId: data.paymentId || null,
+      paidAt: data.paidAt,
+      unappliedAmount,
+      reviewReason: unappliedAmount > 0 ? data.reviewReason : null,
+      failureReason: null,
+    },
+    { new: true }
+  ).lean();
+}
+
+// Mark an open session failed
+async function markCheckoutFailed(id, failureReason) {
+  return CheckoutSession.findOneAndUpdate(
+    { _id: id, status: "Open" },
+    { status: "Failed", failureReason },
+    { new: true }
+  ).lean();
+}
+
+module.exports = {
+  CheckoutSession,
+  CHECKOUT_STATUSES,
+  CHECKOUT_SOURCES,
+  createCheckoutSession,
+  setGatewaySession,
+  findOpenCheckoutSession,
+  findCheckoutSessionById,
+  findCheckoutSessionByGatewayId,
+  listCheckoutSessions,
+  markCheckoutPaid,
+  markCheckoutFailed,
+};
@@ -0,0 +1,44 @@
+const express = require("express");
+const {
+  createInvoiceCheckout,
+  getCheckoutSessions,
+  getCheckoutSession,
+  receiveWebhook,
+  getFakeCheckout,
+  completeFakeCheckout,
+} = require("./checkout.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+const { FAKE_GATEWAY_ENABLED } = require("../../config/payments");
+
+const router = express.Router();
+
+router.post(
+  "/invoices/:id",
+  authenticateToken,
+  requirePermission("payments:write"),
+  createInvoiceCheckout
+);
+router.get(
+  "/sessions",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getCheckoutSessions
+);
+router.get(
+  "/sessions/:id",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getCheckoutSession
+);
+
+// Gateways authenticate webhooks by signing them
+router.post("/webhooks/:gateway", receiveWebhook);
+
+// Payment pages of the fake gateway, which only exist while it is in use
+if (FAKE_GATEWAY_ENABLED) {
+  router.get("/fake/:sessionId", getFakeCheckout);
+  router.post("/fake/:sessionId", completeFakeCheckout);
+}
+
+module.exports = router;
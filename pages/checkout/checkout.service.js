@@ -0,0 +1,267 @@
+const {
+  createCheckoutSession,
+  setGatewaySession,
+  findOpenCheckoutSession,
+  findCheckoutSessionByGatewayId,
+  markCheckoutPaid,
+  markCheckoutFailed,
+} = require("./checkout.model");
+const { getGateway } = require("./checkout.gateways");
+const {
+  getInvoiceById,
+  getBalance,
+  settleInvoicePayment,
+} = require("../invoices/invoices.model");
+const { findPaymentByTransaction } = require("../payments/payments.model");
+const { applyPayment } = require("../payments/payments.service");
+const { roundAmount } = require("../invoices/totals");
+const { CURRENCY } = require("../../config/company");
+const { CHECKOUT_SESSION_TTL_MINUTES } = require("../../config/payments");
+
+// Why an invoice cannot be paid online, or null when it can
+function checkoutError(invoice) {
+  if (invoice.status === "Void") return "Invoice has been voided";
+  if (getBalance(invoice) <= 0) return "Invoice is already paid";
+  return null;
+}
+
+// Payment methods asked for in a request; every method the gateway offers
+// when none are given. Returns { error } or { methods }.
+function parseCheckoutMethods(methods) {
+  const offered = getGateway().methods;
+  if (methods === undefined) return { methods: offered };
+
+  const list = Array.isArray(methods) ? methods : [methods];
+  const unknown = list.filter((method) => !offered.includes(method));
+  if (list.length === 0 || unknown.length > 0) {
+    return { error: `methods must be some of: ${offered.join(", ")}` };
+  }
+  return { methods: [...new Set(list)] };
+}
+
+// Open a checkout session at the gateway for the outstanding balance of an
+// invoice. An open session for the same balance is reused, so a customer
+// cannot be sent two payment pages for one bill.
+async function startCheckout(invoice, options = {}) {
+  const gateway = getGateway();
+  const amount = getBalance(invoice);
+
+  const existing = await findOpenCheckoutSession(
+    invoice._id,
+    amount,
+    gateway.name
+  );
+  if (existing) return existing;
+
+  const methods = options.methods || gateway.methods;
+  const session = await createCheckoutSession({
+    invoiceId: invoice._id,
+    customerId: invoice.customerId._id || invoice.customerId,
+    gateway: gateway.name,
+    methods,
+    amount,
+    currency: CURRENCY,
+    expiresAt: new Date(Date.now() + CHECKOUT_SESSION_TTL_MINUTES * 60 * 1000),
+    source: options.source,
+    createdBy: options.userId,
+  });
+
+  try {
+    const result = await gateway.createCheckout({
+      id: session._id,
+      invoiceNumber: invoice.invoiceNumber,
+      description: `Invoice ${invoice.invoiceNumber} for ${invoice.billingPeriod}`,
+      amount,
+      currency: CURRENCY,
+      methods,
+    });
+    return await setGatewaySession(session._id, result);
+  } catch (err) {
+    await markCheckoutFailed(session._id, err.message);
+    throw err;
+  }
+}
+
+// Mark a session paid by a payment. Whatever of `paidAmount`, the amount the
+// gateway took, the payment did not cover was more than the invoice balance
+// and is left on the session for review.
+async function markPaidBy(session, payment, paidAmount) {
+  const unappliedAmount = roundAmount(paidAmount - payment.amount);
+  if (unappliedAmount > 0) {
+    console.warn(
+      `Checkout ${session._id} was paid ${unappliedAmount} ${session.currency} more than the invoice balance`
+    );
+  }
+
+  return markCheckoutPaid(session._id, {
+    transactionId: payment.gatewayTransactionId,
+    paymentId: payment._id,
+    paidAt: payment.paidAt,
+    unappliedAmount,
+    reviewReason: "Paid more than the invoice balance",
+  });
+}
+
+// Keep a payment the invoice cannot take on its session for review, to be
+// refunded or credited by hand
+async function flagForReview(session, event, reason) {
+  console.warn(`Checkout ${session._id} needs review: ${reason}`);
+  return markCheckoutPaid(session._id, {
+    transactionId: event.transactionId,
+    paidAt: event.paidAt || new Date(),
+    unappliedAmount: roundAmount(event.amount),
+    reviewReason: reason,
+  });
+}
+
+// Bring a session and its invoice in line with a payment recorded by an
+// earlier delivery of the same webhook, which may have stopped halfway
+async function finishRecordedPayment(session, payment, paidAmount) {
+  if (session.status === "Paid" || session.status === "Needs Review") {
+    return session;
+  }
+
+  await settleInvoicePayment(session.invoiceId, payment.paidAt);
+  return markPaidBy(session, payment, paidAmount);
+}
+
+// Apply a verified webhook event from a gateway. Each gateway transaction is
+// recorded as a payment once, however often it is delivered. A payment is
+// applied up to the invoice balance; money the invoice cannot take, paid in
+// another currency or for an invoice settled, voided or removed meanwhile,
+// is flagged for review. Resolves to { result, session, ... } where `result`
+// is "recorded" (with the payment, the invoice before and after, the amount
+// left unapplied and any reconnection), "needs-review", "duplicate",
+// "failed", "ignored", "unknown-session" or "invalid". Every result but
+// "invalid" acknowledges the webhook, so the gateway stops resending it.
+async function handleGatewayEvent(gatewayName, event) {
+  if (event.type !== "payment.succeeded" && event.type !== "payment.failed") {
+    return { result: "ignored" };
+  }
+  if (
+    !event.gatewaySessionId ||
+    (event.type === "payment.succeeded" &&
+      (!event.transactionId || !(event.amount > 0)))
+  ) {
+    return { result: "invalid" };
+  }
+
+  const session = await findCheckoutSessionByGatewayId(
+    gatewayName,
+    event.gatewaySessionId
+  );
+  if (!session) {
+    console.warn(
+      `Webhook ${event.id} from ${gatewayName} is for unknown session ${event.gatewaySessionId}`
+    );
+    return { result: "unknown-session" };
+  }
+
+  if (event.type === "payment.failed") {
+    const failed = await markCheckoutFailed(
+      session._id,
+      event.failureReason || "Payment failed"
+    );
+    return { result: "failed", session: failed || session };
+  }
+
+  const existing = await findPaymentByTransaction(
+    gatewayName,
+    event.transactionId
+  );
+  if (existing) {
+    return {
+      result: "duplicate",
+      session: await finishRecordedPayment(session, existing, event.amount),
+      payment: existing,
+    };
+  }
+
+  // Flagged by an earlier delivery without recording a payment
+  if (
+    session.status === "Needs Review" &&
+    session.transactionId === event.transactionId
+  ) {
+    return { result: "duplicate", session };
+  }
+
+  if (String(event.currency).toUpperCase() !== session.currency.toUpperCase()) {
+    const reason = `Paid in ${event.currency} instead of ${session.currency}`;
+    return {
+      result: "needs-review",
+      session: await flagForReview(session, event, reason),
+    };
+  }
+
+  const invoice = await getInvoiceById(session.invoiceId, {
+    includeDeleted: true,
+  });
+  if (!invoice) {
+    return {
+      result: "needs-review",
+      session: await flagForReview(session, event, "Invoice no longer exists"),
+    };
+  }
+
+  let applied;
+  try {
+    applied = await applyPayment(
+      invoice,
+      {
+        amount: roundAmount(event.amount),
+        paymentMethod: "Online Payment",
+        referenceNumber: event.transactionId,
+        paidAt: event.paidAt || new Date(),
+        notes: `Paid by ${
+          event.method || "online payment"
+        } through ${gatewayName}`,
+        gateway: gatewayName,
+        gatewayTransactionId: event.transactionId,
+      },
+      { capAtBalance: true }
+    );
+  } catch (err) {
+    // A concurrent delivery of the same webhook recorded it first
+    if (err.code === 11000) {
+      const payment = await findPaymentByTransaction(
+        gatewayName,
+        event.transactionId
+      );
+      return {
+        result: "duplicate",
+        session: await finishRecordedPayment(session, payment, event.amount),
+        payment,
+      };
+    }
+    throw err;
+  }
+
+  // The invoice was settled, voided or deleted after the checkout was opened
+  if (!applied) {
+    return {
+      result: "needs-review",
+      session: await flagForReview(
+        session,
+        event,
+        "Invoice can no longer take the payment"
+      ),
+    };
+  }
+
+  const paidSession = await markPaidBy(session, applied.payment, event.amount);
+
+  return {
+    result: "recorded",
+    session: paidSession,
+    invoiceBefore: invoice,
+    unappliedAmount: paidSession.unappliedAmount,
+    ...applied,
+  };
+}
+
+module.exports = {
+  checkoutError,
+  parseCheckoutMethods,
+  startCheckout,
+  handleGatewayEvent,
+};
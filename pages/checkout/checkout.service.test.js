@@ -0,0 +1,156 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const checkouts = require("./checkout.model");
+const invoices = require("../invoices/invoices.model");
+const payments = require("../payments/payments.model");
+const paymentsService = require("../payments/payments.service");
+
+// One checkout session and the payments recorded so far, kept in memory; the
+// service takes its dependencies at require time, so they are replaced
+// before it is loaded
+let session;
+let recorded;
+let invoiceBalance;
+
+checkouts.findCheckoutSessionByGatewayId = async (gateway, id) =>
+  id === session.gatewaySessionId ? session : null;
+checkouts.markCheckoutPaid = async (id, data) => {
+  const unappliedAmount = data.unappliedAmount || 0;
+  session = {
+    ...session,
+    ...data,
+    unappliedAmount,
+    status: unappliedAmount > 0 ? "Needs Review" : "Paid",
+  };
+  return session;
+};
+checkouts.markCheckoutFailed = async (id, failureReason) => {
+  session = { ...session, status: "Failed", failureReason };
+  return session;
+};
+invoices.getInvoiceById = async () => ({ _id: "inv1", customerId: "cust1" });
+invoices.settleInvoicePayment = async () => {};
+payments.findPaymentByTransaction = async (gateway, transactionId) =>
+  recorded.find((payment) => payment.gatewayTransactionId === transactionId) ||
+  null;
+paymentsService.applyPayment = async (invoice, data, options) => {
+  assert.equal(options.capAtBalance, true);
+  const amount = Math.min(data.amount, invoiceBalance);
+  if (amount <= 0) return null;
+  invoiceBalance -= amount;
+  const payment = { _id: `pay${recorded.length + 1}`, ...data, amount };
+  recorded.push(payment);
+  return { payment, invoice: { ...invoice, balance: invoiceBalance } };
+};
+
+const { handleGatewayEvent } = require("./checkout.service");
+
+// A successful payment webhook for the session
+function paidEvent(overrides = {}) {
+  return {
+    id: "evt_1",
+    type: "payment.succeeded",
+    gatewaySessionId: "cs_1",
+    transactionId: "tx_1",
+    amount: 1500,
+    currency: "PHP",
+    method: "gcash",
+    paidAt: new Date("2025-01-15T08:00:00Z"),
+    ...overrides,
+  };
+}
+
+describe("handleGatewayEvent", () => {
+  beforeEach(() => {
+    session = {
+      _id: "chk1",
+      gatewaySessionId: "cs_1",
+      invoiceId: "inv1",
+      currency: "PHP",
+      status: "Open",
+    };
+    recorded = [];
+    invoiceBalance = 1500;
+  });
+
+  it("records a paid checkout as a payment", async () => {
+    const outcome = await handleGatewayEvent("fake", paidEvent());
+
+    assert.equal(outcome.result, "recorded");
+    assert.equal(outcome.payment.amount, 1500);
+    assert.equal(outcome.payment.paymentMethod, "Online Payment");
+    assert.equal(outcome.session.status, "Paid");
+    assert.equal(outcome.unappliedAmount, 0);
+  });
+
+  it("records a redelivered webhook only once", async () => {
+    await handleGatewayEvent("fake", paidEvent());
+    const outcome = await handleGatewayEvent("fake", paidEvent());
+
+    assert.equal(outcome.result, "duplicate");
+    assert.equal(recorded.length, 1);
+    assert.equal(outcome.session.status, "Paid");
+  });
+
+  it("leaves what the invoice cannot take for review", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    invoiceBalance = 1000;
+    const outcome = await handleGatewayEvent("fake", paidEvent());
+
+    assert.equal(outcome.result, "recorded");
+    assert.equal(outcome.payment.amount, 1000);
+    assert.equal(outcome.unappliedAmount, 500);
+    assert.equal(outcome.session.status, "Needs Review");
+  });
+
+  it("flags payments the invoice can no longer take", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    invoiceBalance = 0;
+    const outcome = await handleGatewayEvent("fake", paidEvent());
+
+    assert.equal(outcome.result, "needs-review");
+    assert.equal(outcome.session.unappliedAmount, 1500);
+    assert.equal(recorded.length, 0);
+  });
+
+  it("flags payments in another currency", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const outcome = await handleGatewayEvent(
+      "fake",
+      paidEvent({ currency: "USD" })
+    );
+
+    assert.equal(outcome.result, "needs-review");
+    assert.equal(outcome.session.reviewReason, "Paid in USD instead of PHP");
+    assert.equal(recorded.length, 0);
+  });
+
+  it("marks failed payments", async () => {
+    const outcome = await handleGatewayEvent("fake", {
+      id: "evt_2",
+      type: "payment.failed",
+      gatewaySessionId: "cs_1",
+      failureReason: "Payment declined",
+    });
+
+    assert.equal(outcome.result, "failed");
+    assert.equal(outcome.session.failureReason, "Payment declined");
+  });
+
+  it("acknowledges events it cannot use", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    assert.equal(
+      (await handleGatewayEvent("fake", { type: null })).result,
+      "ignored"
+    );
+    assert.equal(
+      (await handleGatewayEvent("fake", paidEvent({ gatewaySessionId: "x" })))
+        .result,
+      "unknown-session"
+    );
+    assert.equal(
+      (await handleGatewayEvent("fake", paidEvent({ amount: 0 }))).result,
+      "invalid"
+    );
+  });
+});
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Counter schema
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const Counter = mongoose.model("Counter", CounterSchema);
+
+// Atomically increment a named counter and return the new value. Pass
+// `increment` to reserve a block of values; the last one is returned.
+async function nextSequence(key, options = {}) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: options.increment || 1 } },
+    { new: true, upsert: true, session: options.session }
+  );
+  return counter.seq;
+}
+
+// Raise a named counter to at least `value`, creating it if needed
+async function seedSequence(key, value, options = {}) {
+  await Counter.updateOne(
+    { _id: key },
+    { $max: { seq: value } },
+    { upsert: true, session: options.session }
+  );
+}
+
+module.exports = {
+  Counter,
+  nextSequence,
+  seedSequence,
+};
@@ -1,9 +1,55 @@
+const { once } = require("events");
+const mongoose = require("mongoose");
 const {
+  CUSTOMER_SORT_FIELDS,
+  SUBSCRIPTION_STATUSES,
   createCustomer,
   listCustomers,
+  streamCustomers,
+  findCustomerById,
+  isOnPlan,
   updateCustomer,
-  deleteCustomer,
+  canChangeStatus,
+  changeCustomerStatus,
+  restoreCustomer,
 } = require("./customers.model");
+const { removeCustomer } = require("./customers.lifecycle");
+const { findPlan, isPlanAvailable } = require("../plans/plans.model");
+const { countUnpaidInvoicesByCustomer } = require("../invoices/invoices.model");
+const {
+  getCustomerStatement,
+  statementToCsv,
+} = require("./customers.statement");
+const { renderStatementPdf } = require("./customers.pdf");
+const { validateCustomerBody } = require("./customers.validation");
+const {
+  parseCustomerCsv,
+  importCustomers,
+  customerCsvHeader,
+  customerToCsvLine,
+} = require("./customers.csv");
+const { parsePageParams, parseDateParam } = require("../../utils/pagination");
+const { recordAudit } = require("../audit/audit.model");
+const {
+  queueProvisioning,
+  requestProvisioning,
+} = require("../provisioning/provisioning.service");
+const { createInstallationTicket } = require("../tickets/tickets.model");
+
+// Provisioning action for each subscription status a customer moves to
+const STATUS_PROVISIONING_ACTIONS = {
+  Active: "reconnect",
+  Suspended: "suspend",
+  Paused: "pause",
+  Terminated: "terminate",
+};
+
+// Push a customer's account to the network in the background
+function provision(customerId, action) {
+  requestProvisioning(customerId, action).catch((err) =>
+    console.error(`Error queueing provisioning for ${customerId}:`, err)
+  );
+}
 
 // Create customer
 async function addCustomer(req, res) {
@@ -16,24 +62,20 @@ async function addCustomer(req, res) {
       landmark,
       contactNumber,
       email,
+      planId,
       planType,
       subscriptionStartDate,
+      taxExempt,
     } = req.body;
 
-    if (
-      !fullName ||
-      !addressStreet ||
-      !addressCity ||
-      !addressZip ||
-      !contactNumber ||
-      !email ||
-      !planType ||
-      !subscriptionStartDate
-    ) {
-      return res.status(400).json({
-        error:
-          "fullName, addressStreet, addressCity, addressZip, contactNumber, email, planType and subscriptionStartDate are required",
-      });
+    const error = validateCustomerBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const plan = await findPlan({ planId, planType });
+    if (!plan || !isPlanAvailable(plan)) {
+      return res.status(400).json({ error: "Plan not found or not available" });
     }
 
     const customer = await createCustomer({
@@ -44,10 +86,27 @@ async function addCustomer(req, res) {
       landmark,
       contactNumber,
       email,
-      planType,
+      plan,
       subscriptionStartDate: new Date(subscriptionStartDate),
+      taxExempt: taxExempt === true || taxExempt === "true",
     });
 
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Customer",
+      entityId: customer._id,
+      after: customer,
+    });
+
+    provision(customer._id, "create");
+
+    createInstallationTicket(customer, req.userId).catch((err) =>
+      console.error(
+        `Error opening installation ticket for ${customer._id}:`,
+        err
+      )
+    );
+
     res.status(201).json(customer);
   } catch (err) {
     console.error("Error creating customer:", err);
@@ -55,10 +114,59 @@ async function addCustomer(req, res) {
   }
 }
 
-// Get all customers
+// Parse customer list filters from query parameters; returns { error } or
+// { filters }
+function parseCustomerFilters(query) {
+  const { planId, planType, status, city, zip, search, includeDeleted } = query;
+  const subscribedFrom = parseDateParam(query.subscribedFrom);
+  const subscribedTo = parseDateParam(query.subscribedTo, { endOfDay: true });
+
+  if (subscribedFrom === null || subscribedTo === null) {
+    return { error: "subscribedFrom and subscribedTo must be valid dates" };
+  }
+
+  if (planId && !mongoose.isValidObjectId(planId)) {
+    return { error: "planId must be a valid ID" };
+  }
+
+  if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+    return {
+      error: `status must be one of: ${SUBSCRIPTION_STATUSES.join(", ")}`,
+    };
+  }
+
+  return {
+    filters: {
+      planId,
+      planType,
+      status,
+      city,
+      zip,
+      subscribedFrom,
+      subscribedTo,
+      search,
+      includeDeleted: includeDeleted === "true",
+    },
+  };
+}
+
+// Get a page of customers
 async function getCustomers(req, res) {
   try {
-    const customers = await listCustomers();
+    const { error, filters } = parseCustomerFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = parsePageParams(req.query, {
+      sortFields: CUSTOMER_SORT_FIELDS,
+      defaultSort: "createdAt",
+    });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const customers = await listCustomers(filters, page);
     res.json(customers);
   } catch (err) {
     console.error("Error fetching customers:", err);
@@ -66,6 +174,85 @@ async function getCustomers(req, res) {
   }
 }
 
+// Import customers from CSV, sent as text/csv or as { csv } JSON. With
+// ?dryRun=true the rows are only validated.
+async function importCustomersCsv(req, res) {
+  try {
+    const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+    const dryRun = req.query.dryRun === "true" || req.body?.dryRun === true;
+
+    if (!csv) {
+      return res.status(400).json({
+        error: "Send the CSV as text/csv or as { csv } JSON",
+      });
+    }
+
+    const { error, records } = parseCustomerCsv(csv);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await importCustomers(records, { dryRun });
+
+    if (!dryRun && result.created > 0) {
+      const customerIds = result.rows
+        .filter((row) => row.status === "created")
+        .map((row) => row.customerId);
+
+      await recordAudit(req, {
+        action: "import",
+        entityType: "Customer",
+        metadata: {
+          created: result.created,
+          duplicates: result.duplicates,
+          errors: result.errors,
+          customerIds,
+        },
+      });
+
+      queueProvisioning(customerIds, "create").catch((err) =>
+        console.error("Error queueing provisioning for imports:", err)
+      );
+    }
+
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (err) {
+    console.error("Error importing customers:", err);
+    res.status(500).json({ error: "Failed to import customers" });
+  }
+}
+
+// Export the customers matching the list filters as CSV
+async function exportCustomersCsv(req, res) {
+  try {
+    const { error, filters } = parseCustomerFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="customers-${date}.csv"`
+    );
+
+    res.write(customerCsvHeader());
+    for await (const customer of streamCustomers(filters)) {
+      if (!res.write(customerToCsvLine(customer))) {
+        await once(res, "drain");
+      }
+    }
+    res.end();
+  } catch (err) {
+    console.error("Error exporting customers:", err);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).json({ error: "Failed to export customers" });
+  }
+}
+
 // Update customer
 async function updateCustomerById(req, res) {
   try {
@@ -78,24 +265,34 @@ async function updateCustomerById(req, res) {
       landmark,
       contactNumber,
       email,
+      planId,
       planType,
       subscriptionStartDate,
+      planEffectiveDate,
+      taxExempt,
     } = req.body;
 
-    if (
-      !fullName ||
-      !addressStreet ||
-      !addressCity ||
-      !addressZip ||
-      !contactNumber ||
-      !email ||
-      !planType ||
-      !subscriptionStartDate
-    ) {
-      return res.status(400).json({
-        error:
-          "fullName, addressStreet, addressCity, addressZip, contactNumber, email, planType and subscriptionStartDate are required",
-      });
+    const error = validateCustomerBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const effectiveFrom = parseDateParam(planEffectiveDate);
+    if (effectiveFrom === null) {
+      return res
+        .status(400)
+        .json({ error: "planEffectiveDate must be a valid date" });
+    }
+
+    const existing = await findCustomerById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    // Customers may stay on a retired plan, but cannot switch to one
+    const plan = await findPlan({ planId, planType });
+    if (!plan || (!isOnPlan(existing, plan) && !isPlanAvailable(plan))) {
+      return res.status(400).json({ error: "Plan not found or not available" });
     }
 
     const customer = await updateCustomer(id, {
@@ -106,14 +303,31 @@ async function updateCustomerById(req, res) {
       landmark,
       contactNumber,
       email,
-      planType,
+      plan,
       subscriptionStartDate: new Date(subscriptionStartDate),
+      planEffectiveDate: effectiveFrom,
+      taxExempt:
+        taxExempt === undefined
+          ? undefined
+          : taxExempt === true || taxExempt === "true",
     });
 
     if (!customer) {
       return res.status(404).json({ error: "Customer not found" });
     }
 
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Customer",
+      entityId: customer._id,
+      before: existing,
+      after: customer,
+    });
+
+    if (customer.bandwidthMbps !== existing.bandwidthMbps) {
+      provision(customer._id, "plan-change");
+    }
+
     res.json(customer);
   } catch (err) {
     console.error("Error updating customer:", err);
@@ -121,26 +335,231 @@ async function updateCustomerById(req, res) {
   }
 }
 
-// Delete customer
-async function deleteCustomerById(req, res) {
+// Move a customer's subscription to another status, e.g. pause or terminate
+// it. Reasons are required for anything but reactivation; the effective date
+// defaults to now and cannot be in the future.
+async function changeSubscriptionStatus(req, res) {
   try {
     const { id } = req.params;
-    const customer = await deleteCustomer(id);
+    const { status, reason } = req.body;
+    const effectiveFrom = parseDateParam(req.body.effectiveFrom);
+
+    if (!SUBSCRIPTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${SUBSCRIPTION_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (status !== "Active" && !(typeof reason === "string" && reason.trim())) {
+      return res.status(400).json({ error: "A reason is required" });
+    }
+
+    if (effectiveFrom === null) {
+      return res
+        .status(400)
+        .json({ error: "effectiveFrom must be a valid date" });
+    }
+
+    if (effectiveFrom && effectiveFrom > new Date()) {
+      return res
+        .status(400)
+        .json({ error: "effectiveFrom cannot be in the future" });
+    }
+
+    const existing = await findCustomerById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    const current = existing.status || "Active";
+    if (!canChangeStatus(current, status)) {
+      return res.status(400).json({
+        error: `A ${current.toLowerCase()} subscription cannot become ${status.toLowerCase()}`,
+      });
+    }
+
+    const customer = await changeCustomerStatus(id, current, {
+      status,
+      reason: reason ? reason.trim() : undefined,
+      effectiveFrom,
+      userId: req.userId,
+    });
 
     if (!customer) {
+      return res.status(409).json({
+        error: "Customer status changed in the meantime; reload and retry",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "status-change",
+      entityType: "Customer",
+      entityId: customer._id,
+      before: existing,
+      after: customer,
+      metadata: { from: current, to: status, reason },
+    });
+
+    provision(customer._id, STATUS_PROVISIONING_ACTIONS[status]);
+
+    res.json(customer);
+  } catch (err) {
+    console.error("Error changing subscription status:", err);
+    res.status(500).json({ error: "Failed to change subscription status" });
+  }
+}
+
+// Delete customer. Customers with unpaid invoices are only removed when
+// `unpaidInvoices` says whether to void those invoices or keep collecting them.
+async function deleteCustomerById(req, res) {
+  try {
+    const { id } = req.params;
+    const { unpaidInvoices } = req.query;
+
+    if (unpaidInvoices && !["void", "keep"].includes(unpaidInvoices)) {
+      return res.status(400).json({
+        error: "unpaidInvoices must be one of: void, keep",
+      });
+    }
+
+    const existing = await findCustomerById(id);
+    if (!existing) {
       return res.status(404).json({ error: "Customer not found" });
     }
 
-    res.json({ message: "Customer deleted successfully", customer });
+    const unpaidCount = await countUnpaidInvoicesByCustomer(id);
+    if (unpaidCount > 0 && !unpaidInvoices) {
+      return res.status(400).json({
+        error:
+          "Customer has unpaid invoices; set unpaidInvoices to void or keep",
+        unpaidInvoices: unpaidCount,
+      });
+    }
+
+    const removed = await removeCustomer(id, {
+      userId: req.userId,
+      voidUnpaid: unpaidInvoices === "void",
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+    const { customer, voidedInvoices } = removed;
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Customer",
+      entityId: customer._id,
+      before: existing,
+      after: customer,
+      metadata:
+        unpaidCount > 0 ? { unpaidInvoices, voidedInvoices } : undefined,
+    });
+
+    provision(customer._id, "delete");
+
+    res.json({
+      message: "Customer deleted successfully",
+      customer,
+      voidedInvoices,
+    });
   } catch (err) {
     console.error("Error deleting customer:", err);
     res.status(500).json({ error: "Failed to delete customer" });
   }
 }
 
+// Restore a deleted customer
+async function restoreCustomerById(req, res) {
+  try {
+    const { id } = req.params;
+    const customer = await restoreCustomer(id);
+
+    if (!customer) {
+      return res.status(404).json({ error: "Deleted customer not found" });
+    }
+
+    await recordAudit(req, {
+      action: "restore",
+      entityType: "Customer",
+      entityId: customer._id,
+      after: customer,
+    });
+
+    provision(customer._id, "restore");
+
+    res.json({ message: "Customer restored successfully", customer });
+  } catch (err) {
+    console.error("Error restoring customer:", err);
+    res.status(500).json({ error: "Failed to restore customer" });
+  }
+}
+
+// Get a customer's statement of account as JSON, PDF or CSV
+async function getStatement(req, res) {
+  try {
+    const { id } = req.params;
+    const format = req.query.format || "json";
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to, { endOfDay: true });
+
+    if (!["json", "pdf", "csv"].includes(format)) {
+      return res
+        .status(400)
+        .json({ error: "format must be one of: json, pdf, csv" });
+    }
+
+    if (from === null || to === null) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
+
+    if (from && to && from > to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const customer = await findCustomerById(id, { includeDeleted: true });
+    if (!customer) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    const statement = await getCustomerStatement(customer, {
+      from,
+      to: to || new Date(),
+    });
+
+    const filename = `statement-${customer._id}`;
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.pdf"`
+      );
+      return renderStatementPdf(statement).pipe(res);
+    }
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}.csv"`
+      );
+      return res.send(statementToCsv(statement));
+    }
+
+    res.json(statement);
+  } catch (err) {
+    console.error("Error building customer statement:", err);
+    res.status(500).json({ error: "Failed to build customer statement" });
+  }
+}
+
 module.exports = {
   addCustomer,
   getCustomers,
+  importCustomersCsv,
+  exportCustomersCsv,
   updateCustomerById,
+  changeSubscriptionStatus,
   deleteCustomerById,
+  restoreCustomerById,
+  getStatement,
 };
@@ -0,0 +1,206 @@
+const { createCustomer, findCustomersByContact } = require("./customers.model");
+const { validateCustomerBody } = require("./customers.validation");
+const { findPlan, isPlanAvailable } = require("../plans/plans.model");
+const { parseCsv, toCsvLine } = require("../../utils/csv");
+
+// Largest import accepted in one request
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns read on import and written first on export
+const CUSTOMER_CSV_FIELDS = [
+  "fullName",
+  "addressStreet",
+  "addressCity",
+  "addressZip",
+  "landmark",
+  "contactNumber",
+  "email",
+  "planId",
+  "planType",
+  "subscriptionStartDate",
+  "taxExempt",
+];
+
+// Extra read-only columns on export
+const EXPORT_ONLY_FIELDS = ["id", "bandwidthMbps", "monthlyFee", "createdAt"];
+
+// Undo the apostrophe exports put in front of formula-like values
+function cleanCsvValue(value) {
+  const trimmed = value.trim();
+  return /^'[=+\-@]/.test(trimmed) ? trimmed.slice(1) : trimmed;
+}
+
+// Turn parsed CSV rows into records keyed by field name. Header names are
+// matched case-insensitively; unknown columns are ignored.
+function toRecords(rows) {
+  const [header, ...dataRows] = rows;
+  const fields = header.map((name) =>
+    CUSTOMER_CSV_FIELDS.find(
+      (field) => field.toLowerCase() === name.trim().toLowerCase()
+    )
+  );
+
+  return dataRows.map((values) => {
+    const record = {};
+    fields.forEach((field, index) => {
+      if (field && values[index] !== undefined) {
+        record[field] = cleanCsvValue(values[index]);
+      }
+    });
+    return record;
+  });
+}
+
+// Parse and check import CSV text; returns { error } or { records }
+function parseCustomerCsv(text) {
+  const rows = parseCsv(text || "");
+
+  if (rows.length < 2) {
+    return { error: "CSV must have a header row and at least one customer" };
+  }
+
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `CSV can have at most ${MAX_IMPORT_ROWS} customers` };
+  }
+
+  return { records: toRecords(rows) };
+}
+
+// Validate and create customers from CSV records. Each row is checked with
+// the same rules as creating a customer, and rows whose email or contact
+// number is already used, in the database or earlier in the file, are
+// reported as duplicates. With `dryRun` nothing is saved.
+async function importCustomers(records, { dryRun = false } = {}) {
+  const existing = await findCustomersByContact(
+    records.map((record) => String(record.email || "").toLowerCase()),
+    records.map((record) => record.contactNumber)
+  );
+  const emails = new Set(existing.map((customer) => customer.email));
+  const contactNumbers = new Set(
+    existing.map((customer) => customer.contactNumber)
+  );
+
+  const plans = new Map();
+  const results = [];
+
+  for (const [index, record] of records.entries()) {
+    // Row 1 is the header
+    const result = { row: index + 2, email: record.email };
+    const errors = [];
+
+    const error = validateCustomerBody(record);
+    if (error) errors.push(error);
+
+    let plan = null;
+    if (record.planId || record.planType) {
+      const key = record.planId || `name:${record.planType}`;
+      if (!plans.has(key)) {
+        plans.set(
+          key,
+          await findPlan({ planId: record.planId, planType: record.planType })
+        );
+      }
+      plan = plans.get(key);
+      if (!plan || !isPlanAvailable(plan)) {
+        errors.push("Plan not found or not available");
+      }
+    }
+
+    if (errors.length > 0) {
+      results.push({ ...result, status: "error", errors });
+      continue;
+    }
+
+    const email = record.email.toLowerCase();
+    const duplicates = [];
+    if (emails.has(email)) duplicates.push(`email ${email} is already used`);
+    if (contactNumbers.has(record.contactNumber)) {
+      duplicates.push(`contact number ${record.contactNumber} is already used`);
+    }
+    if (duplicates.length > 0) {
+      results.push({ ...result, status: "duplicate", errors: duplicates });
+      continue;
+    }
+
+    emails.add(email);
+    contactNumbers.add(record.contactNumber);
+
+    if (dryRun) {
+      results.push({ ...result, status: "valid" });
+      continue;
+    }
+
+    try {
+      const customer = await createCustomer({
+        fullName: record.fullName,
+        addressStreet: record.addressStreet,
+        addressCity: record.addressCity,
+        addressZip: record.addressZip,
+        landmark: record.landmark,
+        contactNumber: record.contactNumber,
+        email: record.email,
+        plan,
+        subscriptionStartDate: new Date(record.subscriptionStartDate),
+        taxExempt: String(record.taxExempt).toLowerCase() === "true",
+      });
+      results.push({ ...result, status: "created", customerId: customer._id });
+    } catch (err) {
+      console.error(`Error importing customer row ${result.row}:`, err);
+      results.push({
+        ...result,
+        status: "error",
+        errors: [err.message || "Failed to create customer"],
+      });
+    }
+  }
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  return {
+    dryRun,
+    total: records.length,
+    [dryRun ? "valid" : "created"]: count(dryRun ? "valid" : "created"),
+    duplicates: count("duplicate"),
+    errors: count("error"),
+    rows: results,
+  };
+}
+
+// Format a date as YYYY-MM-DD for spreadsheets
+function formatCsvDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+// CSV header line of customer exports
+function customerCsvHeader() {
+  return toCsvLine([...CUSTOMER_CSV_FIELDS, ...EXPORT_ONLY_FIELDS]);
+}
+
+// CSV line of one exported customer; it can be imported again as is
+function customerToCsvLine(customer) {
+  return toCsvLine([
+    customer.fullName,
+    customer.addressStreet,
+    customer.addressCity,
+    customer.addressZip,
+    customer.landmark,
+    customer.contactNumber,
+    customer.email,
+    customer.planId ? String(customer.planId) : "",
+    customer.planType,
+    formatCsvDate(customer.subscriptionStartDate),
+    customer.taxExempt ? "true" : "false",
+    String(customer._id),
+    customer.bandwidthMbps,
+    customer.monthlyFee,
+    customer.createdAt,
+  ]);
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseCustomerCsv,
+  importCustomers,
+  customerCsvHeader,
+  customerToCsvLine,
+};
@@ -0,0 +1,131 @@
+const {
+  NON_PAYMENT_REASON,
+  findCustomerById,
+  changeCustomerStatus,
+  suspendCustomers,
+  deleteCustomer,
+} = require("./customers.model");
+const {
+  createInvoice,
+  findCustomerIdsWithUnpaidDueBefore,
+  hasUnpaidInvoicesDueBefore,
+  voidUnpaidInvoicesByCustomer,
+} = require("../invoices/invoices.model");
+const { computeInvoiceTotals } = require("../invoices/totals");
+const {
+  queueProvisioning,
+  requestProvisioning,
+} = require("../provisioning/provisioning.service");
+const {
+  SUSPENSION_GRACE_DAYS,
+  RECONNECTION_FEE,
+  RECONNECTION_FEE_DUE_DAYS,
+} = require("../../config/subscriptions");
+const { withTransaction } = require("../../utils/transactions");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoices due before this moment are past the grace period at `asOf`
+function graceCutoff(asOf) {
+  return new Date(asOf.getTime() - SUSPENSION_GRACE_DAYS * DAY_MS);
+}
+
+// Suspend active customers with an invoice unpaid for longer than the grace
+// period; resolves to the IDs of the customers suspended
+async function suspendOverdueCustomers(asOf = new Date()) {
+  const customerIds = await findCustomerIdsWithUnpaidDueBefore(
+    graceCutoff(asOf)
+  );
+  if (customerIds.length === 0) return [];
+
+  const suspendedIds = await suspendCustomers(customerIds);
+  await queueProvisioning(suspendedIds, "suspend");
+  return suspendedIds;
+}
+
+// Invoice the reconnection fee to a customer. It is a fee invoice, so it
+// does not take the place of the period's subscription invoice.
+async function createReconnectionFeeInvoice(customer, now) {
+  const totals = computeInvoiceTotals(
+    [
+      {
+        type: "reconnection",
+        description: "Reconnection fee",
+        unitPrice: RECONNECTION_FEE,
+      },
+    ],
+    { taxExempt: customer.taxExempt }
+  );
+  return createInvoice({
+    customerId: customer._id,
+    kind: "Reconnection Fee",
+    ...totals,
+    billingPeriod: now.toISOString().slice(0, 7),
+    dueDate: new Date(now.getTime() + RECONNECTION_FEE_DUE_DAYS * DAY_MS),
+    status: "Pending",
+  });
+}
+
+// Reconnect a customer suspended for non-payment once no invoice is unpaid
+// past the grace period any more. The reconnection fee, if one is set, is
+// invoiced unless `waiveFee` is set. Resolves to null when the customer stays
+// as it is, or to { customer, feeInvoice }.
+async function reconnectIfSettled(customerId, options = {}) {
+  const existing = await findCustomerById(customerId);
+  if (
+    !existing ||
+    existing.status !== "Suspended" ||
+    existing.statusReason !== NON_PAYMENT_REASON
+  ) {
+    return null;
+  }
+
+  const now = new Date();
+  if (await hasUnpaidInvoicesDueBefore(customerId, graceCutoff(now))) {
+    return null;
+  }
+
+  const customer = await changeCustomerStatus(customerId, "Suspended", {
+    status: "Active",
+    reason: "Reconnected after payment",
+    userId: options.userId,
+  });
+  if (!customer) return null;
+
+  requestProvisioning(customer._id, "reconnect").catch((err) =>
+    console.error(`Error queueing provisioning for ${customer._id}:`, err)
+  );
+
+  const feeInvoice =
+    RECONNECTION_FEE > 0 && !options.waiveFee
+      ? await createReconnectionFeeInvoice(customer, now)
+      : null;
+
+  return { before: existing, customer, feeInvoice };
+}
+
+// Soft-delete a customer, voiding its unpaid invoices with `voidUnpaid`. Both
+// happen in one transaction, so a customer is never left deleted with its
+// invoices still owing or the other way round. Resolves to null when the
+// customer does not exist, or to { customer, voidedInvoices }.
+async function removeCustomer(id, options = {}) {
+  return withTransaction(async (session) => {
+    const customer = await deleteCustomer(id, options.userId, { session });
+    if (!customer) return null;
+
+    const voidedInvoices = options.voidUnpaid
+      ? await voidUnpaidInvoicesByCustomer(id, {
+          userId: options.userId,
+          reason: "Customer removed",
+          session,
+        })
+      : 0;
+    return { customer, voidedInvoices };
+  });
+}
+
+module.exports = {
+  suspendOverdueCustomers,
+  reconnectIfSettled,
+  removeCustomer,
+};
@@ -1,12 +1,27 @@
 const mongoose = require("mongoose");
+const {
+  paginate,
+  prefixPattern,
+  exactPattern,
+  dateRange,
+} = require("../../utils/pagination");
 
-// Plan configuration
-const PLAN_CONFIG = {
-  Basic: { bandwidthMbps: 10, monthlyFee: 800 },
-  Standard: { bandwidthMbps: 50, monthlyFee: 1100 },
-  Premium: { bandwidthMbps: 100, monthlyFee: 1400 },
+// Subscription statuses and the statuses each one can move to. Terminated
+// subscriptions are final.
+const SUBSCRIPTION_STATUSES = ["Active", "Suspended", "Paused", "Terminated"];
+const SUBSCRIPTION_TRANSITIONS = {
+  Active: ["Suspended", "Paused", "Terminated"],
+  Suspended: ["Active", "Terminated"],
+  Paused: ["Active", "Terminated"],
+  Terminated: [],
 };
 
+// Network sync states of a customer's account
+const PROVISIONING_STATUSES = ["Pending", "Synced", "Failed"];
+
+// Reason recorded when a customer is suspended automatically
+const NON_PAYMENT_REASON = "Non-payment";
+
 // Customer schema
 const CustomerSchema = new mongoose.Schema(
   {
@@ -45,9 +60,13 @@ const CustomerSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Plan",
+      index: true,
+    },
     planType: {
       type: String,
-      enum: ["Basic", "Standard", "Premium"],
       required: true,
     },
     bandwidthMbps: {
@@ -62,19 +81,110 @@ const CustomerSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    taxExempt: {
+      type: Boolean,
+      default: false,
+    },
+    planHistory: [
+      {
+        _id: false,
+        planId: { type: mongoose.Schema.Types.ObjectId, ref: "Plan" },
+        planType: String,
+        bandwidthMbps: Number,
+        monthlyFee: Number,
+        effectiveFrom: Date,
+      },
+    ],
+    status: {
+      type: String,
+      enum: SUBSCRIPTION_STATUSES,
+      default: "Active",
+    },
+    statusReason: {
+      type: String,
+      trim: true,
+    },
+    statusEffectiveFrom: {
+      type: Date,
+    },
+    terminatedAt: {
+      type: Date,
+      default: null,
+    },
+    statusHistory: [
+      {
+        _id: false,
+        status: { type: String, enum: SUBSCRIPTION_STATUSES },
+        reason: String,
+        effectiveFrom: Date,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: Date,
+      },
+    ],
+    provisioning: {
+      status: { type: String, enum: PROVISIONING_STATUSES },
+      state: String,
+      bandwidthMbps: Number,
+      adapter: String,
+      attempts: Number,
+      lastAttemptAt: Date,
+      syncedAt: Date,
+      lastError: String,
+      jobId: { type: mongoose.Schema.Types.ObjectId, ref: "ProvisioningJob" },
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   { timestamps: true }
 );
 
+// Indexes behind the list filters and sort orders
+CustomerSchema.index({ deletedAt: 1, createdAt: 1 });
+CustomerSchema.index({ planType: 1 });
+CustomerSchema.index({ addressCity: 1 });
+CustomerSchema.index({ addressZip: 1 });
+CustomerSchema.index({ subscriptionStartDate: 1 });
+CustomerSchema.index({ fullName: 1 });
+CustomerSchema.index({ email: 1 });
+CustomerSchema.index({ contactNumber: 1 });
+CustomerSchema.index({ status: 1 });
+
 const Customer = mongoose.model("Customer", CustomerSchema);
 
+// Fields customer lists can be sorted by
+const CUSTOMER_SORT_FIELDS = [
+  "createdAt",
+  "fullName",
+  "addressCity",
+  "subscriptionStartDate",
+  "monthlyFee",
+];
+
+// Plan fields copied onto the customer and its plan history
+function planSnapshot(plan) {
+  return {
+    planId: plan._id,
+    planType: plan.name,
+    bandwidthMbps: plan.bandwidthMbps,
+    monthlyFee: plan.monthlyFee,
+  };
+}
+
+// Whether a customer is on the given plan
+function isOnPlan(customer, plan) {
+  if (customer.planId)
+    return customer.planId.toString() === plan._id.toString();
+  return customer.planType === plan.name;
+}
+
 // Create customer
 async function createCustomer(data) {
-  const plan = PLAN_CONFIG[data.planType];
-  if (!plan) {
-    throw new Error("Invalid plan type");
-  }
-
   const customer = await Customer.create({
     fullName: data.fullName,
     addressStreet: data.addressStreet,
@@ -83,56 +193,289 @@ async function createCustomer(data) {
     landmark: data.landmark,
     contactNumber: data.contactNumber,
     email: data.email,
-    planType: data.planType,
-    bandwidthMbps: plan.bandwidthMbps,
-    monthlyFee: plan.monthlyFee,
+    ...planSnapshot(data.plan),
     subscriptionStartDate: data.subscriptionStartDate,
+    taxExempt: data.taxExempt,
+    planHistory: [
+      {
+        ...planSnapshot(data.plan),
+        effectiveFrom: data.subscriptionStartDate,
+      },
+    ],
+    status: "Active",
+    statusEffectiveFrom: data.subscriptionStartDate,
+    statusHistory: [
+      {
+        status: "Active",
+        reason: "New subscription",
+        effectiveFrom: data.subscriptionStartDate,
+        changedAt: new Date(),
+      },
+    ],
   });
   return customer;
 }
 
-// Get all customers
-async function listCustomers() {
-  return Customer.find().lean();
+// Query condition that hides soft-deleted records unless asked for
+function notDeleted(options = {}) {
+  return options.includeDeleted ? {} : { deletedAt: null };
 }
 
-// Update customer
+// Query condition matching customers whose name, email or contact number
+// starts with the search
+function customerSearchQuery(search) {
+  return {
+    $or: [
+      { fullName: prefixPattern(search, { ignoreCase: true }) },
+      { email: prefixPattern(String(search).toLowerCase()) },
+      { contactNumber: prefixPattern(search) },
+    ],
+  };
+}
+
+// Query matching the customer list filters
+function buildCustomerQuery(filters = {}) {
+  const query = { ...notDeleted(filters) };
+  if (filters.planId) query.planId = filters.planId;
+  if (filters.planType) query.planType = filters.planType;
+  if (filters.status) query.status = filters.status;
+  if (filters.city) query.addressCity = exactPattern(filters.city);
+  if (filters.zip) query.addressZip = filters.zip;
+  const subscribed = dateRange(filters.subscribedFrom, filters.subscribedTo);
+  if (subscribed) query.subscriptionStartDate = subscribed;
+  if (filters.search) Object.assign(query, customerSearchQuery(filters.search));
+  return query;
+}
+
+// Get a page of customers matching the filters
+async function listCustomers(filters = {}, page) {
+  return paginate(Customer, buildCustomerQuery(filters), page);
+}
+
+// Cursor over every customer matching the filters, oldest first, for exports
+function streamCustomers(filters = {}) {
+  return Customer.find(buildCustomerQuery(filters))
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+}
+
+// Existing customers sharing any of the given emails or contact numbers
+async function findCustomersByContact(emails, contactNumbers) {
+  return Customer.find({
+    deletedAt: null,
+    $or: [
+      { email: { $in: emails } },
+      { contactNumber: { $in: contactNumbers } },
+    ],
+  })
+    .select("fullName email contactNumber")
+    .lean();
+}
+
+// IDs of customers matching a search, for searching related records
+async function findCustomerIdsBySearch(search) {
+  return Customer.distinct("_id", customerSearchQuery(search));
+}
+
+// Find customer by ID
+async function findCustomerById(id, options = {}) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Customer.findOne({ _id: id, ...notDeleted(options) }).lean();
+}
+
+// Update customer. A plan change is appended to the plan history, effective
+// from `planEffectiveDate` (default now), so earlier periods keep their rate.
+// Moving the subscription start earlier moves the start of the first plan
+// with it, so the extra days are billed at that plan's rate.
 async function updateCustomer(id, data) {
-  const plan = PLAN_CONFIG[data.planType];
-  if (!plan) {
-    throw new Error("Invalid plan type");
+  const customer = await Customer.findOne({ _id: id, deletedAt: null });
+  if (!customer) return null;
+
+  if (!isOnPlan(customer, data.plan)) {
+    if (customer.planHistory.length === 0) {
+      customer.planHistory.push({
+        planId: customer.planId,
+        planType: customer.planType,
+        bandwidthMbps: customer.bandwidthMbps,
+        monthlyFee: customer.monthlyFee,
+        effectiveFrom: customer.subscriptionStartDate,
+      });
+    }
+    customer.planHistory.push({
+      ...planSnapshot(data.plan),
+      effectiveFrom: data.planEffectiveDate || new Date(),
+    });
   }
 
-  const customer = await Customer.findByIdAndUpdate(
-    id,
+  customer.set({
+    fullName: data.fullName,
+    addressStreet: data.addressStreet,
+    addressCity: data.addressCity,
+    addressZip: data.addressZip,
+    landmark: data.landmark,
+    contactNumber: data.contactNumber,
+    email: data.email,
+    ...planSnapshot(data.plan),
+    subscriptionStartDate: data.subscriptionStartDate,
+  });
+  if (data.taxExempt !== undefined) customer.taxExempt = data.taxExempt;
+
+  const [firstPlan] = customer.planHistory;
+  if (firstPlan && data.subscriptionStartDate < firstPlan.effectiveFrom) {
+    firstPlan.effectiveFrom = data.subscriptionStartDate;
+  }
+
+  await customer.save();
+  return customer;
+}
+
+// Whether a subscription can move from one status to another
+function canChangeStatus(from, to) {
+  return (SUBSCRIPTION_TRANSITIONS[from || "Active"] || []).includes(to);
+}
+
+// Move a customer's subscription to a new status and record it in the status
+// history. Resolves to null when the customer does not exist or is no longer
+// in `from`, e.g. because it changed in the meantime.
+async function changeCustomerStatus(id, from, change) {
+  const now = new Date();
+  const effectiveFrom = change.effectiveFrom || now;
+  const customer = await Customer.findOneAndUpdate(
+    {
+      _id: id,
+      deletedAt: null,
+      status: from === "Active" ? { $in: ["Active", null] } : from,
+    },
     {
-      fullName: data.fullName,
-      addressStreet: data.addressStreet,
-      addressCity: data.addressCity,
-      addressZip: data.addressZip,
-      landmark: data.landmark,
-      contactNumber: data.contactNumber,
-      email: data.email,
-      planType: data.planType,
-      bandwidthMbps: plan.bandwidthMbps,
-      monthlyFee: plan.monthlyFee,
-      subscriptionStartDate: data.subscriptionStartDate,
-    },
-    { new: true, runValidators: true }
+      status: change.status,
+      statusReason: change.reason,
+      statusEffectiveFrom: effectiveFrom,
+      terminatedAt: change.status === "Terminated" ? effectiveFrom : null,
+      $push: {
+        statusHistory: {
+          status: change.status,
+          reason: change.reason,
+          effectiveFrom,
+          changedBy: change.userId,
+          changedAt: now,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  return customer;
+}
+
+// Suspend the active customers among `ids` for non-payment; resolves to the
+// IDs of the customers suspended
+async function suspendCustomers(ids) {
+  const now = new Date();
+  const query = {
+    _id: { $in: ids },
+    deletedAt: null,
+    status: { $in: ["Active", null] },
+  };
+  const suspendedIds = await Customer.distinct("_id", query);
+  if (suspendedIds.length === 0) return [];
+
+  await Customer.updateMany(
+    { ...query, _id: { $in: suspendedIds } },
+    {
+      status: "Suspended",
+      statusReason: NON_PAYMENT_REASON,
+      statusEffectiveFrom: now,
+      $push: {
+        statusHistory: {
+          status: "Suspended",
+          reason: NON_PAYMENT_REASON,
+          effectiveFrom: now,
+          changedAt: now,
+        },
+      },
+    }
+  );
+  return suspendedIds;
+}
+
+// Record the network sync state of a customer's account. With `jobId` the
+// state is only recorded while that job is the customer's latest push (or
+// no job was recorded yet), so a finished job never overwrites the state of
+// a newer one queued meanwhile.
+async function setProvisioningState(id, state, options = {}) {
+  const filter = { _id: id };
+  if (options.jobId) {
+    filter["provisioning.jobId"] = { $in: [options.jobId, null] };
+  }
+
+  const update = Object.fromEntries(
+    Object.entries(state).map(([key, value]) => [`provisioning.${key}`, value])
+  );
+  await Customer.updateOne(filter, update);
+}
+
+// Count customers on a plan
+async function countCustomersByPlan(planId) {
+  return Customer.countDocuments({ planId });
+}
+
+// IDs of the current customers on a plan
+async function findCustomerIdsByPlan(planId) {
+  return Customer.distinct("_id", { planId, deletedAt: null });
+}
+
+// Refresh the plan fields of every customer on a plan after it changes
+async function syncCustomersPlan(plan) {
+  const { planType, bandwidthMbps, monthlyFee } = planSnapshot(plan);
+  const result = await Customer.updateMany(
+    { planId: plan._id },
+    { planType, bandwidthMbps, monthlyFee }
   );
+  return result.modifiedCount;
+}
+
+// Soft-delete customer; invoices keep pointing at it and it can be restored
+async function deleteCustomer(id, userId, options = {}) {
+  const customer = await Customer.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    { deletedAt: new Date(), deletedBy: userId },
+    { new: true, session: options.session }
+  ).lean();
   return customer;
 }
 
-// Delete customer
-async function deleteCustomer(id) {
-  const customer = await Customer.findByIdAndDelete(id);
+// Restore a soft-deleted customer
+async function restoreCustomer(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const customer = await Customer.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null, $unset: { deletedBy: 1 } },
+    { new: true }
+  ).lean();
   return customer;
 }
 
 module.exports = {
   Customer,
+  CUSTOMER_SORT_FIELDS,
+  SUBSCRIPTION_STATUSES,
+  PROVISIONING_STATUSES,
+  NON_PAYMENT_REASON,
   createCustomer,
   listCustomers,
+  streamCustomers,
+  findCustomersByContact,
+  findCustomerIdsBySearch,
+  findCustomerById,
+  isOnPlan,
   updateCustomer,
+  canChangeStatus,
+  changeCustomerStatus,
+  suspendCustomers,
+  setProvisioningState,
+  countCustomersByPlan,
+  findCustomerIdsByPlan,
+  syncCustomersPlan,
   deleteCustomer,
+  restoreCustomer,
 };
@@ -0,0 +1,184 @@
+const PDFDocument = require("pdfkit");
+const {
+  COMPANY_NAME,
+  COMPANY_ADDRESS,
+  COMPANY_CONTACT,
+} = require("../../config/company");
+const { formatMoney, formatDate } = require("../../utils/format");
+const { AGING_BUCKETS } = require("./customers.statement");
+
+const MARGIN = 50;
+const BRAND_COLOR = "#1d4ed8";
+const MUTED_COLOR = "#555555";
+
+// Company header and statement period
+function drawHeader(doc, statement) {
+  const top = doc.y;
+
+  doc.fillColor(BRAND_COLOR).font("Helvetica-Bold").fontSize(18);
+  doc.text(COMPANY_NAME, MARGIN, top, { width: 280 });
+  doc.fillColor(MUTED_COLOR).font("Helvetica").fontSize(9);
+  if (COMPANY_ADDRESS) doc.text(COMPANY_ADDRESS, { width: 280 });
+  if (COMPANY_CONTACT) doc.text(COMPANY_CONTACT, { width: 280 });
+  const leftBottom = doc.y;
+
+  const right = { width: 200, align: "right" };
+  doc.fillColor("black").font("Helvetica-Bold").fontSize(16);
+  doc.text("STATEMENT", 345, top, right);
+  doc.font("Helvetica").fontSize(9);
+  const period = statement.from
+    ? `${formatDate(statement.from)} to ${formatDate(statement.to)}`
+    : `Up to ${formatDate(statement.to)}`;
+  doc.text(period, 345, doc.y, right);
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+}
+
+// Customer address
+function drawCustomer(doc, customer) {
+  doc.fillColor(MUTED_COLOR).font("Helvetica-Bold").fontSize(9);
+  doc.text("ACCOUNT", MARGIN, doc.y);
+  doc.fillColor("black").font("Helvetica-Bold").fontSize(11);
+  doc.text(customer.fullName || "");
+  doc.font("Helvetica").fontSize(9);
+  doc.text(customer.addressStreet || "");
+  doc.text(
+    [customer.addressCity, customer.addressZip].filter(Boolean).join(" ")
+  );
+  if (customer.email) doc.text(customer.email);
+  doc.y += 20;
+}
+
+// Ledger table between the opening and closing balance
+function drawEntries(doc, statement) {
+  const columns = [
+    { label: "Date", x: MARGIN, width: 70, align: "left" },
+    { label: "Description", x: 125, width: 190, align: "left" },
+    { label: "Debit", x: 320, width: 70, align: "right" },
+    { label: "Credit", x: 395, width: 70, align: "right" },
+    { label: "Balance", x: 470, width: 75, align: "right" },
+  ];
+
+  const drawRow = (values, font) => {
+    if (doc.y > doc.page.height - MARGIN - 30) doc.addPage();
+    const top = doc.y;
+    let bottom = top;
+    doc.font(font).fontSize(9).fillColor("black");
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, top, {
+        width: column.width,
+        align: column.align,
+      });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+
+  const rule = () => {
+    doc
+      .moveTo(MARGIN, doc.y)
+      .lineTo(545, doc.y)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.y += 4;
+  };
+
+  drawRow(
+    columns.map((column) => column.label),
+    "Helvetica-Bold"
+  );
+  rule();
+
+  drawRow(
+    [
+      formatDate(statement.from),
+      "Opening balance",
+      "",
+      "",
+      formatMoney(statement.openingBalance),
+    ],
+    "Helvetica-Bold"
+  );
+  for (const entry of statement.entries) {
+    drawRow(
+      [
+        formatDate(entry.date),
+        entry.description,
+        entry.debit ? formatMoney(entry.debit) : "",
+        entry.credit ? formatMoney(entry.credit) : "",
+        formatMoney(entry.balance),
+      ],
+      "Helvetica"
+    );
+  }
+  drawRow(
+    [
+      formatDate(statement.to),
+      "Closing balance",
+      "",
+      "",
+      formatMoney(statement.closingBalance),
+    ],
+    "Helvetica-Bold"
+  );
+
+  rule();
+  doc.y += 12;
+}
+
+// Aging of the amount owed
+function drawAging(doc, aging) {
+  if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+
+  doc.x = MARGIN;
+  doc.fillColor(MUTED_COLOR).font("Helvetica-Bold").fontSize(9);
+  doc.text("AGING");
+  doc.y += 4;
+
+  const width = 495 / (AGING_BUCKETS.length + 1);
+  const columns = [
+    ...AGING_BUCKETS.map(({ key, label }) => ({ label, value: aging[key] })),
+    { label: "Total due", value: aging.total },
+  ];
+
+  const top = doc.y;
+  doc.fillColor("black").font("Helvetica-Bold");
+  columns.forEach((column, index) => {
+    doc.text(column.label, MARGIN + index * width, top, {
+      width,
+      align: "right",
+    });
+  });
+  const valuesTop = doc.y + 2;
+  doc.font("Helvetica");
+  columns.forEach((column, index) => {
+    doc.text(formatMoney(column.value), MARGIN + index * width, valuesTop, {
+      width,
+      align: "right",
+    });
+  });
+}
+
+// Render a customer statement as a PDF document stream
+function renderStatementPdf(statement) {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    info: {
+      Title: `Statement of account - ${statement.customer.fullName}`,
+      Author: COMPANY_NAME,
+    },
+  });
+
+  drawHeader(doc, statement);
+  drawCustomer(doc, statement.customer);
+  drawEntries(doc, statement);
+  drawAging(doc, statement.aging);
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  renderStatementPdf,
+};
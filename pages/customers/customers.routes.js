@@ -2,16 +2,73 @@ const express = require("express");
 const {
   addCustomer,
   getCustomers,
+  importCustomersCsv,
+  exportCustomersCsv,
   updateCustomerById,
+  changeSubscriptionStatus,
   deleteCustomerById,
+  restoreCustomerById,
+  getStatement,
 } = require("./customers.controller");
 const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
 
 const router = express.Router();
 
-router.get("/", authenticateToken, getCustomers);
-router.post("/", authenticateToken, addCustomer);
-router.put("/:id", authenticateToken, updateCustomerById);
-router.delete("/:id", authenticateToken, deleteCustomerById);
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("customers:read"),
+  getCustomers
+);
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission("customers:read"),
+  exportCustomersCsv
+);
+router.post(
+  "/import",
+  authenticateToken,
+  requirePermission("customers:write"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  importCustomersCsv
+);
+router.get(
+  "/:id/statement",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getStatement
+);
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("customers:write"),
+  addCustomer
+);
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("customers:write"),
+  updateCustomerById
+);
+router.post(
+  "/:id/status",
+  authenticateToken,
+  requirePermission("customers:write"),
+  changeSubscriptionStatus
+);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("customers:delete"),
+  deleteCustomerById
+);
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  requirePermission("customers:delete"),
+  restoreCustomerById
+);
 
 module.exports = router;
@@ -0,0 +1,204 @@
+const { listInvoicesByCustomer } = require("../invoices/invoices.model");
+const { listPaymentsByCustomer } = require("../payments/payments.model");
+const { roundAmount } = require("../invoices/totals");
+const { toCsv } = require("../../utils/csv");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Aging buckets by days past due; "current" is not yet due
+const AGING_BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "days1to30", label: "1-30 days", maxDays: 30 },
+  { key: "days31to60", label: "31-60 days", maxDays: 60 },
+  { key: "days61to90", label: "61-90 days", maxDays: 90 },
+  { key: "over90", label: "Over 90 days", maxDays: Infinity },
+];
+
+// Order of entries recorded at the same moment
+const ENTRY_ORDER = { invoice: 0, payment: 1, adjustment: 2 };
+
+// Ledger entries of a customer, oldest first: invoices are debits, payments
+// and voids are credits. Invoices marked paid before payments were recorded
+// get a payment entry for the amount the ledger is missing.
+function buildLedgerEntries(invoices, payments) {
+  const entries = [];
+
+  for (const invoice of invoices) {
+    const invoicePayments = payments.filter(
+      (payment) => String(payment.invoiceId) === String(invoice._id)
+    );
+
+    entries.push({
+      date: invoice.createdAt,
+      type: "invoice",
+      reference: invoice.invoiceNumber,
+      description: `Invoice for ${invoice.billingPeriod}`,
+      debit: invoice.amount,
+      credit: 0,
+      invoiceId: invoice._id,
+    });
+
+    for (const payment of invoicePayments) {
+      entries.push({
+        date: payment.paidAt,
+        type: "payment",
+        reference: payment.referenceNumber || invoice.invoiceNumber,
+        description: `${payment.paymentMethod} payment for ${invoice.invoiceNumber}`,
+        debit: 0,
+        credit: payment.amount,
+        invoiceId: invoice._id,
+        paymentId: payment._id,
+      });
+    }
+
+    const paid = invoicePayments.reduce((sum, p) => sum + p.amount, 0);
+    const unrecorded = roundAmount(invoice.amount - paid);
+    if (invoice.status === "Paid" && unrecorded > 0) {
+      entries.push({
+        date: invoice.paymentDate || invoice.updatedAt,
+        type: "payment",
+        reference: invoice.invoiceNumber,
+        description: `Payment for ${invoice.invoiceNumber}`,
+        debit: 0,
+        credit: unrecorded,
+        invoiceId: invoice._id,
+      });
+    }
+
+    if (invoice.status === "Void" && invoice.voidedAt) {
+      const paidBeforeVoid = invoicePayments
+        .filter((payment) => payment.paidAt <= invoice.voidedAt)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+      const writtenOff = roundAmount(invoice.amount - paidBeforeVoid);
+      if (writtenOff > 0) {
+        entries.push({
+          date: invoice.voidedAt,
+          type: "adjustment",
+          reference: invoice.invoiceNumber,
+          description: [`Void of ${invoice.invoiceNumber}`, invoice.voidReason]
+            .filter(Boolean)
+            .join(": "),
+          debit: 0,
+          credit: writtenOff,
+          invoiceId: invoice._id,
+        });
+      }
+    }
+  }
+
+  return entries.sort(
+    (a, b) =>
+      new Date(a.date) - new Date(b.date) ||
+      ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type]
+  );
+}
+
+// Amounts owed at `asOf`, grouped by how long they have been past due
+function computeAging(entries, invoices, asOf) {
+  const aging = Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, 0]));
+
+  for (const invoice of invoices) {
+    const outstanding = entries
+      .filter((entry) => String(entry.invoiceId) === String(invoice._id))
+      .reduce((sum, entry) => sum + entry.debit - entry.credit, 0);
+    if (roundAmount(outstanding) <= 0) continue;
+
+    const daysPastDue = Math.floor((asOf - new Date(invoice.dueDate)) / DAY_MS);
+    const bucket = AGING_BUCKETS.find(({ maxDays }) => daysPastDue <= maxDays);
+    aging[bucket.key] = roundAmount(aging[bucket.key] + outstanding);
+  }
+
+  aging.total = roundAmount(
+    AGING_BUCKETS.reduce((sum, { key }) => sum + aging[key], 0)
+  );
+  return aging;
+}
+
+// Build the account statement of a customer between two dates. Entries
+// before `from` make up the opening balance; aging is as of `to`.
+async function getCustomerStatement(customer, { from, to = new Date() }) {
+  const [invoices, payments] = await Promise.all([
+    listInvoicesByCustomer(customer._id, to),
+    listPaymentsByCustomer(customer._id, to),
+  ]);
+  const ledger = buildLedgerEntries(invoices, payments).filter(
+    (entry) => new Date(entry.date) <= to
+  );
+
+  let balance = 0;
+  let openingBalance = 0;
+  const totals = { charges: 0, payments: 0, adjustments: 0 };
+  const entries = [];
+
+  for (const entry of ledger) {
+    balance = roundAmount(balance + entry.debit - entry.credit);
+
+    if (from && new Date(entry.date) < from) {
+      openingBalance = balance;
+      continue;
+    }
+
+    if (entry.type === "invoice") totals.charges += entry.debit;
+    if (entry.type === "payment") totals.payments += entry.credit;
+    if (entry.type === "adjustment") totals.adjustments += entry.credit;
+    entries.push({ ...entry, balance });
+  }
+
+  return {
+    customer: {
+      id: customer._id,
+      fullName: customer.fullName,
+      email: customer.email,
+      contactNumber: customer.contactNumber,
+      addressStreet: customer.addressStreet,
+      addressCity: customer.addressCity,
+      addressZip: customer.addressZip,
+      planType: customer.planType,
+    },
+    from: from || null,
+    to,
+    openingBalance,
+    totalCharges: roundAmount(totals.charges),
+    totalPayments: roundAmount(totals.payments),
+    totalAdjustments: roundAmount(totals.adjustments),
+    closingBalance: balance,
+    entries,
+    aging: computeAging(ledger, invoices, to),
+  };
+}
+
+// Statement as CSV: opening balance, one row per entry, closing balance
+function statementToCsv(statement) {
+  const rows = [
+    {
+      date: statement.from,
+      description: "Opening balance",
+      balance: statement.openingBalance,
+    },
+    ...statement.entries,
+    {
+      date: statement.to,
+      description: "Closing balance",
+      balance: statement.closingBalance,
+    },
+  ];
+
+  return toCsv(
+    [
+      { header: "Date", value: (row) => row.date },
+      { header: "Type", value: (row) => row.type },
+      { header: "Reference", value: (row) => row.reference },
+      { header: "Description", value: (row) => row.description },
+      { header: "Debit", value: (row) => row.debit },
+      { header: "Credit", value: (row) => row.credit },
+      { header: "Balance", value: (row) => row.balance },
+    ],
+    rows
+  );
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  getCustomerStatement,
+  statementToCsv,
+};
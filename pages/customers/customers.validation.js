@@ -0,0 +1,38 @@
+// Validate the fields required to create or update a customer; returns an
+// error message, or null when the body is valid
+function validateCustomerBody(body) {
+  const {
+    fullName,
+    addressStreet,
+    addressCity,
+    addressZip,
+    contactNumber,
+    email,
+    planId,
+    planType,
+    subscriptionStartDate,
+  } = body;
+
+  if (
+    !fullName ||
+    !addressStreet ||
+    !addressCity ||
+    !addressZip ||
+    !contactNumber ||
+    !email ||
+    !(planId || planType) ||
+    !subscriptionStartDate
+  ) {
+    return "fullName, addressStreet, addressCity, addressZip, contactNumber, email, planId (or planType) and subscriptionStartDate are required";
+  }
+
+  if (Number.isNaN(new Date(subscriptionStartDate).getTime())) {
+    return "subscriptionStartDate must be a valid date";
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateCustomerBody,
+};
@@ -0,0 +1,151 @@
+const {
+  createDiscount,
+  listDiscounts,
+  findDiscountById,
+  updateDiscount,
+  deleteDiscount,
+} = require("./discounts.model");
+const { recordAudit } = require("../audit/audit.model");
+
+// Validate and parse a discount from a request body
+function parseDiscountBody(body) {
+  const {
+    code,
+    description,
+    type,
+    value,
+    active,
+    validFrom,
+    validTo,
+    maxRedemptions,
+  } = body;
+
+  if (!code || !type || value === undefined) {
+    return { error: "code, type and value are required" };
+  }
+
+  if (!["percent", "fixed"].includes(type)) {
+    return { error: "type must be one of: percent, fixed" };
+  }
+
+  if (!(Number(value) >= 0) || (type === "percent" && Number(value) > 100)) {
+    return { error: "value must be a valid amount or percentage" };
+  }
+
+  return {
+    data: {
+      code,
+      description,
+      type,
+      value: Number(value),
+      active:
+        active === undefined ? true : active === true || active === "true",
+      validFrom: validFrom ? new Date(validFrom) : null,
+      validTo: validTo ? new Date(validTo) : null,
+      maxRedemptions: maxRedemptions ? Number(maxRedemptions) : null,
+    },
+  };
+}
+
+// Create discount
+async function addDiscount(req, res) {
+  try {
+    const { error, data } = parseDiscountBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const discount = await createDiscount(data);
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Discount",
+      entityId: discount._id,
+      after: discount,
+    });
+
+    res.status(201).json(discount);
+  } catch (err) {
+    console.error("Error creating discount:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Discount code already exists" });
+    }
+    res.status(500).json({ error: "Failed to create discount" });
+  }
+}
+
+// Get all discounts
+async function getDiscounts(req, res) {
+  try {
+    const discounts = await listDiscounts();
+    res.json(discounts);
+  } catch (err) {
+    console.error("Error fetching discounts:", err);
+    res.status(500).json({ error: "Failed to load discounts" });
+  }
+}
+
+// Update discount
+async function updateDiscountById(req, res) {
+  try {
+    const { id } = req.params;
+    const { error, data } = parseDiscountBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await findDiscountById(id);
+    const discount = await updateDiscount(id, data);
+
+    if (!discount) {
+      return res.status(404).json({ error: "Discount not found" });
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Discount",
+      entityId: discount._id,
+      before: existing,
+      after: discount,
+    });
+
+    res.json(discount);
+  } catch (err) {
+    console.error("Error updating discount:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Discount code already exists" });
+    }
+    res.status(500).json({ error: "Failed to update discount" });
+  }
+}
+
+// Delete discount
+async function deleteDiscountById(req, res) {
+  try {
+    const { id } = req.params;
+    const discount = await deleteDiscount(id);
+
+    if (!discount) {
+      return res.status(404).json({ error: "Discount not found" });
+    }
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Discount",
+      entityId: discount._id,
+      before: discount,
+    });
+
+    res.json({ message: "Discount deleted successfully", discount });
+  } catch (err) {
+    console.error("Error deleting discount:", err);
+    res.status(500).json({ error: "Failed to delete discount" });
+  }
+}
+
+module.exports = {
+  addDiscount,
+  getDiscounts,
+  updateDiscountById,
+  deleteDiscountById,
+};
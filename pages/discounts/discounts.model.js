@@ -0,0 +1,157 @@
+const mongoose = require("mongoose");
+
+// Discount code schema
+const DiscountSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["percent", "fixed"],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validTo: {
+      type: Date,
+      default: null,
+    },
+    maxRedemptions: {
+      type: Number,
+      default: null,
+    },
+    timesRedeemed: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const Discount = mongoose.model("Discount", DiscountSchema);
+
+// Query matching discounts that can be redeemed on the given date
+function redeemableQuery(date) {
+  return {
+    active: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: date } }] },
+      { $or: [{ validTo: null }, { validTo: { $gt: date } }] },
+      {
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ["$timesRedeemed", "$maxRedemptions"] } },
+        ],
+      },
+    ],
+  };
+}
+
+// Create discount
+async function createDiscount(data) {
+  const discount = await Discount.create({
+    code: data.code,
+    description: data.description,
+    type: data.type,
+    value: data.value,
+    active: data.active,
+    validFrom: data.validFrom,
+    validTo: data.validTo,
+    maxRedemptions: data.maxRedemptions,
+  });
+  return discount;
+}
+
+// Get all discounts
+async function listDiscounts() {
+  return Discount.find().sort({ createdAt: -1 }).lean();
+}
+
+// Find discount by ID
+async function findDiscountById(id) {
+  return Discount.findById(id).lean();
+}
+
+// Find a discount by code if it can currently be redeemed
+async function findRedeemableDiscount(code, date = new Date()) {
+  return Discount.findOne({
+    code: String(code).trim().toUpperCase(),
+    ...redeemableQuery(date),
+  }).lean();
+}
+
+// Atomically count a redemption; returns null if the code is used up
+async function redeemDiscount(code, date = new Date()) {
+  return Discount.findOneAndUpdate(
+    { code: String(code).trim().toUpperCase(), ...redeemableQuery(date) },
+    { $inc: { timesRedeemed: 1 } },
+    { new: true }
+  ).lean();
+}
+
+// Give back a redemption when the invoice using it was not created
+async function releaseDiscount(code) {
+  await Discount.updateOne(
+    { code: String(code).trim().toUpperCase(), timesRedeemed: { $gt: 0 } },
+    { $inc: { timesRedeemed: -1 } }
+  );
+}
+
+// Update discount
+async function updateDiscount(id, data) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const discount = await Discount.findByIdAndUpdate(
+    id,
+    {
+      code: data.code,
+      description: data.description,
+      type: data.type,
+      value: data.value,
+      active: data.active,
+      validFrom: data.validFrom,
+      validTo: data.validTo,
+      maxRedemptions: data.maxRedemptions,
+    },
+    { new: true, runValidators: true }
+  );
+  return discount;
+}
+
+// Delete discount
+async function deleteDiscount(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const discount = await Discount.findByIdAndDelete(id);
+  return discount;
+}
+
+module.exports = {
+  Discount,
+  createDiscount,
+  listDiscounts,
+  findDiscountById,
+  findRedeemableDiscount,
+  redeemDiscount,
+  releaseDiscount,
+  updateDiscount,
+  deleteDiscount,
+};
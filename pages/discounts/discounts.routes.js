@@ -0,0 +1,38 @@
+const express = require("express");
+const {
+  addDiscount,
+  getDiscounts,
+  updateDiscountById,
+  deleteDiscountById,
+} = require("./discounts.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("discounts:read"),
+  getDiscounts
+);
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("discounts:write"),
+  addDiscount
+);
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("discounts:write"),
+  updateDiscountById
+);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("discounts:write"),
+  deleteDiscountById
+);
+
+module.exports = router;
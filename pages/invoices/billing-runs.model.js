@@ -0,0 +1,292 @@
+const mongoose = require("mongoose");
+const {
+  Invoice,
+  withBalance,
+  reserveInvoiceNumbers,
+} = require("./invoices.model");
+const { Customer } = require("../customers/customers.model");
+const { BILLING_RUN_BATCH_SIZE } = require("../../config/invoices");
+const { Plan } = require("../plans/plans.model");
+const { parseBillingPeriod, prorateBillingPeriod } = require("./proration");
+const { computeInvoiceTotals } = require("./totals");
+const {
+  supportsTransactions,
+  withTransaction,
+} = require("../../utils/transactions");
+
+// Billing run schema
+const BillingRunSchema = new mongoose.Schema(
+  {
+    billingPeriod: {
+      type: String,
+      required: true,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["Completed", "Completed With Errors", "Failed"],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    created: [
+      {
+        _id: false,
+        customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+        invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+        invoiceNumber: String,
+        amount: Number,
+      },
+    ],
+    skipped: [
+      {
+        _id: false,
+        customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+        reason: String,
+      },
+    ],
+    failed: [
+      {
+        _id: false,
+        customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+        error: String,
+      },
+    ],
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const BillingRun = mongoose.model("BillingRun", BillingRunSchema);
+
+// Split a list into chunks of at most `size` items
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Build the itemized invoice for a customer in a billing period: the prorated
+// plan charges, plus the installation fee when service started in the period
+function buildInvoice(customer, plans, billingPeriod, dueDate) {
+  const { lineItems } = prorateBillingPeriod(customer, billingPeriod, plans);
+
+  const period = parseBillingPeriod(billingPeriod);
+  const startedAt = new Date(customer.subscriptionStartDate).getTime();
+  const plan = plans.find(
+    (candidate) =>
+      customer.planId && candidate._id.toString() === customer.planId.toString()
+  );
+  if (
+    lineItems.length > 0 &&
+    plan &&
+    plan.installationFee > 0 &&
+    startedAt >= period.start &&
+    startedAt < period.end
+  ) {
+    lineItems.push({
+      type: "installation",
+      description: `Installation fee, ${plan.name} plan`,
+      unitPrice: plan.installationFee,
+    });
+  }
+
+  return {
+    customerId: customer._id,
+    ...computeInvoiceTotals(lineItems, { taxExempt: customer.taxExempt }),
+    billingPeriod,
+    dueDate,
+    status: "Pending",
+  };
+}
+
+// Insert the invoices of a batch together with their invoice numbers, in one
+// transaction where the server supports them
+async function insertInvoices(batch) {
+  return withTransaction(async (session) => {
+    const numbers = await reserveInvoiceNumbers(batch.length, { session });
+    const docs = batch.map(({ invoice }, index) => ({
+      ...invoice,
+      invoiceNumber: numbers[index],
+    }));
+    return Invoice.insertMany(docs, { session });
+  });
+}
+
+// Subscription statuses that are not billed
+const UNBILLED_STATUSES = ["Paused", "Terminated"];
+
+// Create invoices for every customer not yet billed for the period. Paused
+// and terminated subscriptions are skipped; those terminated before the
+// period are left out altogether. Each batch is inserted in its own
+// transaction together with its invoice numbers, so a failed batch leaves
+// neither invoices nor gaps in the numbering; its customers are then billed
+// one by one. Transactions need MongoDB to run as a replica set; on a
+// standalone server invoices are inserted one at a time instead.
+async function runMonthlyBilling({ billingPeriod, dueDate, dryRun, userId }) {
+  const startedAt = new Date();
+  const period = parseBillingPeriod(billingPeriod);
+  const customers = await Customer.find({
+    deletedAt: null,
+    $or: [
+      { terminatedAt: null },
+      { terminatedAt: { $gte: new Date(period.start) } },
+    ],
+  }).lean();
+  const plans = await Plan.find().lean();
+
+  // Fee invoices do not count as the period's invoice
+  const billedCustomerIds = await Invoice.distinct("customerId", {
+    billingPeriod,
+    kind: "Subscription",
+    customerId: { $in: customers.map((customer) => customer._id) },
+  });
+  const billed = new Set(billedCustomerIds.map((id) => id.toString()));
+
+  const skipped = [];
+  const toBill = [];
+  for (const customer of customers) {
+    if (UNBILLED_STATUSES.includes(customer.status)) {
+      skipped.push({
+        customerId: customer._id,
+        reason: `Subscription ${customer.status.toLowerCase()}`,
+      });
+      continue;
+    }
+
+    if (billed.has(customer._id.toString())) {
+      skipped.push({
+        customerId: customer._id,
+        reason: "Invoice already exists for billing period",
+      });
+      continue;
+    }
+
+    const invoice = buildInvoice(customer, plans, billingPeriod, dueDate);
+    if (invoice.amount <= 0) {
+      skipped.push({
+        customerId: customer._id,
+        reason: "No billable service in billing period",
+      });
+      continue;
+    }
+
+    toBill.push({ customer, invoice });
+  }
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      billingPeriod,
+      dueDate,
+      created: toBill.map(({ customer, invoice }) => ({
+        customerId: customer._id,
+        fullName: customer.fullName,
+        amount: invoice.amount,
+        lineItems: invoice.lineItems,
+      })),
+      skipped,
+      failed: [],
+    };
+  }
+
+  const created = [];
+  const failed = [];
+  const invoices = [];
+
+  // Record a created invoice on the run
+  const recordCreated = (invoice) => {
+    created.push({
+      customerId: invoice.customerId,
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: invoice.amount,
+    });
+    invoices.push(withBalance(invoice));
+  };
+
+  // Without transactions a failed batch could be left half inserted, so
+  // every invoice is inserted on its own
+  const batchSize = (await supportsTransactions()) ? BILLING_RUN_BATCH_SIZE : 1;
+  for (const batch of chunk(toBill, batchSize)) {
+    if (batch.length > 1) {
+      try {
+        const inserted = await insertInvoices(batch);
+        inserted.forEach(recordCreated);
+        continue;
+      } catch (err) {
+        // One bad invoice fails the whole batch, so the batch is inserted
+        // again one customer at a time to bill everyone else
+        console.error("Error creating billing run batch:", err);
+      }
+    }
+
+    for (const item of batch) {
+      try {
+        const [invoice] = await insertInvoices([item]);
+        recordCreated(invoice);
+      } catch (err) {
+        if (
+          err.code === 11000 &&
+          err.keyPattern &&
+          err.keyPattern.billingPeriod
+        ) {
+          skipped.push({
+            customerId: item.customer._id,
+            reason: "Invoice already exists for billing period",
+          });
+        } else {
+          console.error("Error creating billing run invoice:", err);
+          failed.push({ customerId: item.customer._id, error: err.message });
+        }
+      }
+    }
+  }
+
+  let status = "Completed";
+  if (failed.length > 0) {
+    status = created.length > 0 ? "Completed With Errors" : "Failed";
+  }
+
+  const run = await BillingRun.create({
+    billingPeriod,
+    dueDate,
+    status,
+    triggeredBy: userId,
+    created,
+    skipped,
+    failed,
+    startedAt,
+    finishedAt: new Date(),
+  });
+
+  return { run, invoices };
+}
+
+// Get billing run by ID
+async function getBillingRunById(id) {
+  return BillingRun.findById(id)
+    .populate("created.customerId", "fullName email")
+    .populate("skipped.customerId", "fullName email")
+    .populate("failed.customerId", "fullName email")
+    .lean();
+}
+
+module.exports = {
+  BillingRun,
+  runMonthlyBilling,
+  getBillingRunById,
+};
@@ -0,0 +1,275 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Small batches, so a run of a few customers spans several; config is read
+// at require time
+process.env.BILLING_RUN_BATCH_SIZE = "2";
+
+const invoices = require("./invoices.model");
+const transactions = require("../../utils/transactions");
+
+// Invoice numbers and transactions kept in memory; the model takes them at
+// require time, so they are replaced before it is loaded
+let nextNumber;
+let transactionsSupported;
+transactions.supportsTransactions = async () => transactionsSupported;
+transactions.withTransaction = async (fn) => fn(null);
+invoices.reserveInvoiceNumbers = async (count) =>
+  Array.from({ length: count }, () => `INV-${nextNumber++}`);
+
+const { BillingRun, runMonthlyBilling } = require("./billing-runs.model");
+const { Invoice } = invoices;
+const { Customer } = require("../customers/customers.model");
+const { Plan } = require("../plans/plans.model");
+
+// Query result with the `lean()` mongoose queries are finished with
+function leanResult(value) {
+  return { lean: async () => value };
+}
+
+// A customer billed the full monthly fee since long before the period
+function customer(id, overrides = {}) {
+  return {
+    _id: id,
+    fullName: `Customer ${id}`,
+    planType: "Basic",
+    monthlyFee: 1500,
+    subscriptionStartDate: new Date("2024-01-01"),
+    status: "Active",
+    ...overrides,
+  };
+}
+
+describe("runMonthlyBilling", () => {
+  let customers;
+  let billed;
+  let stored;
+  let failingCustomers;
+
+  beforeEach((t) => {
+    nextNumber = 1;
+    transactionsSupported = true;
+    customers = [];
+    billed = [];
+    stored = [];
+    failingCustomers = new Map();
+
+    t.mock.method(Customer, "find", () => leanResult(customers));
+    t.mock.method(Plan, "find", () => leanResult([]));
+    t.mock.method(Invoice, "distinct", async () => billed);
+    t.mock.method(Invoice, "insertMany", async (docs) => {
+      for (const doc of docs) {
+        const error = failingCustomers.get(doc.customerId);
+        if (error) throw error;
+      }
+      const inserted = docs.map((doc) => ({
+        _id: `id-${doc.customerId}`,
+        ...doc,
+      }));
+      stored.push(...inserted);
+      return inserted;
+    });
+    t.mock.method(BillingRun, "create", async (data) => data);
+    t.mock.method(console, "error", () => {});
+  });
+
+  it("bills every customer not yet billed for the period", async () => {
+    customers = [customer("c1"), customer("c2"), customer("c3")];
+    billed = ["c2"];
+
+    const { run, invoices: created } = await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+    });
+
+    assert.equal(run.status, "Completed");
+    assert.deepEqual(
+      run.created.map((entry) => [entry.customerId, entry.invoiceNumber]),
+      [
+        ["c1", "INV-1"],
+        ["c3", "INV-2"],
+      ]
+    );
+    assert.deepEqual(run.skipped, [
+      { customerId: "c2", reason: "Invoice already exists for billing period" },
+    ]);
+    assert.equal(created[0].amount, 1500);
+    assert.equal(created[0].balance, 1500);
+  });
+
+  it("writes nothing on a dry run", async () => {
+    customers = [customer("c1"), customer("c2")];
+
+    const preview = await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+      dryRun: true,
+    });
+
+    assert.equal(preview.dryRun, true);
+    assert.deepEqual(
+      preview.created.map((entry) => [entry.customerId, entry.amount]),
+      [
+        ["c1", 1500],
+        ["c2", 1500],
+      ]
+    );
+    assert.deepEqual(stored, []);
+    assert.equal(nextNumber, 1);
+    assert.equal(BillingRun.create.mock.callCount(), 0);
+  });
+
+  it("bills the rest of a failed batch one by one", async () => {
+    customers = [customer("c1"), customer("c2"), customer("c3")];
+    failingCustomers.set("c2", new Error("validation failed"));
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+    });
+
+    assert.equal(run.status, "Completed With Errors");
+    assert.deepEqual(
+      run.created.map((entry) => entry.customerId),
+      ["c1", "c3"]
+    );
+    assert.deepEqual(run.failed, [
+      { customerId: "c2", error: "validation failed" },
+    ]);
+    assert.deepEqual(
+      stored.map((invoice) => invoice.customerId),
+      ["c1", "c3"]
+    );
+  });
+
+  it("skips customers billed by a concurrent run", async () => {
+    customers = [customer("c1"), customer("c2")];
+    failingCustomers.set(
+      "c1",
+      Object.assign(new Error("duplicate key"), {
+        code: 11000,
+        keyPattern: { customerId: 1, billingPeriod: 1 },
+      })
+    );
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+    });
+
+    assert.equal(run.status, "Completed");
+    assert.deepEqual(run.skipped, [
+      { customerId: "c1", reason: "Invoice already exists for billing period" },
+    ]);
+    assert.deepEqual(
+      run.created.map((entry) => entry.customerId),
+      ["c2"]
+    );
+  });
+
+  it("fails the run when no invoice could be created", async () => {
+    customers = [customer("c1")];
+    failingCustomers.set("c1", new Error("database down"));
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+    });
+
+    assert.equal(run.status, "Failed");
+  });
+
+  it("inserts invoices one at a time without transactions", async () => {
+    transactionsSupported = false;
+    customers = [customer("c1"), customer("c2")];
+
+    await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+    });
+
+    assert.equal(Invoice.insertMany.mock.callCount(), 2);
+  });
+
+  it("prorates the month service started in", async () => {
+    customers = [
+      customer("c1", { subscriptionStartDate: new Date("2025-04-16") }),
+    ];
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-04",
+      dueDate: new Date("2025-04-15"),
+    });
+
+    assert.equal(run.created[0].amount, 750);
+  });
+
+  it("skips customers without service in the period", async () => {
+    customers = [
+      customer("c1", { subscriptionStartDate: new Date("2025-05-01") }),
+    ];
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-04",
+      dueDate: new Date("2025-04-15"),
+    });
+
+    assert.deepEqual(run.created, []);
+    assert.equal(
+      run.skipped[0].reason,
+      "No billable service in billing period"
+    );
+  });
+
+  it("adds the installation fee in the month service started", async (t) => {
+    t.mock.method(Plan, "find", () =>
+      leanResult([{ _id: "p1", name: "Fiber", installationFee: 2500 }])
+    );
+    customers = [
+      customer("c1", {
+        planId: "p1",
+        planType: "Fiber",
+        subscriptionStartDate: new Date("2025-04-16"),
+      }),
+      customer("c2", { planId: "p1", planType: "Fiber" }),
+    ];
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-04",
+      dueDate: new Date("2025-04-15"),
+    });
+
+    assert.deepEqual(
+      run.created.map((entry) => [entry.customerId, entry.amount]),
+      [
+        ["c1", 3250],
+        ["c2", 1500],
+      ]
+    );
+  });
+
+  it("does not bill paused or terminated subscriptions", async () => {
+    customers = [
+      customer("c1", { status: "Paused" }),
+      customer("c2", { status: "Terminated" }),
+      customer("c3", { status: "Suspended" }),
+    ];
+
+    const { run } = await runMonthlyBilling({
+      billingPeriod: "2025-03",
+      dueDate: new Date("2025-03-15"),
+    });
+
+    assert.deepEqual(
+      run.skipped.map((entry) => [entry.customerId, entry.reason]),
+      [
+        ["c1", "Subscription paused"],
+        ["c2", "Subscription terminated"],
+      ]
+    );
+    assert.deepEqual(
+      run.created.map((entry) => entry.customerId),
+      ["c3"]
+    );
+  });
+});
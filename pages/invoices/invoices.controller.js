@@ -1,47 +1,211 @@
+const mongoose = require("mongoose");
+const archiver = require("archiver");
 const {
+  INVOICE_STATUSES,
+  MANUAL_INVOICE_KINDS,
+  UNPAID_STATUSES,
+  INVOICE_SORT_FIELDS,
   createInvoice,
   listInvoices,
   getInvoiceById,
-  updateInvoicePayment,
+  getInvoiceDocument,
+  listInvoiceDocuments,
+  getBalance,
+  markOverdueInvoices,
+  voidInvoice,
   deleteInvoice,
-  generateInvoiceNumber,
+  restoreInvoice,
 } = require("./invoices.model");
+const {
+  PAYMENT_METHODS,
+  listPaymentsByInvoice,
+} = require("../payments/payments.model");
+const {
+  runMonthlyBilling,
+  getBillingRunById,
+} = require("./billing-runs.model");
+const { parseBillingPeriod } = require("./proration");
+const { parsePageParams, parseDateParam } = require("../../utils/pagination");
+const { renderInvoicePdf } = require("./invoices.pdf");
+const { validateLineItems, computeInvoiceTotals } = require("./totals");
+const { findCustomerById } = require("../customers/customers.model");
+const { applyPayment } = require("../payments/payments.service");
+const {
+  notifyInvoicesCreated,
+} = require("../notifications/notifications.service");
+const {
+  findRedeemableDiscount,
+  redeemDiscount,
+  releaseDiscount,
+} = require("../discounts/discounts.model");
+const { recordAudit } = require("../audit/audit.model");
 
 // Create invoice
 async function addInvoice(req, res) {
+  let redeemedCode = null;
+
   try {
-    const { customerId, amount, billingPeriod, dueDate } = req.body;
+    const {
+      customerId,
+      amount,
+      lineItems,
+      discountCode,
+      billingPeriod,
+      dueDate,
+      notes,
+      kind = "Subscription",
+    } = req.body || {};
 
-    if (!customerId || !amount || !billingPeriod || !dueDate) {
+    if (!customerId || !(lineItems || amount) || !billingPeriod || !dueDate) {
       return res.status(400).json({
-        error: "customerId, amount, billingPeriod, and dueDate are required",
+        error:
+          "customerId, lineItems (or amount), billingPeriod, and dueDate are required",
       });
     }
 
-    const invoiceNumber = generateInvoiceNumber();
+    if (!mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ error: "customerId must be a valid ID" });
+    }
+
+    if (!parseBillingPeriod(billingPeriod)) {
+      return res.status(400).json({
+        error: "billingPeriod must be in YYYY-MM format",
+      });
+    }
+
+    const due = parseDateParam(dueDate);
+    if (!due) {
+      return res.status(400).json({ error: "dueDate must be a valid date" });
+    }
+
+    if (!MANUAL_INVOICE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: `kind must be one of: ${MANUAL_INVOICE_KINDS.join(", ")}`,
+      });
+    }
+
+    // A bare amount is kept as a single charge for older clients
+    const items = lineItems || [
+      { type: "charge", description: "Invoice amount", unitPrice: amount },
+    ];
+
+    const lineItemsError = validateLineItems(items);
+    if (lineItemsError) {
+      return res.status(400).json({ error: lineItemsError });
+    }
+
+    const customer = await findCustomerById(customerId);
+    if (!customer) {
+      return res.status(400).json({ error: "Customer not found" });
+    }
+
+    let discount = null;
+    if (discountCode) {
+      discount = await findRedeemableDiscount(discountCode);
+      if (!discount) {
+        return res.status(400).json({ error: "Invalid discount code" });
+      }
+    }
+
+    const totals = computeInvoiceTotals(items, {
+      discount,
+      taxExempt: customer.taxExempt,
+    });
+
+    if (discount) {
+      if (!(await redeemDiscount(discount.code))) {
+        return res.status(400).json({ error: "Invalid discount code" });
+      }
+      redeemedCode = discount.code;
+    }
+
     const invoice = await createInvoice({
       customerId,
-      invoiceNumber,
-      amount,
+      ...totals,
+      kind,
       billingPeriod,
-      dueDate: new Date(dueDate),
+      dueDate: due,
       status: "Pending",
+      notes,
+    });
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      after: invoice,
     });
 
     res.status(201).json(invoice);
   } catch (err) {
     console.error("Error creating invoice:", err);
+    if (redeemedCode) {
+      await releaseDiscount(redeemedCode).catch((releaseErr) =>
+        console.error("Error releasing discount:", releaseErr)
+      );
+    }
     if (err.code === 11000) {
+      if (err.keyPattern && err.keyPattern.billingPeriod) {
+        return res.status(400).json({
+          error: "Customer already has an invoice for this billing period",
+        });
+      }
       return res.status(400).json({ error: "Invoice number already exists" });
     }
     res.status(500).json({ error: "Failed to create invoice" });
   }
 }
 
-// Get all invoices
+// Get a page of invoices
 async function getInvoices(req, res) {
   try {
-    const invoices = await listInvoices();
+    const { status, billingPeriod, customerId, search, includeDeleted } =
+      req.query;
+    const dueFrom = parseDateParam(req.query.dueFrom);
+    const dueTo = parseDateParam(req.query.dueTo);
+
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${INVOICE_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (billingPeriod && !parseBillingPeriod(billingPeriod)) {
+      return res.status(400).json({
+        error: "billingPeriod must be in YYYY-MM format",
+      });
+    }
+
+    if (customerId && !mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ error: "customerId must be a valid ID" });
+    }
+
+    if (dueFrom === null || dueTo === null) {
+      return res.status(400).json({
+        error: "dueFrom and dueTo must be valid dates",
+      });
+    }
+
+    const page = parsePageParams(req.query, {
+      sortFields: INVOICE_SORT_FIELDS,
+      defaultSort: "-createdAt",
+    });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const invoices = await listInvoices(
+      {
+        status,
+        billingPeriod,
+        customerId,
+        dueFrom,
+        dueTo,
+        search,
+        includeDeleted: includeDeleted === "true",
+      },
+      page
+    );
     res.json(invoices);
   } catch (err) {
     console.error("Error fetching invoices:", err);
@@ -53,7 +217,14 @@ async function getInvoices(req, res) {
 async function getInvoice(req, res) {
   try {
     const { id } = req.params;
-    const invoice = await getInvoiceById(id);
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const invoice = await getInvoiceById(id, {
+      includeDeleted: req.query.includeDeleted === "true",
+    });
 
     if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
@@ -66,43 +237,367 @@ async function getInvoice(req, res) {
   }
 }
 
+// Download invoice as PDF
+async function getInvoicePdf(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const invoice = await getInvoiceDocument(id);
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${invoice.invoiceNumber}.pdf"`
+    );
+    renderInvoicePdf(invoice).pipe(res);
+  } catch (err) {
+    console.error("Error rendering invoice PDF:", err);
+    res.status(500).json({ error: "Failed to render invoice PDF" });
+  }
+}
+
+// Add a file to a zip archive and wait until it has been written, so only
+// one PDF is rendered at a time
+function appendToArchive(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off("error", onError);
+      resolve();
+    };
+    const onError = (err) => {
+      archive.off("entry", onEntry);
+      reject(err);
+    };
+    archive.once("entry", onEntry);
+    archive.once("error", onError);
+    archive.append(source, { name });
+  });
+}
+
+// Download the PDFs of a billing period as a zip file
+async function getInvoicePdfBundle(req, res) {
+  try {
+    const { billingPeriod } = req.query;
+
+    if (!billingPeriod) {
+      return res.status(400).json({ error: "billingPeriod is required" });
+    }
+
+    if (!parseBillingPeriod(billingPeriod)) {
+      return res.status(400).json({
+        error: "billingPeriod must be in YYYY-MM format",
+      });
+    }
+
+    const invoices = await listInvoiceDocuments(billingPeriod);
+
+    if (invoices.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "No invoices found for this billing period" });
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="invoices-${billingPeriod}.zip"`
+    );
+
+    const archive = archiver("zip");
+    archive.on("error", (err) => {
+      console.error("Error zipping invoice PDFs:", err);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    for (const invoice of invoices) {
+      await appendToArchive(
+        archive,
+        renderInvoicePdf(invoice),
+        `${invoice.invoiceNumber}.pdf`
+      );
+    }
+    await archive.finalize();
+  } catch (err) {
+    console.error("Error bundling invoice PDFs:", err);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).json({ error: "Failed to bundle invoice PDFs" });
+  }
+}
+
+// Get invoice payment ledger
+async function getInvoicePayments(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const invoice = await getInvoiceById(id);
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const payments = await listPaymentsByInvoice(id);
+    res.json(payments);
+  } catch (err) {
+    console.error("Error fetching invoice payments:", err);
+    res.status(500).json({ error: "Failed to load invoice payments" });
+  }
+}
+
 // Record payment
 async function recordPayment(req, res) {
   try {
     const { id } = req.params;
-    const { paymentDate, paymentMethod, notes } = req.body;
 
-    if (!paymentMethod) {
-      return res.status(400).json({ error: "Payment method is required" });
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Invoice not found" });
     }
 
-    const invoice = await updateInvoicePayment(id, {
-      paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+    const {
+      amount,
+      paymentDate,
       paymentMethod,
+      referenceNumber,
       notes,
-    });
+      waiveReconnectionFee,
+    } = req.body;
+
+    if (!paymentMethod) {
+      return res.status(400).json({ error: "Payment method is required" });
+    }
+
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(", ")}`,
+      });
+    }
+
+    const invoice = await getInvoiceById(id);
 
     if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
-    res.json(invoice);
+    if (invoice.status === "Void") {
+      return res.status(400).json({ error: "Invoice has been voided" });
+    }
+
+    const balance = getBalance(invoice);
+    if (balance <= 0) {
+      return res.status(400).json({ error: "Invoice is already paid" });
+    }
+
+    // Without an amount the full outstanding balance is paid
+    const paymentAmount = amount === undefined ? balance : Number(amount);
+
+    if (!(paymentAmount > 0)) {
+      return res.status(400).json({ error: "Amount must be greater than 0" });
+    }
+
+    if (paymentAmount > balance) {
+      return res.status(400).json({
+        error: `Amount exceeds the outstanding balance of ${balance}`,
+      });
+    }
+
+    const paidAt = parseDateParam(paymentDate);
+    if (paidAt === null) {
+      return res
+        .status(400)
+        .json({ error: "paymentDate must be a valid date" });
+    }
+
+    const applied = await applyPayment(
+      invoice,
+      {
+        amount: paymentAmount,
+        paymentMethod,
+        referenceNumber,
+        paidAt: paidAt || new Date(),
+        notes,
+        recordedBy: req.userId,
+      },
+      {
+        waiveReconnectionFee:
+          waiveReconnectionFee === true || waiveReconnectionFee === "true",
+      }
+    );
+
+    // Another payment or a void got in first
+    if (!applied) {
+      return res.status(409).json({
+        error: "Invoice balance changed, please reload the invoice and retry",
+      });
+    }
+    const { payment, invoice: updatedInvoice, reconnection } = applied;
+
+    await recordAudit(req, {
+      action: "payment",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      before: invoice,
+      after: updatedInvoice,
+      metadata: {
+        paymentId: payment._id,
+        amount: payment.amount,
+        paymentMethod: payment.paymentMethod,
+        referenceNumber: payment.referenceNumber,
+      },
+    });
+
+    if (reconnection) {
+      await recordAudit(req, {
+        action: "reconnect",
+        entityType: "Customer",
+        entityId: reconnection.customer._id,
+        before: reconnection.before,
+        after: reconnection.customer,
+        metadata: {
+          paymentId: payment._id,
+          reconnectionFeeInvoiceId: reconnection.feeInvoice
+            ? reconnection.feeInvoice._id
+            : undefined,
+        },
+      });
+    }
+
+    res.json({
+      message: "Payment recorded successfully",
+      invoice: updatedInvoice,
+      payment,
+      reconnected: Boolean(reconnection),
+      reconnectionFeeInvoice: reconnection ? reconnection.feeInvoice : null,
+    });
   } catch (err) {
     console.error("Error recording payment:", err);
     res.status(500).json({ error: "Failed to record payment" });
   }
 }
 
+// Mark overdue invoices
+async function markOverdue(req, res) {
+  try {
+    const marked = await markOverdueInvoices();
+    const updated = marked.length;
+
+    for (const invoice of marked) {
+      await recordAudit(req, {
+        action: "mark-overdue",
+        entityType: "Invoice",
+        entityId: invoice._id,
+        before: { status: invoice.status },
+        after: { status: "Overdue" },
+        metadata: { invoiceNumber: invoice.invoiceNumber },
+      });
+    }
+    res.json({
+      message: `Marked ${updated} invoices as overdue`,
+      updated,
+    });
+  } catch (err) {
+    console.error("Error marking overdue invoices:", err);
+    res.status(500).json({ error: "Failed to mark overdue invoices" });
+  }
+}
+
+// Void a cancelled invoice
+async function voidInvoiceById(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const { reason } = req.body;
+
+    const invoice = await getInvoiceById(id);
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    if (invoice.status === "Paid" || invoice.status === "Void") {
+      return res.status(400).json({
+        error: `A ${invoice.status.toLowerCase()} invoice cannot be voided`,
+      });
+    }
+
+    const voided = await voidInvoice(id, { userId: req.userId, reason });
+
+    if (!voided) {
+      return res.status(400).json({ error: "Invoice can no longer be voided" });
+    }
+
+    await recordAudit(req, {
+      action: "void",
+      entityType: "Invoice",
+      entityId: voided._id,
+      before: invoice,
+      after: voided,
+    });
+
+    res.json({ message: "Invoice voided successfully", invoice: voided });
+  } catch (err) {
+    console.error("Error voiding invoice:", err);
+    res.status(500).json({ error: "Failed to void invoice" });
+  }
+}
+
 // Delete invoice
 async function deleteInvoiceById(req, res) {
   try {
     const { id } = req.params;
-    const invoice = await deleteInvoice(id);
+    const existing = mongoose.isValidObjectId(id)
+      ? await getInvoiceById(id)
+      : null;
 
-    if (!invoice) {
+    if (!existing) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
+    if (UNPAID_STATUSES.includes(existing.status)) {
+      return res.status(400).json({
+        error: "Invoice has an outstanding balance; void it before deleting",
+      });
+    }
+
+    if (existing.exportBatchId) {
+      return res.status(400).json({
+        error: "Invoice has been exported to accounting and cannot be deleted",
+      });
+    }
+
+    const invoice = await deleteInvoice(id, req.userId);
+
+    if (!invoice) {
+      return res.status(409).json({
+        error: "Invoice changed in the meantime; reload and retry",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      before: existing,
+      after: invoice,
+    });
+
     res.json({ message: "Invoice deleted successfully", invoice });
   } catch (err) {
     console.error("Error deleting invoice:", err);
@@ -110,11 +605,39 @@ async function deleteInvoiceById(req, res) {
   }
 }
 
+// Restore a deleted invoice
+async function restoreInvoiceById(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Deleted invoice not found" });
+    }
+
+    const invoice = await restoreInvoice(id);
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Deleted invoice not found" });
+    }
+
+    await recordAudit(req, {
+      action: "restore",
+      entityType: "Invoice",
+      entityId: invoice._id,
+      after: invoice,
+    });
+
+    res.json({ message: "Invoice restored successfully", invoice });
+  } catch (err) {
+    console.error("Error restoring invoice:", err);
+    res.status(500).json({ error: "Failed to restore invoice" });
+  }
+}
+
 // Generate monthly invoices
 async function generateMonthlyInvoices(req, res) {
   try {
-    const { billingPeriod, dueDate } = req.body;
-    const Customer = require("../customers/customers.model").Customer;
+    const { billingPeriod, dueDate, dryRun } = req.body || {};
 
     if (!billingPeriod || !dueDate) {
       return res.status(400).json({
@@ -122,59 +645,69 @@ async function generateMonthlyInvoices(req, res) {
       });
     }
 
-    const customers = await Customer.find().lean();
-
-    if (customers.length === 0) {
-      return res.status(400).json({ error: "No customers found" });
+    if (!parseBillingPeriod(billingPeriod)) {
+      return res.status(400).json({
+        error: "billingPeriod must be in YYYY-MM format",
+      });
     }
 
-    const existingInvoices = await listInvoices();
-    const existingCustomerIds = existingInvoices
-      .filter(
-        (inv) => inv.billingPeriod === billingPeriod && inv.status === "Pending"
-      )
-      .map(
-        (inv) => inv.customerId._id?.toString() || inv.customerId.toString()
-      );
+    const due = parseDateParam(dueDate);
+    if (!due) {
+      return res.status(400).json({ error: "dueDate must be a valid date" });
+    }
 
-    const invoicesToCreate = customers.filter(
-      (customer) => !existingCustomerIds.includes(customer._id.toString())
-    );
+    const isDryRun = dryRun === true || dryRun === "true";
+    const result = await runMonthlyBilling({
+      billingPeriod,
+      dueDate: due,
+      dryRun: isDryRun,
+      userId: req.userId,
+    });
 
-    if (invoicesToCreate.length === 0) {
+    if (isDryRun) {
       return res.json({
-        message: "All customers already have invoices for this billing period",
-        created: 0,
-        skipped: customers.length,
-      });
-    }
-
-    const createdInvoices = [];
-    for (const customer of invoicesToCreate) {
-      try {
-        const invoiceNumber = generateInvoiceNumber();
-        const invoice = await createInvoice({
-          customerId: customer._id,
-          invoiceNumber,
-          amount: customer.monthlyFee,
-          billingPeriod,
-          dueDate: new Date(dueDate),
-          status: "Pending",
-        });
-        createdInvoices.push(invoice);
-      } catch (err) {
-        console.error(
-          `Error creating invoice for customer ${customer._id}:`,
-          err
-        );
-      }
+        message: `Would create ${result.created.length} invoices`,
+        ...result,
+      });
+    }
+
+    const { run, invoices } = result;
+
+    await recordAudit(req, {
+      action: "generate-monthly",
+      entityType: "BillingRun",
+      entityId: run._id,
+      metadata: {
+        billingPeriod,
+        status: run.status,
+        created: run.created.length,
+        skipped: run.skipped.length,
+        failed: run.failed.length,
+      },
+    });
+
+    for (const invoice of invoices) {
+      await recordAudit(req, {
+        action: "create",
+        entityType: "Invoice",
+        entityId: invoice._id,
+        after: invoice,
+        metadata: { billingRunId: run._id },
+      });
     }
 
+    // Emails go out in the background so large runs return promptly
+    notifyInvoicesCreated(invoices.map((invoice) => invoice._id)).catch(
+      (notifyErr) => console.error("Error sending invoice emails:", notifyErr)
+    );
     res.status(201).json({
-      message: `Successfully created ${createdInvoices.length} invoices`,
-      created: createdInvoices.length,
-      skipped: customers.length - createdInvoices.length,
-      invoices: createdInvoices,
+      message: `Successfully created ${run.created.length} invoices`,
+      runId: run._id,
+      status: run.status,
+      created: run.created.length,
+      skipped: run.skipped.length,
+      failed: run.failed.length,
+      invoices,
     });
   } catch (err) {
     console.error("Error generating monthly invoices:", err);
@@ -182,11 +715,40 @@ async function generateMonthlyInvoices(req, res) {
   }
 }
 
+// Get billing run report
+async function getBillingRun(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Billing run not found" });
+    }
+
+    const run = await getBillingRunById(id);
+
+    if (!run) {
+      return res.status(404).json({ error: "Billing run not found" });
+    }
+
+    res.json(run);
+  } catch (err) {
+    console.error("Error fetching billing run:", err);
+    res.status(500).json({ error: "Failed to load billing run" });
+  }
+}
+
 module.exports = {
   addInvoice,
   getInvoices,
   getInvoice,
+  getInvoicePdf,
+  getInvoicePdfBundle,
+  getInvoicePayments,
   recordPayment,
+  markOverdue,
+  voidInvoiceById,
   deleteInvoiceById,
+  restoreInvoiceById,
   generateMonthlyInvoices,
+  getBillingRun,
 };
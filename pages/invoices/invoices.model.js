@@ -1,4 +1,39 @@
 const mongoose = require("mongoose");
+const { nextSequence, seedSequence } = require("../counters/counters.model");
+const { findCustomerIdsBySearch } = require("../customers/customers.model");
+const {
+  paginate,
+  escapePattern,
+  prefixPattern,
+  dateRange,
+} = require("../../utils/pagination");
+const { withTransaction } = require("../../utils/transactions");
+const { LINE_ITEM_TYPES, roundAmount } = require("./totals");
+const {
+  INVOICE_NUMBER_PREFIX,
+  INVOICE_NUMBER_FORMAT,
+  INVOICE_NUMBER_PADDING,
+} = require("../../config/invoices");
+
+// Invoice statuses
+const INVOICE_STATUSES = [
+  "Pending",
+  "Partially Paid",
+  "Paid",
+  "Overdue",
+  "Void",
+];
+
+// Statuses of invoices that still have money owing
+const UNPAID_STATUSES = ["Pending", "Partially Paid", "Overdue"];
+
+// What an invoice bills: a billing period's subscription, or a one-off fee
+// or charge that is not the period's invoice
+const INVOICE_KINDS = ["Subscription", "Reconnection Fee", "One-off Charge"];
+
+// Kinds staff may give an invoice they create by hand. Reconnection fees are
+// only raised by the customer lifecycle.
+const MANUAL_INVOICE_KINDS = ["Subscription", "One-off Charge"];
 
 // Invoice schema
 const InvoiceSchema = new mongoose.Schema(
@@ -13,10 +48,57 @@ const InvoiceSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    lineItems: [
+      {
+        _id: false,
+        type: { type: String, enum: LINE_ITEM_TYPES, default: "charge" },
+        description: { type: String, required: true },
+        quantity: { type: Number, default: 1 },
+        unitPrice: { type: Number, required: true },
+        amount: { type: Number, required: true },
+        taxable: { type: Boolean, default: true },
+        periodStart: Date,
+        periodEnd: Date,
+      },
+    ],
+    subtotal: {
+      type: Number,
+    },
+    discountCode: {
+      type: String,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    taxRate: {
+      type: Number,
+      default: 0,
+    },
+    taxInclusive: {
+      type: Boolean,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    exemptTaxAmount: {
+      type: Number,
+      default: 0,
+    },
     amount: {
       type: Number,
       required: true,
     },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    kind: {
+      type: String,
+      enum: INVOICE_KINDS,
+      default: "Subscription",
+    },
     billingPeriod: {
       type: String,
       required: true,
@@ -27,91 +109,551 @@ const InvoiceSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Paid", "Overdue"],
+      enum: INVOICE_STATUSES,
       default: "Pending",
     },
+    overdueAt: {
+      type: Date,
+      default: null,
+    },
+    reminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    overdueNoticeSentAt: {
+      type: Date,
+      default: null,
+    },
     paymentDate: {
       type: Date,
       default: null,
     },
-    paymentMethod: {
+    notes: {
       type: String,
-      enum: ["Cash", "Bank Transfer", "Online Payment", "Other"],
+      trim: true,
+    },
+    voidedAt: {
+      type: Date,
       default: null,
     },
-    notes: {
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    voidReason: {
       type: String,
       trim: true,
     },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    exportBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AccountingExport",
+      default: null,
+    },
+    voidExportBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AccountingExport",
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// One subscription invoice per customer per billing period. Voided and
+// deleted invoices keep their period, so a period is never billed twice by
+// accident; fees and one-off charges can be invoiced in any period.
+// Databases from before need `npm run migrate-invoice-kinds`, and
+// `npm run dedupe-invoices` if they hold duplicates.
+InvoiceSchema.index(
+  { customerId: 1, billingPeriod: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { kind: "Subscription" },
+    name: "customerId_1_billingPeriod_1_subscription",
+  }
+);
+
+// Indexes behind the list filters and sort orders
+InvoiceSchema.index({ deletedAt: 1, createdAt: -1 });
+InvoiceSchema.index({ status: 1, dueDate: 1 });
+InvoiceSchema.index({ billingPeriod: 1 });
+InvoiceSchema.index({ dueDate: 1 });
+
 const Invoice = mongoose.model("Invoice", InvoiceSchema);
 
-// Create invoice
+// Fields invoice lists can be sorted by
+const INVOICE_SORT_FIELDS = [
+  "createdAt",
+  "invoiceNumber",
+  "billingPeriod",
+  "dueDate",
+  "amount",
+];
+
+// Outstanding balance of an invoice
+function getBalance(invoice) {
+  if (invoice.status === "Paid" || invoice.status === "Void") return 0;
+  return Math.max(roundAmount(invoice.amount - (invoice.amountPaid || 0)), 0);
+}
+
+// Attach the computed balance to an invoice
+function withBalance(invoice) {
+  if (!invoice) return invoice;
+  const data = invoice.toObject ? invoice.toObject() : invoice;
+  return { ...data, balance: getBalance(data) };
+}
+
+// Create invoice. The number is allocated only once the rest of the invoice
+// has validated, and in the same transaction as the insert, so rejected
+// invoices do not leave gaps in the sequence.
 async function createInvoice(data) {
-  const invoice = await Invoice.create(data);
-  return invoice.populate(
+  const invoice = new Invoice(data);
+  await invoice.validate({ pathsToSkip: ["invoiceNumber"] });
+  await withTransaction(async (session) => {
+    invoice.invoiceNumber = await generateInvoiceNumber({ session });
+    await invoice.save({ session });
+  });
+  await invoice.populate(
     "customerId",
     "fullName email contactNumber monthlyFee"
   );
+  return withBalance(invoice);
+}
+
+// Query condition that hides soft-deleted records unless asked for
+function notDeleted(options = {}) {
+  return options.includeDeleted ? {} : { deletedAt: null };
+}
+
+// Get a page of invoices matching the filters. A search matches the start of
+// the invoice number or of the customer's name, email or contact number.
+async function listInvoices(filters = {}, page) {
+  const query = { ...notDeleted(filters) };
+  if (filters.status) query.status = filters.status;
+  if (filters.billingPeriod) query.billingPeriod = filters.billingPeriod;
+  if (filters.customerId) query.customerId = filters.customerId;
+  const due = dateRange(filters.dueFrom, filters.dueTo);
+  if (due) query.dueDate = due;
+  if (filters.search) {
+    query.$or = [
+      { invoiceNumber: prefixPattern(filters.search, { ignoreCase: true }) },
+      { customerId: { $in: await findCustomerIdsBySearch(filters.search) } },
+    ];
+  }
+
+  const result = await paginate(Invoice, query, page, (q) =>
+    q.populate("customerId", "fullName email contactNumber monthlyFee planType")
+  );
+  return { ...result, items: result.items.map(withBalance) };
 }
 
-// Get all invoices
-async function listInvoices() {
-  return Invoice.find()
+// Get invoice by ID
+async function getInvoiceById(id, options = {}) {
+  const invoice = await Invoice.findOne({ _id: id, ...notDeleted(options) })
     .populate("customerId", "fullName email contactNumber monthlyFee planType")
-    .sort({ createdAt: -1 })
     .lean();
+  return withBalance(invoice);
 }
 
-// Get invoice by ID
-async function getInvoiceById(id) {
-  return Invoice.findById(id)
+// Get a customer's invoices issued up to a date, oldest first
+async function listInvoicesByCustomer(customerId, to = new Date()) {
+  return Invoice.find({ customerId, deletedAt: null, createdAt: { $lte: to } })
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+// Customer fields printed on invoice documents
+const DOCUMENT_CUSTOMER_FIELDS =
+  "fullName email contactNumber addressStreet addressCity addressZip landmark planType bandwidthMbps";
+
+// Get invoice by ID with the customer details needed for documents
+async function getInvoiceDocument(id) {
+  const invoice = await Invoice.findOne({ _id: id, deletedAt: null })
+    .populate("customerId", DOCUMENT_CUSTOMER_FIELDS)
+    .lean();
+  return withBalance(invoice);
+}
+
+// Get the invoices of a billing period with customer details for documents
+async function listInvoiceDocuments(billingPeriod) {
+  const invoices = await Invoice.find({ billingPeriod, deletedAt: null })
+    .populate("customerId", DOCUMENT_CUSTOMER_FIELDS)
+    .sort({ invoiceNumber: 1 })
+    .lean();
+  return invoices.map(withBalance);
+}
+
+// Amount paid so far, for update pipelines
+const AMOUNT_PAID_EXPRESSION = { $ifNull: ["$amountPaid", 0] };
+
+// Add a payment to the amount paid of an unpaid invoice. The check and the
+// update are one atomic write, so concurrent payments can never together
+// pay more than the invoice. A payment larger than the balance is refused,
+// or with `capAtBalance` only the balance is taken. Resolves to the amount
+// taken, 0 when nothing could be.
+async function claimInvoicePayment(id, amount, options = {}) {
+  const query = { _id: id, deletedAt: null, status: { $in: UNPAID_STATUSES } };
+  const newAmountPaid = {
+    $round: [{ $add: [AMOUNT_PAID_EXPRESSION, amount] }, 2],
+  };
+
+  if (!options.capAtBalance) {
+    const claimed = await Invoice.findOneAndUpdate(
+      { ...query, $expr: { $lte: [newAmountPaid, "$amount"] } },
+      [{ $set: { amountPaid: newAmountPaid } }],
+      { session: options.session }
+    ).lean();
+    return claimed ? amount : 0;
+  }
+
+  const before = await Invoice.findOneAndUpdate(
+    { ...query, $expr: { $lt: [AMOUNT_PAID_EXPRESSION, "$amount"] } },
+    [{ $set: { amountPaid: { $min: ["$amount", newAmountPaid] } } }],
+    { session: options.session }
+  ).lean();
+  if (!before) return 0;
+  return Math.min(amount, getBalance(before));
+}
+
+// Take back a claimed amount whose payment could not be recorded
+async function releaseInvoicePayment(id, amount) {
+  await Invoice.updateOne({ _id: id }, [
+    {
+      $set: {
+        amountPaid: {
+          $round: [{ $subtract: [AMOUNT_PAID_EXPRESSION, amount] }, 2],
+        },
+      },
+    },
+  ]);
+}
+
+// Update the status of an invoice after a payment was claimed: paid in
+// full, or partially paid unless it is already overdue
+async function settleInvoicePayment(id, paymentDate, options = {}) {
+  const fullyPaid = { $gte: [AMOUNT_PAID_EXPRESSION, "$amount"] };
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: id, status: { $in: UNPAID_STATUSES } },
+    [
+      {
+        $set: {
+          status: {
+            $switch: {
+              branches: [
+                { case: fullyPaid, then: "Paid" },
+                { case: { $eq: ["$status", "Overdue"] }, then: "Overdue" },
+                {
+                  case: { $gt: [AMOUNT_PAID_EXPRESSION, 0] },
+                  then: "Partially Paid",
+                },
+              ],
+              default: "$status",
+            },
+          },
+          paymentDate: {
+            $cond: [fullyPaid, paymentDate || new Date(), "$paymentDate"],
+          },
+        },
+      },
+    ],
+    { new: true, session: options.session }
+  )
     .populate("customerId", "fullName email contactNumber monthlyFee planType")
     .lean();
+  return invoice ? withBalance(invoice) : getInvoiceById(id);
+}
+
+// Mark unpaid invoices past their due date as overdue. Resolves to the
+// invoices marked, with the status each had before.
+async function markOverdueInvoices(asOf = new Date()) {
+  const query = {
+    status: { $in: ["Pending", "Partially Paid"] },
+    dueDate: { $lt: asOf },
+    deletedAt: null,
+  };
+  const candidates = await Invoice.find(query)
+    .select("invoiceNumber status")
+    .lean();
+  if (candidates.length === 0) return [];
+
+  const ids = candidates.map((invoice) => invoice._id);
+  await Invoice.updateMany(
+    { ...query, _id: { $in: ids } },
+    { status: "Overdue", overdueAt: asOf }
+  );
+
+  // Leave out invoices paid or changed between the read and the update
+  const marked = await Invoice.distinct("_id", {
+    _id: { $in: ids },
+    status: "Overdue",
+    overdueAt: asOf,
+  });
+  const markedIds = new Set(marked.map(String));
+  return candidates.filter((invoice) => markedIds.has(String(invoice._id)));
 }
 
-// Update invoice payment
-async function updateInvoicePayment(id, paymentData) {
-  const invoice = await Invoice.findByIdAndUpdate(
-    id,
+// Void an unpaid invoice, e.g. when it was cancelled. Payments already
+// recorded stay in the ledger; nothing more is owed.
+async function voidInvoice(id, data = {}) {
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: id, deletedAt: null, status: { $in: UNPAID_STATUSES } },
     {
-      status: "Paid",
-      paymentDate: paymentData.paymentDate || new Date(),
-      paymentMethod: paymentData.paymentMethod,
-      notes: paymentData.notes,
+      status: "Void",
+      voidedAt: new Date(),
+      voidedBy: data.userId,
+      voidReason: data.reason,
     },
-    { new: true, runValidators: true }
+    { new: true }
   ).populate("customerId", "fullName email contactNumber monthlyFee planType");
+  return withBalance(invoice);
+}
 
-  return invoice;
+// Count a customer's unpaid invoices
+async function countUnpaidInvoicesByCustomer(customerId) {
+  return Invoice.countDocuments({
+    customerId,
+    deletedAt: null,
+    status: { $in: UNPAID_STATUSES },
+  });
+}
+
+// Void every unpaid invoice of a customer
+async function voidUnpaidInvoicesByCustomer(customerId, data = {}) {
+  const result = await Invoice.updateMany(
+    { customerId, deletedAt: null, status: { $in: UNPAID_STATUSES } },
+    {
+      status: "Void",
+      voidedAt: new Date(),
+      voidedBy: data.userId,
+      voidReason: data.reason,
+    },
+    { session: data.session }
+  );
+  return result.modifiedCount;
+}
+
+// IDs of customers with unpaid invoices that were due before a date
+async function findCustomerIdsWithUnpaidDueBefore(date) {
+  return Invoice.distinct("customerId", {
+    deletedAt: null,
+    status: { $in: UNPAID_STATUSES },
+    dueDate: { $lt: date },
+  });
 }
 
-// Delete invoice
-async function deleteInvoice(id) {
-  const invoice = await Invoice.findByIdAndDelete(id);
+// Whether a customer has unpaid invoices that were due before a date
+async function hasUnpaidInvoicesDueBefore(customerId, date) {
+  const invoice = await Invoice.exists({
+    customerId,
+    deletedAt: null,
+    status: { $in: UNPAID_STATUSES },
+    dueDate: { $lt: date },
+  });
+  return Boolean(invoice);
+}
+
+// Soft-delete invoice; it stays in financial history and can be restored.
+// Only settled or voided invoices can be deleted, so nothing owed disappears
+// from the receivables, and only before they were exported to accounting,
+// where the ledger already has them (and will need any void exported too).
+async function deleteInvoice(id, userId) {
+  const invoice = await Invoice.findOneAndUpdate(
+    {
+      _id: id,
+      deletedAt: null,
+      status: { $nin: UNPAID_STATUSES },
+      exportBatchId: null,
+    },
+    { deletedAt: new Date(), deletedBy: userId },
+    { new: true }
+  ).lean();
   return invoice;
 }
 
-// Generate invoice number
-function generateInvoiceNumber() {
+// Restore a soft-deleted invoice
+async function restoreInvoice(id) {
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null, $unset: { deletedBy: 1 } },
+    { new: true }
+  ).populate("customerId", "fullName email contactNumber monthlyFee planType");
+  return withBalance(invoice);
+}
+
+// Query of issued invoices not yet exported to accounting
+function unexportedInvoicesQuery(from, to) {
+  return {
+    deletedAt: null,
+    exportBatchId: null,
+    createdAt: { $gte: from, $lte: to },
+  };
+}
+
+// Query of voids not yet exported. A void is only exported together with or
+// after the invoice it reverses, never before it.
+function unexportedVoidsQuery(from, to) {
+  return {
+    deletedAt: null,
+    status: "Void",
+    voidExportBatchId: null,
+    voidedAt: { $gte: from, $lte: to },
+    $or: [
+      { exportBatchId: { $ne: null } },
+      { createdAt: { $gte: from, $lte: to } },
+    ],
+  };
+}
+
+// Customer fields used in accounting exports
+const EXPORT_CUSTOMER_FIELDS = "fullName planType";
+
+// Get invoices and voids in a date range that have not been exported yet
+async function listUnexportedInvoices(from, to) {
+  const [invoices, voids] = await Promise.all([
+    Invoice.find(unexportedInvoicesQuery(from, to))
+      .populate("customerId", EXPORT_CUSTOMER_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean(),
+    Invoice.find(unexportedVoidsQuery(from, to))
+      .populate("customerId", EXPORT_CUSTOMER_FIELDS)
+      .sort({ voidedAt: 1 })
+      .lean(),
+  ]);
+  return { invoices, voids };
+}
+
+// Mark unexported invoices and voids in a date range as part of an export
+// batch. Invoices claimed by a concurrent export are left to that export.
+async function claimInvoicesForExport(batchId, from, to) {
+  await Invoice.updateMany(unexportedInvoicesQuery(from, to), {
+    exportBatchId: batchId,
+  });
+  await Invoice.updateMany(unexportedVoidsQuery(from, to), {
+    voidExportBatchId: batchId,
+  });
+}
+
+// Get the invoices and voids of an export batch
+async function listInvoicesByExportBatch(batchId) {
+  const [invoices, voids] = await Promise.all([
+    Invoice.find({ exportBatchId: batchId })
+      .populate("customerId", EXPORT_CUSTOMER_FIELDS)
+      .sort({ createdAt: 1 })
+      .lean(),
+    Invoice.find({ voidExportBatchId: batchId })
+      .populate("customerId", EXPORT_CUSTOMER_FIELDS)
+      .sort({ voidedAt: 1 })
+      .lean(),
+  ]);
+  return { invoices, voids };
+}
+
+// Invoice number for a month and sequence string
+function formatInvoiceNumber(year, month, seq) {
+  return INVOICE_NUMBER_FORMAT.replace("{PREFIX}", INVOICE_NUMBER_PREFIX)
+    .replace("{YYYY}", year)
+    .replace("{YY}", year.slice(-2))
+    .replace("{MM}", month)
+    .replace("{SEQ}", seq);
+}
+
+// Month counters already seeded by this process
+const seededInvoiceCounters = new Set();
+
+// Start a month's counter after the highest number already issued in that
+// month, so it never hands out a number an older invoice (such as one from
+// before sequential numbering) already has
+async function seedInvoiceCounter(key, year, month) {
+  if (seededInvoiceCounters.has(key)) return;
+
+  const [before, after] = formatInvoiceNumber(year, month, "{SEQ}").split(
+    "{SEQ}"
+  );
+  const pattern = new RegExp(
+    `^${escapePattern(before)}(\\d+)${escapePattern(after)}$`
+  );
+  const existing = await Invoice.find(
+    { invoiceNumber: pattern },
+    { invoiceNumber: 1 }
+  ).lean();
+  const highest = existing.reduce(
+    (max, { invoiceNumber }) =>
+      Math.max(max, Number(pattern.exec(invoiceNumber)[1])),
+    0
+  );
+
+  await seedSequence(key, highest);
+  seededInvoiceCounters.add(key);
+}
+
+// Reserve a block of sequential invoice numbers for the current month
+async function reserveInvoiceNumbers(count, options = {}) {
   const date = new Date();
-  const year = date.getFullYear();
+  const year = String(date.getFullYear());
   const month = String(date.getMonth() + 1).padStart(2, "0");
-  const random = Math.floor(Math.random() * 10000)
-    .toString()
-    .padStart(4, "0");
-  return `INV-${year}${month}-${random}`;
+  const key = `invoice:${INVOICE_NUMBER_PREFIX}:${year}${month}`;
+
+  await seedInvoiceCounter(key, year, month);
+  const last = await nextSequence(key, {
+    session: options.session,
+    increment: count,
+  });
+
+  const numbers = [];
+  for (let seq = last - count + 1; seq <= last; seq++) {
+    numbers.push(
+      formatInvoiceNumber(
+        year,
+        month,
+        String(seq).padStart(INVOICE_NUMBER_PADDING, "0")
+      )
+    );
+  }
+  return numbers;
+}
+
+// Generate the next sequential invoice number for the current month
+async function generateInvoiceNumber(options = {}) {
+  const [invoiceNumber] = await reserveInvoiceNumbers(1, options);
+  return invoiceNumber;
 }
 
 module.exports = {
   Invoice,
+  INVOICE_STATUSES,
+  UNPAID_STATUSES,
+  INVOICE_KINDS,
+  MANUAL_INVOICE_KINDS,
+  INVOICE_SORT_FIELDS,
   createInvoice,
   listInvoices,
   getInvoiceById,
-  updateInvoicePayment,
+  listInvoicesByCustomer,
+  getInvoiceDocument,
+  listInvoiceDocuments,
+  getBalance,
+  withBalance,
+  claimInvoicePayment,
+  releaseInvoicePayment,
+  settleInvoicePayment,
+  markOverdueInvoices,
+  voidInvoice,
+  countUnpaidInvoicesByCustomer,
+  voidUnpaidInvoicesByCustomer,
+  findCustomerIdsWithUnpaidDueBefore,
+  hasUnpaidInvoicesDueBefore,
   deleteInvoice,
+  restoreInvoice,
+  listUnexportedInvoices,
+  claimInvoicesForExport,
+  listInvoicesByExportBatch,
+  reserveInvoiceNumbers,
   generateInvoiceNumber,
 };
@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const counters = require("../counters/counters.model");
+
+// Counters kept in memory; the model takes them at require time
+const sequences = new Map();
+counters.nextSequence = async (key, options = {}) => {
+  const value = (sequences.get(key) || 0) + (options.increment || 1);
+  sequences.set(key, value);
+  return value;
+};
+counters.seedSequence = async (key, value) => {
+  sequences.set(key, Math.max(sequences.get(key) || 0, value));
+};
+
+const {
+  Invoice,
+  getBalance,
+  withBalance,
+  generateInvoiceNumber,
+} = require("./invoices.model");
+
+describe("getBalance", () => {
+  it("is what is left after the payments so far", () => {
+    assert.equal(
+      getBalance({ status: "Partially Paid", amount: 1500, amountPaid: 499.9 }),
+      1000.1
+    );
+    assert.equal(getBalance({ status: "Pending", amount: 1500 }), 1500);
+  });
+
+  it("is nothing for paid and voided invoices", () => {
+    assert.equal(getBalance({ status: "Paid", amount: 1500 }), 0);
+    assert.equal(
+      getBalance({ status: "Void", amount: 1500, amountPaid: 200 }),
+      0
+    );
+  });
+
+  it("never goes below zero", () => {
+    assert.equal(
+      getBalance({ status: "Overdue", amount: 1500, amountPaid: 1600 }),
+      0
+    );
+  });
+});
+
+describe("withBalance", () => {
+  it("adds the balance to a copy of the invoice", () => {
+    const invoice = { status: "Pending", amount: 800, amountPaid: 300 };
+    assert.deepEqual(withBalance(invoice), { ...invoice, balance: 500 });
+    assert.equal(invoice.balance, undefined);
+  });
+
+  it("passes a missing invoice through", () => {
+    assert.equal(withBalance(null), null);
+  });
+});
+
+describe("generateInvoiceNumber", () => {
+  // Numbers are issued for the current local month
+  const now = new Date();
+  const month =
+    String(now.getFullYear()) + String(now.getMonth() + 1).padStart(2, "0");
+
+  it("continues after the highest number issued this month", async (t) => {
+    const find = t.mock.method(Invoice, "find", () => ({
+      lean: async () => [
+        { invoiceNumber: `INV-${month}-0041` },
+        { invoiceNumber: `INV-${month}-0007` },
+      ],
+    }));
+
+    assert.equal(await generateInvoiceNumber(), `INV-${month}-0042`);
+    assert.equal(await generateInvoiceNumber(), `INV-${month}-0043`);
+    // The month's counter is only seeded once
+    assert.equal(find.mock.callCount(), 1);
+  });
+
+  it("hands out distinct numbers to concurrent invoices", async () => {
+    const numbers = await Promise.all(
+      Array.from({ length: 20 }, () => generateInvoiceNumber())
+    );
+    assert.equal(new Set(numbers).size, 20);
+    for (const number of numbers) {
+      assert.match(number, new RegExp(`^INV-${month}-\\d{4}$`));
+    }
+  });
+});
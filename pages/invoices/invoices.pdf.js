@@ -0,0 +1,225 @@
+const PDFDocument = require("pdfkit");
+const {
+  COMPANY_NAME,
+  COMPANY_ADDRESS,
+  COMPANY_CONTACT,
+  PAYMENT_INSTRUCTIONS,
+} = require("../../config/company");
+const { formatMoney, formatDate } = require("../../utils/format");
+
+const MARGIN = 50;
+const BRAND_COLOR = "#1d4ed8";
+const MUTED_COLOR = "#555555";
+
+// Company header and invoice details
+function drawHeader(doc, invoice) {
+  const top = doc.y;
+
+  doc.fillColor(BRAND_COLOR).font("Helvetica-Bold").fontSize(18);
+  doc.text(COMPANY_NAME, MARGIN, top, { width: 280 });
+  doc.fillColor(MUTED_COLOR).font("Helvetica").fontSize(9);
+  if (COMPANY_ADDRESS) doc.text(COMPANY_ADDRESS, { width: 280 });
+  if (COMPANY_CONTACT) doc.text(COMPANY_CONTACT, { width: 280 });
+  const leftBottom = doc.y;
+
+  const right = { width: 200, align: "right" };
+  doc.fillColor("black").font("Helvetica-Bold").fontSize(16);
+  doc.text("INVOICE", 345, top, right);
+  doc.font("Helvetica").fontSize(9);
+  doc.text(`Invoice no.: ${invoice.invoiceNumber}`, 345, doc.y, right);
+  doc.text(`Issued: ${formatDate(invoice.createdAt)}`, 345, doc.y, right);
+  doc.text(`Billing period: ${invoice.billingPeriod}`, 345, doc.y, right);
+  doc.font("Helvetica-Bold");
+  doc.text(`Due date: ${formatDate(invoice.dueDate)}`, 345, doc.y, right);
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+}
+
+// Customer address and subscribed plan
+function drawCustomer(doc, customer) {
+  const top = doc.y;
+
+  doc.fillColor(MUTED_COLOR).font("Helvetica-Bold").fontSize(9);
+  doc.text("BILL TO", MARGIN, top);
+  doc.fillColor("black").font("Helvetica-Bold").fontSize(11);
+  doc.text(customer.fullName || "");
+  doc.font("Helvetica").fontSize(9);
+  doc.text(customer.addressStreet || "");
+  doc.text(
+    [customer.addressCity, customer.addressZip].filter(Boolean).join(" ")
+  );
+  if (customer.landmark) doc.text(`Landmark: ${customer.landmark}`);
+  if (customer.contactNumber) doc.text(customer.contactNumber);
+  if (customer.email) doc.text(customer.email);
+  const leftBottom = doc.y;
+
+  doc.fillColor(MUTED_COLOR).font("Helvetica-Bold").fontSize(9);
+  doc.text("SERVICE", 345, top);
+  doc.fillColor("black").font("Helvetica").fontSize(9);
+  doc.text(`Plan: ${customer.planType || ""}`, 345);
+  if (customer.bandwidthMbps) {
+    doc.text(`Bandwidth: ${customer.bandwidthMbps} Mbps`, 345);
+  }
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+}
+
+// Line items table
+function drawLineItems(doc, invoice) {
+  const columns = [
+    { label: "Description", x: MARGIN, width: 250, align: "left" },
+    { label: "Qty", x: 300, width: 40, align: "right" },
+    { label: "Unit price", x: 345, width: 95, align: "right" },
+    { label: "Amount", x: 445, width: 100, align: "right" },
+  ];
+
+  const drawRow = (values, font) => {
+    const top = doc.y;
+    let bottom = top;
+    doc.font(font).fontSize(9).fillColor("black");
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, top, {
+        width: column.width,
+        align: column.align,
+      });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+
+  drawRow(
+    columns.map((column) => column.label),
+    "Helvetica-Bold"
+  );
+  doc.moveTo(MARGIN, doc.y).lineTo(545, doc.y).strokeColor("#cccccc").stroke();
+  doc.y += 4;
+
+  const lineItems =
+    invoice.lineItems && invoice.lineItems.length > 0
+      ? invoice.lineItems
+      : [
+          {
+            description: `Internet service, ${invoice.billingPeriod}`,
+            quantity: 1,
+            unitPrice: invoice.amount,
+            amount: invoice.amount,
+          },
+        ];
+
+  for (const item of lineItems) {
+    drawRow(
+      [
+        item.description,
+        String(item.quantity || 1),
+        formatMoney(item.unitPrice),
+        formatMoney(item.amount),
+      ],
+      "Helvetica"
+    );
+  }
+
+  doc.moveTo(MARGIN, doc.y).lineTo(545, doc.y).strokeColor("#cccccc").stroke();
+  doc.y += 8;
+}
+
+// Subtotal, discount, tax, total and balance
+function drawTotals(doc, invoice) {
+  const rows = [];
+  if (invoice.subtotal !== undefined) {
+    rows.push(["Subtotal", formatMoney(invoice.subtotal)]);
+  }
+  if (invoice.discountAmount > 0) {
+    rows.push([
+      `Discount (${invoice.discountCode})`,
+      `-${formatMoney(invoice.discountAmount)}`,
+    ]);
+  }
+  if (invoice.exemptTaxAmount > 0) {
+    rows.push(["VAT exemption", `-${formatMoney(invoice.exemptTaxAmount)}`]);
+  }
+  if (invoice.taxRate > 0) {
+    const label = invoice.taxInclusive
+      ? `VAT ${invoice.taxRate}% (included)`
+      : `VAT ${invoice.taxRate}%`;
+    rows.push([label, formatMoney(invoice.taxAmount)]);
+  }
+  rows.push(["Total", formatMoney(invoice.amount)]);
+  rows.push(["Amount paid", formatMoney(invoice.amountPaid)]);
+  rows.push(["Balance due", formatMoney(invoice.balance)]);
+
+  rows.forEach(([label, value]) => {
+    const bold = label === "Total" || label === "Balance due";
+    const top = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    doc.text(label, 300, top, { width: 140, align: "right" });
+    doc.text(value, 445, top, { width: 100, align: "right" });
+    doc.y += 2;
+  });
+
+  doc.y += 16;
+}
+
+// Payment status and instructions
+function drawFooter(doc, invoice) {
+  doc.x = MARGIN;
+  doc.font("Helvetica-Bold").fontSize(10).fillColor(BRAND_COLOR);
+  doc.text(`Status: ${invoice.status}`);
+  if (invoice.status === "Paid" && invoice.paymentDate) {
+    doc.font("Helvetica").fontSize(9).fillColor("black");
+    doc.text(`Paid in full on ${formatDate(invoice.paymentDate)}.`);
+  }
+  if (invoice.status === "Void") {
+    doc.font("Helvetica").fontSize(9).fillColor("black");
+    doc.text(
+      [`Voided on ${formatDate(invoice.voidedAt)}.`, invoice.voidReason]
+        .filter(Boolean)
+        .join(" ")
+    );
+  }
+
+  if (invoice.status !== "Paid" && invoice.status !== "Void") {
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(9).fillColor("black");
+    doc.text("Payment instructions");
+    doc.font("Helvetica").fillColor(MUTED_COLOR);
+    doc.text(PAYMENT_INSTRUCTIONS, { width: 495 });
+  }
+}
+
+// Render an invoice, with its customer populated, as a PDF document stream.
+// The caller pipes the returned document wherever it is needed.
+function renderInvoicePdf(invoice) {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    info: {
+      Title: `Invoice ${invoice.invoiceNumber}`,
+      Author: COMPANY_NAME,
+    },
+  });
+
+  drawHeader(doc, invoice);
+  drawCustomer(doc, invoice.customerId || {});
+  drawLineItems(doc, invoice);
+  drawTotals(doc, invoice);
+  drawFooter(doc, invoice);
+
+  doc.end();
+  return doc;
+}
+
+// Render an invoice as a PDF buffer, e.g. for email attachments
+function renderInvoicePdfBuffer(invoice) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const doc = renderInvoicePdf(invoice);
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+}
+
+module.exports = {
+  renderInvoicePdf,
+  renderInvoicePdfBuffer,
+};
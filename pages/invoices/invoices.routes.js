@@ -3,19 +3,99 @@ const {
   addInvoice,
   getInvoices,
   getInvoice,
+  getInvoicePdf,
+  getInvoicePdfBundle,
+  getInvoicePayments,
   recordPayment,
+  markOverdue,
+  voidInvoiceById,
   deleteInvoiceById,
+  restoreInvoiceById,
   generateMonthlyInvoices,
+  getBillingRun,
 } = require("./invoices.controller");
 const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
 
 const router = express.Router();
 
-router.get("/", authenticateToken, getInvoices);
-router.post("/generate-monthly", authenticateToken, generateMonthlyInvoices);
-router.get("/:id", authenticateToken, getInvoice);
-router.post("/", authenticateToken, addInvoice);
-router.put("/:id/payment", authenticateToken, recordPayment);
-router.delete("/:id", authenticateToken, deleteInvoiceById);
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getInvoices
+);
+router.post(
+  "/generate-monthly",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  generateMonthlyInvoices
+);
+router.post(
+  "/mark-overdue",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  markOverdue
+);
+router.get(
+  "/runs/:id",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getBillingRun
+);
+router.get(
+  "/pdf",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getInvoicePdfBundle
+);
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getInvoice
+);
+router.get(
+  "/:id/pdf",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getInvoicePdf
+);
+router.get(
+  "/:id/payments",
+  authenticateToken,
+  requirePermission("invoices:read"),
+  getInvoicePayments
+);
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  addInvoice
+);
+router.put(
+  "/:id/payment",
+  authenticateToken,
+  requirePermission("payments:write"),
+  recordPayment
+);
+router.post(
+  "/:id/void",
+  authenticateToken,
+  requirePermission("invoices:write"),
+  voidInvoiceById
+);
+router.post(
+  "/:id/restore",
+  authenticateToken,
+  requirePermission("invoices:delete"),
+  restoreInvoiceById
+);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("invoices:delete"),
+  deleteInvoiceById
+);
 
 module.exports = router;
@@ -0,0 +1,161 @@
+const { roundAmount } = require("./totals");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Billing periods are calendar months written as YYYY-MM
+const BILLING_PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+// Midnight UTC of the given date
+function startOfDay(date) {
+  const d = new Date(date);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+// Parse a YYYY-MM billing period into its [start, end) range
+function parseBillingPeriod(billingPeriod) {
+  const match = BILLING_PERIOD_PATTERN.exec(billingPeriod || "");
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    start: Date.UTC(year, month, 1),
+    end: Date.UTC(year, month + 1, 1),
+  };
+}
+
+// Start of the billing period after the one containing a date
+function nextBillingPeriodStart(date = new Date()) {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+}
+
+// Plan history of a customer, oldest first. Customers created before plan
+// history was recorded are treated as having had their current plan since
+// the subscription started.
+function getPlanHistory(customer) {
+  if (customer.planHistory && customer.planHistory.length > 0) {
+    return [...customer.planHistory].sort(
+      (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
+    );
+  }
+
+  return [
+    {
+      planId: customer.planId,
+      planType: customer.planType,
+      monthlyFee: customer.monthlyFee,
+      effectiveFrom: customer.subscriptionStartDate,
+    },
+  ];
+}
+
+// Describe a plan segment, e.g. "Basic plan, 1–14 Jun 2025"
+function describeSegment(planType, from, to, period) {
+  const label = new Date(from).toLocaleString("en-US", {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+  if (from === period.start && to === period.end) {
+    return `${planType} plan, ${label}`;
+  }
+
+  const firstDay = new Date(from).getUTCDate();
+  const lastDay = new Date(to - DAY_MS).getUTCDate();
+  return `${planType} plan, ${firstDay}–${lastDay} ${label}`;
+}
+
+// Find the plan record behind a plan history entry
+function findEntryPlan(entry, plans) {
+  return plans.find((plan) =>
+    entry.planId
+      ? plan._id.toString() === entry.planId.toString()
+      : plan.name === entry.planType
+  );
+}
+
+// Monthly fees of a plan history entry over time, oldest first. Prices come
+// from the plan's price history so that a price change only affects the days
+// after it; entries without a plan record keep the fee they were created with.
+function getPriceHistory(entry, plans) {
+  const plan = findEntryPlan(entry, plans);
+  if (!plan || !plan.priceHistory || plan.priceHistory.length === 0) {
+    return [{ monthlyFee: entry.monthlyFee, effectiveFrom: -Infinity }];
+  }
+
+  const prices = [...plan.priceHistory]
+    .map((price) => ({
+      monthlyFee: price.monthlyFee,
+      effectiveFrom: startOfDay(price.effectiveFrom),
+    }))
+    .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+  prices[0].effectiveFrom = -Infinity;
+  return prices;
+}
+
+// Compute the prorated charges of a customer for a billing period. Each plan
+// and price in effect during the period is charged for the days it was
+// active, from the subscription start date onwards, at its monthly fee divided
+// by the number of days in the month.
+function prorateBillingPeriod(customer, billingPeriod, plans = []) {
+  const period = parseBillingPeriod(billingPeriod);
+  if (!period) {
+    throw new Error("Invalid billing period");
+  }
+
+  const daysInPeriod = (period.end - period.start) / DAY_MS;
+  const serviceStart = startOfDay(customer.subscriptionStartDate);
+  const history = getPlanHistory(customer);
+
+  const lineItems = [];
+  history.forEach((entry, index) => {
+    const next = history[index + 1];
+    const planFrom = Math.max(
+      startOfDay(entry.effectiveFrom),
+      serviceStart,
+      period.start
+    );
+    const planTo = Math.min(
+      next ? startOfDay(next.effectiveFrom) : Infinity,
+      period.end
+    );
+    if (planTo <= planFrom) return;
+
+    const prices = getPriceHistory(entry, plans);
+    prices.forEach((price, priceIndex) => {
+      const nextPrice = prices[priceIndex + 1];
+      const from = Math.max(price.effectiveFrom, planFrom);
+      const to = Math.min(
+        nextPrice ? nextPrice.effectiveFrom : Infinity,
+        planTo
+      );
+      if (to <= from) return;
+
+      const days = (to - from) / DAY_MS;
+      const amount = roundAmount((price.monthlyFee * days) / daysInPeriod);
+      lineItems.push({
+        type: "plan",
+        description: describeSegment(entry.planType, from, to, period),
+        quantity: 1,
+        unitPrice: amount,
+        amount,
+        periodStart: new Date(from),
+        periodEnd: new Date(to - DAY_MS),
+      });
+    });
+  });
+
+  const amount = roundAmount(
+    lineItems.reduce((sum, item) => sum + item.amount, 0)
+  );
+  return { lineItems, amount };
+}
+
+module.exports = {
+  BILLING_PERIOD_PATTERN,
+  parseBillingPeriod,
+  nextBillingPeriodStart,
+  prorateBillingPeriod,
+};
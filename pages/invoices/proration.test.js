@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseBillingPeriod,
+  nextBillingPeriodStart,
+  prorateBillingPeriod,
+} = require("./proration");
+
+// A customer on one plan since the given date
+function customerSince(subscriptionStartDate, monthlyFee = 1500) {
+  return {
+    planType: "Basic",
+    monthlyFee,
+    subscriptionStartDate: new Date(subscriptionStartDate),
+  };
+}
+
+describe("parseBillingPeriod", () => {
+  it("parses a YYYY-MM period into its month", () => {
+    assert.deepEqual(parseBillingPeriod("2025-02"), {
+      start: Date.UTC(2025, 1, 1),
+      end: Date.UTC(2025, 2, 1),
+    });
+  });
+
+  it("rejects anything else", () => {
+    for (const value of ["2025-13", "2025-2", "25-02", "", undefined, null]) {
+      assert.equal(parseBillingPeriod(value), null);
+    }
+  });
+});
+
+describe("nextBillingPeriodStart", () => {
+  it("is the first of the next month, across a year end", () => {
+    assert.deepEqual(
+      nextBillingPeriodStart(new Date("2025-12-15T10:00:00Z")),
+      new Date("2026-01-01T00:00:00Z")
+    );
+  });
+});
+
+describe("prorateBillingPeriod", () => {
+  it("charges the full fee for a month of service", () => {
+    const { amount, lineItems } = prorateBillingPeriod(
+      customerSince("2025-01-10"),
+      "2025-06"
+    );
+    assert.equal(amount, 1500);
+    assert.equal(lineItems.length, 1);
+  });
+
+  it("charges only the days from the subscription start", () => {
+    const { amount, lineItems } = prorateBillingPeriod(
+      customerSince("2025-06-16"),
+      "2025-06"
+    );
+    // 15 of 30 days
+    assert.equal(amount, 750);
+    assert.deepEqual(lineItems[0].periodStart, new Date("2025-06-16"));
+    assert.deepEqual(lineItems[0].periodEnd, new Date("2025-06-30"));
+  });
+
+  it("charges nothing before the subscription starts", () => {
+    const { amount, lineItems } = prorateBillingPeriod(
+      customerSince("2025-07-01"),
+      "2025-06"
+    );
+    assert.equal(amount, 0);
+    assert.deepEqual(lineItems, []);
+  });
+
+  it("splits a month between the plans in effect", () => {
+    const customer = {
+      ...customerSince("2025-01-01"),
+      planHistory: [
+        {
+          planType: "Premium",
+          monthlyFee: 3100,
+          effectiveFrom: new Date("2025-07-11"),
+        },
+        {
+          planType: "Basic",
+          monthlyFee: 1550,
+          effectiveFrom: new Date("2025-01-01"),
+        },
+      ],
+    };
+
+    const { amount, lineItems } = prorateBillingPeriod(customer, "2025-07");
+    // 10 of 31 days on Basic, 21 on Premium
+    assert.deepEqual(
+      lineItems.map((item) => item.amount),
+      [500, 2100]
+    );
+    assert.equal(amount, 2600);
+  });
+
+  it("throws on an invalid billing period", () => {
+    assert.throws(
+      () => prorateBillingPeriod(customerSince("2025-01-01"), "June"),
+      /Invalid billing period/
+    );
+  });
+});
@@ -0,0 +1,126 @@
+const { VAT_RATE, PRICES_INCLUDE_TAX } = require("../../config/invoices");
+
+// Line item types; credits reduce the invoice total
+const LINE_ITEM_TYPES = [
+  "plan",
+  "installation",
+  "equipment",
+  "charge",
+  "reconnection",
+  "credit",
+];
+
+// Round to centavos
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Fill in the amount of a line item from its quantity and unit price
+function normalizeLineItem(item) {
+  const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+  const unitPrice = Number(item.unitPrice);
+  const amount = roundAmount(quantity * unitPrice);
+
+  return {
+    ...item,
+    type: item.type || "charge",
+    quantity,
+    unitPrice,
+    amount: item.type === "credit" ? -Math.abs(amount) : amount,
+    taxable: item.taxable !== false,
+  };
+}
+
+// Validate line items from a request; returns an error message or null
+function validateLineItems(lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return "lineItems must be a non-empty array";
+  }
+
+  for (const item of lineItems) {
+    if (!item || !item.description || item.unitPrice === undefined) {
+      return "Each line item needs a description and unitPrice";
+    }
+    if (item.type && !LINE_ITEM_TYPES.includes(item.type)) {
+      return `Line item type must be one of: ${LINE_ITEM_TYPES.join(", ")}`;
+    }
+    if (!(Number(item.unitPrice) >= 0)) {
+      return "Line item unitPrice must be a non-negative number";
+    }
+    if (item.quantity !== undefined && !(Number(item.quantity) > 0)) {
+      return "Line item quantity must be greater than 0";
+    }
+  }
+
+  return null;
+}
+
+// Discount on a subtotal for a percentage or fixed discount code
+function computeDiscount(discount, subtotal) {
+  if (!discount || subtotal <= 0) return 0;
+
+  const amount =
+    discount.type === "percent"
+      ? (subtotal * discount.value) / 100
+      : discount.value;
+  return roundAmount(Math.min(amount, subtotal));
+}
+
+// Compute subtotal, discount, VAT and total of an invoice. The discount is
+// spread over all items, so only its share of taxable items lowers the tax.
+// When prices include VAT, tax-exempt customers have the VAT taken out of
+// their taxable items' prices instead of paying it.
+function computeInvoiceTotals(lineItems, options = {}) {
+  const items = lineItems.map(normalizeLineItem);
+  const taxRate = options.taxExempt ? 0 : VAT_RATE;
+
+  const subtotal = roundAmount(
+    items.reduce((sum, item) => sum + item.amount, 0)
+  );
+  const taxableSubtotal = items
+    .filter((item) => item.taxable)
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  const discountAmount = computeDiscount(options.discount, subtotal);
+  const taxableBase =
+    subtotal > 0
+      ? Math.max(taxableSubtotal * (1 - discountAmount / subtotal), 0)
+      : 0;
+
+  const rate = taxRate / 100;
+  const taxAmount = roundAmount(
+    PRICES_INCLUDE_TAX
+      ? taxableBase - taxableBase / (1 + rate)
+      : taxableBase * rate
+  );
+
+  const exemptTaxAmount =
+    options.taxExempt && PRICES_INCLUDE_TAX
+      ? roundAmount(taxableBase - taxableBase / (1 + VAT_RATE / 100))
+      : 0;
+
+  const net = Math.max(
+    roundAmount(subtotal - discountAmount - exemptTaxAmount),
+    0
+  );
+  const amount = PRICES_INCLUDE_TAX ? net : roundAmount(net + taxAmount);
+
+  return {
+    lineItems: items,
+    subtotal,
+    discountCode: options.discount ? options.discount.code : undefined,
+    discountAmount,
+    taxRate,
+    taxInclusive: PRICES_INCLUDE_TAX,
+    taxAmount,
+    exemptTaxAmount,
+    amount,
+  };
+}
+
+module.exports = {
+  LINE_ITEM_TYPES,
+  roundAmount,
+  validateLineItems,
+  computeInvoiceTotals,
+};
@@ -0,0 +1,115 @@
+const {
+  listTemplateOverrides,
+  findTemplateOverride,
+  saveTemplateOverride,
+  deleteTemplateOverride,
+  listNotificationLogs,
+} = require("./notifications.model");
+const {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_TYPES,
+} = require("./notifications.templates");
+const { recordAudit } = require("../audit/audit.model");
+
+// Get notification log
+async function getNotifications(req, res) {
+  try {
+    const { customerId, invoiceId, type, status } = req.query;
+    const logs = await listNotificationLogs({
+      customerId,
+      invoiceId,
+      type,
+      status,
+    });
+    res.json(logs);
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    res.status(500).json({ error: "Failed to load notifications" });
+  }
+}
+
+// Get all templates, with saved overrides in place of the defaults
+async function getTemplates(req, res) {
+  try {
+    const overrides = await listTemplateOverrides();
+    const templates = TEMPLATE_TYPES.map((type) => {
+      const override = overrides.find((template) => template.type === type);
+      return {
+        type,
+        subject: override ? override.subject : DEFAULT_TEMPLATES[type].subject,
+        body: override ? override.body : DEFAULT_TEMPLATES[type].body,
+        customized: Boolean(override),
+      };
+    });
+    res.json(templates);
+  } catch (err) {
+    console.error("Error fetching templates:", err);
+    res.status(500).json({ error: "Failed to load templates" });
+  }
+}
+
+// Update template
+async function updateTemplate(req, res) {
+  try {
+    const { type } = req.params;
+    const { subject, body } = req.body;
+
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    if (!subject || !body) {
+      return res.status(400).json({ error: "subject and body are required" });
+    }
+
+    const existing = await findTemplateOverride(type);
+    const template = await saveTemplateOverride(type, { subject, body });
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "NotificationTemplate",
+      entityId: type,
+      before: existing || DEFAULT_TEMPLATES[type],
+      after: template,
+    });
+
+    res.json(template);
+  } catch (err) {
+    console.error("Error updating template:", err);
+    res.status(500).json({ error: "Failed to update template" });
+  }
+}
+
+// Reset template to its default
+async function resetTemplate(req, res) {
+  try {
+    const { type } = req.params;
+
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return res.status(404).json({ error: "Template not found" });
+    }
+
+    const existing = await deleteTemplateOverride(type);
+
+    if (existing) {
+      await recordAudit(req, {
+        action: "reset",
+        entityType: "NotificationTemplate",
+        entityId: type,
+        before: existing,
+        after: DEFAULT_TEMPLATES[type],
+      });
+    }
+    res.json({ type, ...DEFAULT_TEMPLATES[type], customized: false });
+  } catch (err) {
+    console.error("Error resetting template:", err);
+    res.status(500).json({ error: "Failed to reset template" });
+  }
+}
+
+module.exports = {
+  getNotifications,
+  getTemplates,
+  updateTemplate,
+  resetTemplate,
+};
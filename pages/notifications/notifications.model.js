@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const { TEMPLATE_TYPES } = require("./notifications.templates");
+
+// Notification template schema; overrides the built-in default of its type
+const NotificationTemplateSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: TEMPLATE_TYPES,
+      required: true,
+      unique: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Notification log schema
+const NotificationLogSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true,
+    },
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+    type: {
+      type: String,
+      enum: TEMPLATE_TYPES,
+      required: true,
+    },
+    to: {
+      type: String,
+    },
+    subject: {
+      type: String,
+    },
+    body: {
+      type: String,
+    },
+    transport: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["Sent", "Failed"],
+      required: true,
+    },
+    messageId: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+const NotificationTemplate = mongoose.model(
+  "NotificationTemplate",
+  NotificationTemplateSchema
+);
+const NotificationLog = mongoose.model(
+  "NotificationLog",
+  NotificationLogSchema
+);
+
+// Get saved template overrides
+async function listTemplateOverrides() {
+  return NotificationTemplate.find().lean();
+}
+
+// Find the saved override of a template type
+async function findTemplateOverride(type) {
+  return NotificationTemplate.findOne({ type }).lean();
+}
+
+// Save a template override
+async function saveTemplateOverride(type, data) {
+  return NotificationTemplate.findOneAndUpdate(
+    { type },
+    { subject: data.subject, body: data.body },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+}
+
+// Delete a template override, restoring the default
+async function deleteTemplateOverride(type) {
+  return NotificationTemplate.findOneAndDelete({ type }).lean();
+}
+
+// Create notification log entry
+async function createNotificationLog(data) {
+  const log = await NotificationLog.create(data);
+  return log;
+}
+
+// Get notification log entries, newest first
+async function listNotificationLogs(filters = {}) {
+  const query = {};
+  if (filters.customerId) query.customerId = filters.customerId;
+  if (filters.invoiceId) query.invoiceId = filters.invoiceId;
+  if (filters.type) query.type = filters.type;
+  if (filters.status) query.status = filters.status;
+
+  return NotificationLog.find(query)
+    .populate("customerId", "fullName email")
+    .sort({ createdAt: -1 })
+    .limit(filters.limit || 200)
+    .lean();
+}
+
+module.exports = {
+  NotificationTemplate,
+  NotificationLog,
+  listTemplateOverrides,
+  findTemplateOverride,
+  saveTemplateOverride,
+  deleteTemplateOverride,
+  createNotificationLog,
+  listNotificationLogs,
+};
@@ -0,0 +1,38 @@
+const express = require("express");
+const {
+  getNotifications,
+  getTemplates,
+  updateTemplate,
+  resetTemplate,
+} = require("./notifications.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("notifications:read"),
+  getNotifications
+);
+router.get(
+  "/templates",
+  authenticateToken,
+  requirePermission("notifications:read"),
+  getTemplates
+);
+router.put(
+  "/templates/:type",
+  authenticateToken,
+  requirePermission("notifications:write"),
+  updateTemplate
+);
+router.delete(
+  "/templates/:type",
+  authenticateToken,
+  requirePermission("notifications:write"),
+  resetTemplate
+);
+
+module.exports = router;
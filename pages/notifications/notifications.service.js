@@ -0,0 +1,240 @@
+const { Invoice, getInvoiceDocument } = require("../invoices/invoices.model");
+const { renderInvoicePdfBuffer } = require("../invoices/invoices.pdf");
+const {
+  findTemplateOverride,
+  createNotificationLog,
+} = require("./notifications.model");
+const {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+} = require("./notifications.templates");
+const { getTransport } = require("./notifications.transports");
+const { recordSystemAudit } = require("../audit/audit.model");
+const {
+  NOTIFICATION_FROM,
+  REMINDER_DAYS_BEFORE_DUE,
+  OVERDUE_NOTICE_MAX_AGE_DAYS,
+} = require("../../config/notifications");
+const { PORTAL_OTP_TTL_MINUTES } = require("../../config/portal");
+const { COMPANY_NAME, PAYMENT_INSTRUCTIONS } = require("../../config/company");
+const { formatMoney, formatDate } = require("../../utils/format");
+
+// Template placeholders for an invoice with its customer populated
+function invoiceContext(invoice) {
+  const customer = invoice.customerId || {};
+  return {
+    companyName: COMPANY_NAME,
+    paymentInstructions: PAYMENT_INSTRUCTIONS,
+    customerName: customer.fullName,
+    invoiceNumber: invoice.invoiceNumber,
+    billingPeriod: invoice.billingPeriod,
+    amount: formatMoney(invoice.amount),
+    balance: formatMoney(invoice.balance),
+    dueDate: formatDate(invoice.dueDate),
+  };
+}
+
+// Render a template and email it to the invoice's customer. Every attempt is
+// logged per customer, whether it was sent or not.
+async function sendInvoiceNotification(type, invoice, options = {}) {
+  const customer = invoice.customerId || {};
+  const template =
+    (await findTemplateOverride(type)) || DEFAULT_TEMPLATES[type];
+  const context = { ...invoiceContext(invoice), ...options.context };
+  const message = {
+    from: NOTIFICATION_FROM,
+    to: customer.email,
+    subject: renderTemplate(template.subject, context),
+    text: renderTemplate(template.body, context),
+    attachments: options.attachments,
+  };
+
+  const log = {
+    customerId: customer._id,
+    invoiceId: invoice._id,
+    type,
+    to: message.to,
+    subject: message.subject,
+    body: message.text,
+  };
+
+  try {
+    const transport = getTransport();
+    log.transport = transport.name;
+
+    if (!message.to) {
+      throw new Error("Customer has no email address");
+    }
+
+    const { messageId } = await transport.send(message);
+    log.status = "Sent";
+    log.messageId = messageId;
+  } catch (err) {
+    console.error(`Error sending ${type} email for ${invoice._id}:`, err);
+    log.status = "Failed";
+    log.error = err.message;
+  }
+
+  return createNotificationLog(log);
+}
+
+// Email newly created invoices to their customers with the PDF attached
+async function notifyInvoicesCreated(invoiceIds) {
+  for (const id of invoiceIds) {
+    try {
+      const invoice = await getInvoiceDocument(id);
+      if (!invoice) continue;
+
+      const pdf = await renderInvoicePdfBuffer(invoice);
+      await sendInvoiceNotification("invoice", invoice, {
+        attachments: [
+          { filename: `${invoice.invoiceNumber}.pdf`, content: pdf },
+        ],
+      });
+    } catch (err) {
+      console.error(`Error notifying invoice ${id}:`, err);
+    }
+  }
+}
+
+// Email a receipt for a recorded payment
+async function notifyPaymentReceived(invoiceId, payment) {
+  const invoice = await getInvoiceDocument(invoiceId);
+  if (!invoice) return null;
+
+  return sendInvoiceNotification("receipt", invoice, {
+    context: {
+      paymentAmount: formatMoney(payment.amount),
+      paymentMethod: payment.paymentMethod,
+      paymentDate: formatDate(payment.paidAt),
+      referenceNumber: payment.referenceNumber || "-",
+    },
+  });
+}
+
+// Send a notification once per invoice, claiming it through `sentField` so
+// concurrent runs never email the same customer twice. A send that fails is
+// released again for the next run to retry, unless the customer has no email
+// address to retry with.
+async function notifyOnce(query, sentField, type) {
+  const invoices = await Invoice.find({
+    ...query,
+    deletedAt: null,
+    [sentField]: null,
+  })
+    .select("_id")
+    .lean();
+
+  let sent = 0;
+  for (const { _id } of invoices) {
+    const sentAt = new Date();
+    const claim = await Invoice.updateOne(
+      { _id, [sentField]: null },
+      { [sentField]: sentAt }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    // Deleted since it was listed
+    const invoice = await getInvoiceDocument(_id);
+    if (!invoice) continue;
+
+    const log = await sendInvoiceNotification(type, invoice);
+    const customer = invoice.customerId || {};
+    const released = log.status !== "Sent" && Boolean(customer.email);
+    if (log.status === "Sent") sent++;
+    if (released) {
+      await Invoice.updateOne(
+        { _id, [sentField]: sentAt },
+        { [sentField]: null }
+      );
+    }
+
+    await recordSystemAudit("reminders-job", {
+      action: "notify",
+      entityType: "Invoice",
+      entityId: _id,
+      before: { [sentField]: null },
+      after: { [sentField]: released ? null : sentAt },
+      metadata: { type, notificationLogId: log._id, status: log.status },
+    });
+  }
+  return sent;
+}
+
+// Remind customers of unpaid invoices that fall due within the next few days
+async function sendDueReminders(now = new Date()) {
+  const cutoff = new Date(
+    now.getTime() + REMINDER_DAYS_BEFORE_DUE * 24 * 60 * 60 * 1000
+  );
+  return notifyOnce(
+    {
+      status: { $in: ["Pending", "Partially Paid"] },
+      dueDate: { $gte: now, $lte: cutoff },
+    },
+    "reminderSentAt",
+    "reminder"
+  );
+}
+
+// Tell customers that their invoice went overdue. Only invoices marked
+// overdue recently are included; older ones, and those marked before overdue
+// dates were recorded, were already chased by other means.
+async function sendOverdueNotices(now = new Date()) {
+  const since = new Date(
+    now.getTime() - OVERDUE_NOTICE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+  );
+  return notifyOnce(
+    { status: "Overdue", overdueAt: { $gte: since } },
+    "overdueNoticeSentAt",
+    "overdue"
+  );
+}
+
+// Email a customer portal login code. The log leaves out the message body so
+// codes are never stored.
+async function sendLoginCode(customer, code) {
+  const template =
+    (await findTemplateOverride("loginCode")) || DEFAULT_TEMPLATES.loginCode;
+  const context = {
+    companyName: COMPANY_NAME,
+    customerName: customer.fullName,
+    code,
+    expiresInMinutes: PORTAL_OTP_TTL_MINUTES,
+  };
+  const message = {
+    from: NOTIFICATION_FROM,
+    to: customer.email,
+    subject: renderTemplate(template.subject, context),
+    text: renderTemplate(template.body, context),
+  };
+
+  const log = {
+    customerId: customer._id,
+    type: "loginCode",
+    to: message.to,
+    subject: message.subject,
+  };
+
+  try {
+    const transport = getTransport();
+    log.transport = transport.name;
+    const { messageId } = await transport.send(message);
+    log.status = "Sent";
+    log.messageId = messageId;
+  } catch (err) {
+    console.error(`Error sending login code to ${customer._id}:`, err);
+    log.status = "Failed";
+    log.error = err.message;
+  }
+
+  return createNotificationLog(log);
+}
+
+module.exports = {
+  sendInvoiceNotification,
+  notifyInvoicesCreated,
+  notifyPaymentReceived,
+  sendDueReminders,
+  sendOverdueNotices,
+  sendLoginCode,
+};
@@ -0,0 +1,85 @@
+// Default email templates. Placeholders like {{invoiceNumber}} are filled in
+// when a message is sent; templates saved in the database take precedence.
+const DEFAULT_TEMPLATES = {
+  invoice: {
+    subject: "Your invoice {{invoiceNumber}} for {{billingPeriod}}",
+    body: `Hi {{customerName}},
+
+Your invoice {{invoiceNumber}} for {{billingPeriod}} is attached.
+
+Amount due: {{amount}}
+Due date: {{dueDate}}
+
+{{paymentInstructions}}
+
+Thank you,
+{{companyName}}`,
+  },
+  reminder: {
+    subject: "Reminder: invoice {{invoiceNumber}} is due on {{dueDate}}",
+    body: `Hi {{customerName}},
+
+This is a reminder that invoice {{invoiceNumber}} for {{billingPeriod}} is due on {{dueDate}}.
+
+Balance due: {{balance}}
+
+{{paymentInstructions}}
+
+Thank you,
+{{companyName}}`,
+  },
+  overdue: {
+    subject: "Overdue: invoice {{invoiceNumber}}",
+    body: `Hi {{customerName}},
+
+Invoice {{invoiceNumber}} for {{billingPeriod}} was due on {{dueDate}} and is now overdue.
+
+Balance due: {{balance}}
+
+Please settle your balance as soon as possible to avoid interruption of your service.
+
+{{paymentInstructions}}
+
+Thank you,
+{{companyName}}`,
+  },
+  receipt: {
+    subject: "Payment received for invoice {{invoiceNumber}}",
+    body: `Hi {{customerName}},
+
+We received your payment of {{paymentAmount}} via {{paymentMethod}} on {{paymentDate}} for invoice {{invoiceNumber}}.
+
+Reference: {{referenceNumber}}
+Remaining balance: {{balance}}
+
+Thank you,
+{{companyName}}`,
+  },
+  loginCode: {
+    subject: "Your {{companyName}} login code",
+    body: `Hi {{customerName}},
+
+Your code to log in to the customer portal is {{code}}. It expires in {{expiresInMinutes}} minutes.
+
+If you did not ask for this code, you can ignore this email.
+
+{{companyName}}`,
+  },
+};
+
+const TEMPLATE_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+// Replace {{placeholders}} with values from the context
+function renderTemplate(text, context) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    context[key] === undefined || context[key] === null
+      ? ""
+      : String(context[key])
+  );
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_TYPES,
+  renderTemplate,
+};
@@ -0,0 +1,101 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const {
+  NOTIFICATION_TRANSPORT,
+  NOTIFICATION_OUTBOX_DIR,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+} = require("../../config/notifications");
+
+// A transport is an object with a `name` and an async `send(message)` that
+// resolves to `{ messageId }`. Messages use nodemailer's message fields.
+
+// Log that messages would be sent instead of sending them. Only the recipient
+// and subject are logged; bodies hold login codes, so use the file transport
+// to read them.
+function createConsoleTransport() {
+  const mailer = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    name: "console",
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      console.log(`[email] to=${message.to} subject="${message.subject}"`);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+// Write each message as an .eml file to the outbox directory
+function createFileTransport(dir = NOTIFICATION_OUTBOX_DIR) {
+  const mailer = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+  return {
+    name: "file",
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      await fs.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^\w.@-]/g, "_");
+      const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+      await fs.writeFile(file, info.message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+// Send messages through an SMTP server
+function createSmtpTransport() {
+  const mailer = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await mailer.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+let transport = null;
+
+// Get the configured transport
+function getTransport() {
+  if (!transport) {
+    const create = TRANSPORTS[NOTIFICATION_TRANSPORT];
+    if (!create) {
+      throw new Error(
+        `Unknown notification transport "${NOTIFICATION_TRANSPORT}"`
+      );
+    }
+    transport = create();
+  }
+  return transport;
+}
+
+// Replace the transport, e.g. with a custom one or a stub in tests
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getTransport,
+  setTransport,
+};
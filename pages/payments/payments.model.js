@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+
+// Payment methods
+const PAYMENT_METHODS = ["Cash", "Bank Transfer", "Online Payment", "Other"];
+
+// Payment schema
+const PaymentSchema = new mongoose.Schema(
+  {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: true,
+      index: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true,
+    },
+    referenceNumber: {
+      type: String,
+      trim: true,
+    },
+    paidAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Online payments: the gateway and its transaction ID
+    gateway: {
+      type: String,
+    },
+    gatewayTransactionId: {
+      type: String,
+    },
+    exportBatchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AccountingExport",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// A gateway transaction is recorded at most once, however often its webhook
+// is delivered
+PaymentSchema.index(
+  { gateway: 1, gatewayTransactionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { gatewayTransactionId: { $type: "string" } },
+  }
+);
+
+const Payment = mongoose.model("Payment", PaymentSchema);
+
+// Create payment
+async function createPayment(data, options = {}) {
+  const payment = new Payment({
+    invoiceId: data.invoiceId,
+    customerId: data.customerId,
+    amount: data.amount,
+    paymentMethod: data.paymentMethod,
+    referenceNumber: data.referenceNumber,
+    paidAt: data.paidAt,
+    notes: data.notes,
+    recordedBy: data.recordedBy,
+    gateway: data.gateway,
+    gatewayTransactionId: data.gatewayTransactionId,
+  });
+  await payment.save({ session: options.session });
+  return payment;
+}
+
+// Find the payment recorded for a gateway transaction
+async function findPaymentByTransaction(gateway, gatewayTransactionId) {
+  return Payment.findOne({ gateway, gatewayTransactionId }).lean();
+}
+
+// Get payments for an invoice
+async function listPaymentsByInvoice(invoiceId) {
+  return Payment.find({ invoiceId }).sort({ paidAt: 1 }).lean();
+}
+
+// Get payments made by a customer up to a date, oldest first
+async function listPaymentsByCustomer(customerId, to = new Date()) {
+  return Payment.find({ customerId, paidAt: { $lte: to } })
+    .sort({ paidAt: 1 })
+    .lean();
+}
+
+// Query of payments not yet exported to accounting
+function unexportedPaymentsQuery(from, to) {
+  return { exportBatchId: null, paidAt: { $gte: from, $lte: to } };
+}
+
+// Get payments in a date range that have not been exported yet
+async function listUnexportedPayments(from, to) {
+  return Payment.find(unexportedPaymentsQuery(from, to))
+    .populate("invoiceId", "invoiceNumber")
+    .populate("customerId", "fullName")
+    .sort({ paidAt: 1 })
+    .lean();
+}
+
+// Mark unexported payments in a date range as part of an export batch
+async function claimPaymentsForExport(batchId, from, to) {
+  await Payment.updateMany(unexportedPaymentsQuery(from, to), {
+    exportBatchId: batchId,
+  });
+}
+
+// Get the payments of an export batch
+async function listPaymentsByExportBatch(batchId) {
+  return Payment.find({ exportBatchId: batchId })
+    .populate("invoiceId", "invoiceNumber")
+    .populate("customerId", "fullName")
+    .sort({ paidAt: 1 })
+    .lean();
+}
+
+module.exports = {
+  Payment,
+  PAYMENT_METHODS,
+  createPayment,
+  findPaymentByTransaction,
+  listPaymentsByInvoice,
+  listPaymentsByCustomer,
+  listUnexportedPayments,
+  claimPaymentsForExport,
+  listPaymentsByExportBatch,
+};
@@ -0,0 +1,83 @@
+const { createPayment } = require("./payments.model");
+const {
+  claimInvoicePayment,
+  releaseInvoicePayment,
+  settleInvoicePayment,
+} = require("../invoices/invoices.model");
+const { withTransaction } = require("../../utils/transactions");
+const { reconnectIfSettled } = require("../customers/customers.lifecycle");
+const {
+  notifyInvoicesCreated,
+  notifyPaymentReceived,
+} = require("../notifications/notifications.service");
+
+// Record a payment against an unpaid invoice, update the invoice and email a
+// receipt. A customer suspended for non-payment is reconnected once settled.
+// The amount is claimed on the invoice before the payment is written, so
+// concurrent payments cannot overpay it; with `capAtBalance` a larger payment
+// is cut down to the balance instead of refused. The claim, the payment and
+// the invoice update are one transaction. Resolves to { payment, invoice,
+// reconnection }, or null when the invoice cannot take the payment.
+async function applyPayment(invoice, data, options = {}) {
+  const recorded = await withTransaction(async (session) => {
+    const amount = await claimInvoicePayment(invoice._id, data.amount, {
+      capAtBalance: options.capAtBalance,
+      session,
+    });
+    if (amount <= 0) return null;
+
+    let payment;
+    try {
+      payment = await createPayment(
+        {
+          ...data,
+          amount,
+          invoiceId: invoice._id,
+          customerId: invoice.customerId._id || invoice.customerId,
+        },
+        { session }
+      );
+    } catch (err) {
+      // Without a transaction the claim has to be taken back by hand
+      if (!session) await releaseInvoicePayment(invoice._id, amount);
+      throw err;
+    }
+
+    const updatedInvoice = await settleInvoicePayment(
+      invoice._id,
+      payment.paidAt,
+      { session }
+    );
+    return { payment, invoice: updatedInvoice };
+  });
+  if (!recorded) return null;
+
+  const { payment } = recorded;
+  notifyPaymentReceived(invoice._id, payment).catch((notifyErr) =>
+    console.error("Error sending payment receipt:", notifyErr)
+  );
+
+  // The payment stands even if the reconnection fails; staff can reconnect
+  // the customer by hand
+  let reconnection = null;
+  try {
+    reconnection = await reconnectIfSettled(payment.customerId, {
+      userId: data.recordedBy,
+      waiveFee: options.waiveReconnectionFee,
+    });
+  } catch (err) {
+    console.error("Error reconnecting customer after payment:", err);
+  }
+
+  if (reconnection && reconnection.feeInvoice) {
+    notifyInvoicesCreated([reconnection.feeInvoice._id]).catch((notifyErr) =>
+      console.error("Error sending reconnection fee invoice:", notifyErr)
+    );
+  }
+
+  return { ...recorded, reconnection };
+}
+
+module.exports = {
+  applyPayment,
+};
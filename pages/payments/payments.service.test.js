@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const payments = require("./payments.model");
+const invoices = require("../invoices/invoices.model");
+const transactions = require("../../utils/transactions");
+const lifecycle = require("../customers/customers.lifecycle");
+const notifications = require("../notifications/notifications.service");
+
+// An invoice kept in memory; the service takes its dependencies at require
+// time, so they are replaced before it is loaded
+let invoice;
+let calls;
+
+transactions.withTransaction = async (fn) => fn(null);
+invoices.claimInvoicePayment = async (id, amount, options = {}) => {
+  const balance = invoice.amount - invoice.amountPaid;
+  const claimed = options.capAtBalance ? Math.min(amount, balance) : amount;
+  if (claimed <= 0 || claimed > balance) return 0;
+  invoice.amountPaid += claimed;
+  return claimed;
+};
+invoices.releaseInvoicePayment = async (id, amount) => {
+  calls.released.push(amount);
+  invoice.amountPaid -= amount;
+};
+invoices.settleInvoicePayment = async () => {
+  invoice.status =
+    invoice.amountPaid >= invoice.amount ? "Paid" : "Partially Paid";
+  return { ...invoice };
+};
+payments.createPayment = async (data) => {
+  if (calls.failPayment) throw new Error("write failed");
+  calls.payments.push(data);
+  return { ...data, paidAt: new Date() };
+};
+lifecycle.reconnectIfSettled = async (customerId) => {
+  if (calls.failReconnection) throw new Error("network down");
+  calls.reconnected.push(customerId);
+  return null;
+};
+notifications.notifyPaymentReceived = async (id, payment) => {
+  calls.receipts.push(payment.amount);
+};
+notifications.notifyInvoicesCreated = async () => {};
+
+const { applyPayment } = require("./payments.service");
+
+describe("applyPayment", () => {
+  beforeEach(() => {
+    invoice = {
+      _id: "inv1",
+      customerId: { _id: "cust1" },
+      amount: 1500,
+      amountPaid: 0,
+      status: "Pending",
+    };
+    calls = { payments: [], released: [], reconnected: [], receipts: [] };
+  });
+
+  it("records a partial payment against the invoice", async () => {
+    const result = await applyPayment(invoice, { amount: 500, method: "Cash" });
+
+    assert.equal(result.payment.amount, 500);
+    assert.equal(result.payment.invoiceId, "inv1");
+    assert.equal(result.payment.customerId, "cust1");
+    assert.equal(result.invoice.status, "Partially Paid");
+    assert.equal(invoice.amountPaid, 500);
+    assert.deepEqual(calls.receipts, [500]);
+    assert.deepEqual(calls.reconnected, ["cust1"]);
+  });
+
+  it("settles the invoice once the balance is paid", async () => {
+    await applyPayment(invoice, { amount: 1000 });
+    const result = await applyPayment(invoice, { amount: 500 });
+
+    assert.equal(result.invoice.status, "Paid");
+    assert.equal(invoice.amountPaid, 1500);
+  });
+
+  it("refuses a payment larger than the balance", async () => {
+    const result = await applyPayment(invoice, { amount: 2000 });
+
+    assert.equal(result, null);
+    assert.equal(invoice.amountPaid, 0);
+    assert.deepEqual(calls.payments, []);
+  });
+
+  it("cuts a larger payment down to the balance when asked", async () => {
+    await applyPayment(invoice, { amount: 1200 });
+    const result = await applyPayment(
+      invoice,
+      { amount: 1000 },
+      { capAtBalance: true }
+    );
+
+    assert.equal(result.payment.amount, 300);
+    assert.equal(result.invoice.status, "Paid");
+  });
+
+  it("takes the claim back when the payment cannot be written", async () => {
+    calls.failPayment = true;
+    await assert.rejects(applyPayment(invoice, { amount: 500 }), {
+      message: "write failed",
+    });
+
+    assert.deepEqual(calls.released, [500]);
+    assert.equal(invoice.amountPaid, 0);
+  });
+
+  it("keeps the payment when the reconnection fails", async (t) => {
+    t.mock.method(console, "error", () => {});
+    calls.failReconnection = true;
+    const result = await applyPayment(invoice, { amount: 1500 });
+
+    assert.equal(result.invoice.status, "Paid");
+    assert.equal(result.reconnection, null);
+    assert.equal(calls.payments.length, 1);
+  });
+});
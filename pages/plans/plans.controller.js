@@ -0,0 +1,220 @@
+const mongoose = require("mongoose");
+const {
+  createPlan,
+  listPlans,
+  findPlanById,
+  updatePlan,
+  deletePlan,
+} = require("./plans.model");
+const {
+  countCustomersByPlan,
+  findCustomerIdsByPlan,
+  syncCustomersPlan,
+} = require("../customers/customers.model");
+const { queueProvisioning } = require("../provisioning/provisioning.service");
+const { recordAudit } = require("../audit/audit.model");
+const { parseDateParam } = require("../../utils/pagination");
+
+// Parse plan fields from a request body
+function parsePlanBody(body) {
+  const {
+    name,
+    bandwidthMbps,
+    monthlyFee,
+    installationFee,
+    active,
+    effectiveFrom,
+    effectiveTo,
+  } = body;
+
+  return {
+    name,
+    bandwidthMbps: Number(bandwidthMbps),
+    monthlyFee: Number(monthlyFee),
+    installationFee:
+      installationFee === undefined ? undefined : Number(installationFee),
+    active:
+      active === undefined ? undefined : active === true || active === "true",
+    effectiveFrom: effectiveFrom ? parseDateParam(effectiveFrom) : undefined,
+    effectiveTo:
+      effectiveTo === undefined
+        ? undefined
+        : effectiveTo
+        ? parseDateParam(effectiveTo)
+        : null,
+  };
+}
+
+// Validate required plan fields and dates
+function validatePlanBody(body) {
+  const { name, bandwidthMbps, monthlyFee } = body;
+
+  if (!name || bandwidthMbps === undefined || monthlyFee === undefined) {
+    return "name, bandwidthMbps and monthlyFee are required";
+  }
+
+  if (!(Number(bandwidthMbps) >= 0) || !(Number(monthlyFee) >= 0)) {
+    return "bandwidthMbps and monthlyFee must be non-negative numbers";
+  }
+
+  if (body.effectiveFrom && !parseDateParam(body.effectiveFrom)) {
+    return "effectiveFrom must be a valid date";
+  }
+
+  if (body.effectiveTo && !parseDateParam(body.effectiveTo)) {
+    return "effectiveTo must be a valid date";
+  }
+
+  return null;
+}
+
+// Create plan
+async function addPlan(req, res) {
+  try {
+    const error = validatePlanBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const plan = await createPlan(parsePlanBody(req.body));
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Plan",
+      entityId: plan._id,
+      after: plan,
+    });
+
+    res.status(201).json(plan);
+  } catch (err) {
+    console.error("Error creating plan:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Plan name already exists" });
+    }
+    res.status(500).json({ error: "Failed to create plan" });
+  }
+}
+
+// Get all plans
+async function getPlans(req, res) {
+  try {
+    const { active } = req.query;
+    const plans = await listPlans({
+      active: active === undefined ? undefined : active === "true",
+    });
+    res.json(plans);
+  } catch (err) {
+    console.error("Error fetching plans:", err);
+    res.status(500).json({ error: "Failed to load plans" });
+  }
+}
+
+// Get plan by ID
+async function getPlan(req, res) {
+  try {
+    const { id } = req.params;
+    const plan = mongoose.isValidObjectId(id) ? await findPlanById(id) : null;
+
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    res.json(plan);
+  } catch (err) {
+    console.error("Error fetching plan:", err);
+    res.status(500).json({ error: "Failed to load plan" });
+  }
+}
+
+// Update plan
+async function updatePlanById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const error = validatePlanBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    const existing = await findPlanById(id);
+    const plan = await updatePlan(id, parsePlanBody(req.body));
+
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    await syncCustomersPlan(plan);
+
+    // Customers on the plan get the new bandwidth on the network
+    if (plan.bandwidthMbps !== existing.bandwidthMbps) {
+      const customerIds = await findCustomerIdsByPlan(plan._id);
+      queueProvisioning(customerIds, "plan-change").catch((err) =>
+        console.error("Error queueing provisioning for plan change:", err)
+      );
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Plan",
+      entityId: plan._id,
+      before: existing,
+      after: plan,
+    });
+
+    res.json(plan);
+  } catch (err) {
+    console.error("Error updating plan:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Plan name already exists" });
+    }
+    res.status(500).json({ error: "Failed to update plan" });
+  }
+}
+
+// Delete plan
+async function deletePlanById(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    const customerCount = await countCustomersByPlan(id);
+    if (customerCount > 0) {
+      return res.status(400).json({
+        error: "Plan is assigned to customers; deactivate it instead",
+      });
+    }
+
+    const plan = await deletePlan(id);
+
+    if (!plan) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "Plan",
+      entityId: plan._id,
+      before: plan,
+    });
+
+    res.json({ message: "Plan deleted successfully", plan });
+  } catch (err) {
+    console.error("Error deleting plan:", err);
+    res.status(500).json({ error: "Failed to delete plan" });
+  }
+}
+
+module.exports = {
+  addPlan,
+  getPlans,
+  getPlan,
+  updatePlanById,
+  deletePlanById,
+};
@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const { nextBillingPeriodStart } = require("../invoices/proration");
+
+// Plan schema
+const PlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    bandwidthMbps: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    monthlyFee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    installationFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    priceHistory: [
+      {
+        _id: false,
+        monthlyFee: Number,
+        effectiveFrom: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const Plan = mongoose.model("Plan", PlanSchema);
+
+// Create plan
+async function createPlan(data) {
+  const effectiveFrom = data.effectiveFrom || new Date();
+  const plan = await Plan.create({
+    name: data.name,
+    bandwidthMbps: data.bandwidthMbps,
+    monthlyFee: data.monthlyFee,
+    installationFee: data.installationFee,
+    active: data.active,
+    effectiveFrom,
+    effectiveTo: data.effectiveTo,
+    priceHistory: [{ monthlyFee: data.monthlyFee, effectiveFrom }],
+  });
+  return plan;
+}
+
+// Get all plans, optionally only the active ones
+async function listPlans(filters = {}) {
+  const query = {};
+  if (filters.active !== undefined) query.active = filters.active;
+
+  return Plan.find(query).sort({ monthlyFee: 1 }).lean();
+}
+
+// Find plan by ID
+async function findPlanById(id) {
+  return Plan.findById(id).lean();
+}
+
+// Find plan by name
+async function findPlanByName(name) {
+  return Plan.findOne({ name }).lean();
+}
+
+// Find a plan by ID, or by name for clients that still send planType
+async function findPlan({ planId, planType }) {
+  if (planId) {
+    if (!mongoose.isValidObjectId(planId)) return null;
+    return findPlanById(planId);
+  }
+  if (planType) return findPlanByName(planType);
+  return null;
+}
+
+// Whether a plan can be assigned to a customer on the given date
+function isPlanAvailable(plan, date = new Date()) {
+  if (!plan.active) return false;
+  if (plan.effectiveFrom && plan.effectiveFrom > date) return false;
+  if (plan.effectiveTo && plan.effectiveTo <= date) return false;
+  return true;
+}
+
+// Monthly fee of a plan in effect at `date`, from its price history
+function currentMonthlyFee(plan, date = new Date()) {
+  const current = (plan.priceHistory || [])
+    .filter((price) => price.effectiveFrom <= date)
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+  return current ? current.monthlyFee : plan.monthlyFee;
+}
+
+// Update plan. A fee change is appended to the price history effective from
+// the next billing period, so the period customers are in keeps the price
+// it started with; `monthlyFee` stays the current fee until then (see
+// applyDuePlanPrices). Changing the fee again before then replaces the
+// pending change.
+async function updatePlan(id, data) {
+  const plan = await Plan.findById(id);
+  if (!plan) return null;
+
+  const effectiveFrom = nextBillingPeriodStart();
+  plan.monthlyFee = currentMonthlyFee(plan);
+  plan.priceHistory = plan.priceHistory.filter(
+    (price) => price.effectiveFrom < effectiveFrom
+  );
+  if (data.monthlyFee !== plan.monthlyFee) {
+    plan.priceHistory.push({ monthlyFee: data.monthlyFee, effectiveFrom });
+  }
+
+  plan.name = data.name;
+  plan.bandwidthMbps = data.bandwidthMbps;
+  if (data.installationFee !== undefined) {
+    plan.installationFee = data.installationFee;
+  }
+  if (data.active !== undefined) plan.active = data.active;
+  if (data.effectiveFrom !== undefined) plan.effectiveFrom = data.effectiveFrom;
+  if (data.effectiveTo !== undefined) plan.effectiveTo = data.effectiveTo;
+
+  await plan.save();
+  return plan;
+}
+
+// Make fee changes that have come into effect the current fee of their
+// plans; resolves to the plans changed, each with the fee it had before
+async function applyDuePlanPrices(now = new Date()) {
+  const plans = await Plan.find({
+    "priceHistory.effectiveFrom": { $lte: now },
+  });
+  const changed = [];
+  for (const plan of plans) {
+    const monthlyFee = currentMonthlyFee(plan, now);
+    if (monthlyFee === plan.monthlyFee) continue;
+
+    const previousFee = plan.monthlyFee;
+    plan.monthlyFee = monthlyFee;
+    await plan.save();
+    changed.push({ plan, previousFee });
+  }
+  return changed;
+}
+
+// Delete plan
+async function deletePlan(id) {
+  const plan = await Plan.findByIdAndDelete(id);
+  return plan;
+}
+
+module.exports = {
+  Plan,
+  createPlan,
+  listPlans,
+  findPlanById,
+  findPlanByName,
+  findPlan,
+  isPlanAvailable,
+  currentMonthlyFee,
+  updatePlan,
+  applyDuePlanPrices,
+  deletePlan,
+};
@@ -0,0 +1,30 @@
+const express = require("express");
+const {
+  addPlan,
+  getPlans,
+  getPlan,
+  updatePlanById,
+  deletePlanById,
+} = require("./plans.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get("/", authenticateToken, requirePermission("plans:read"), getPlans);
+router.get("/:id", authenticateToken, requirePermission("plans:read"), getPlan);
+router.post("/", authenticateToken, requirePermission("plans:write"), addPlan);
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("plans:write"),
+  updatePlanById
+);
+router.delete(
+  "/:id",
+  authenticateToken,
+  requirePermission("plans:write"),
+  deletePlanById
+);
+
+module.exports = router;
@@ -0,0 +1,608 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const {
+  getPortalAccount,
+  isPortalAccountLocked,
+  recordFailedPortalLogin,
+  recordPortalLogin,
+  checkPortalPassword,
+  setPortalPassword,
+  revokePortalTokens,
+  issueLoginCode,
+  consumeLoginCode,
+} = require("./portal.model");
+const {
+  findCustomersByContact,
+  findCustomerById,
+} = require("../customers/customers.model");
+const {
+  listInvoices,
+  getInvoiceById,
+  getInvoiceDocument,
+} = require("../invoices/invoices.model");
+const { listPaymentsByCustomer } = require("../payments/payments.model");
+const {
+  listPlans,
+  findPlanById,
+  isPlanAvailable,
+} = require("../plans/plans.model");
+const {
+  createTicket,
+  findOpenTicket,
+  listTickets,
+  TICKET_SORT_FIELDS,
+} = require("../tickets/tickets.model");
+const {
+  checkoutError,
+  parseCheckoutMethods,
+  startCheckout,
+} = require("../checkout/checkout.service");
+const { renderInvoicePdf } = require("../invoices/invoices.pdf");
+const { sendLoginCode } = require("../notifications/notifications.service");
+const { recordAudit } = require("../audit/audit.model");
+const { parsePageParams } = require("../../utils/pagination");
+const {
+  PORTAL_JWT_SECRET,
+  PORTAL_TOKEN_TTL,
+  PORTAL_PASSWORD_MIN_LENGTH,
+} = require("../../config/portal");
+
+// Fields of records shown to customers; internal bookkeeping stays hidden
+const PORTAL_INVOICE_FIELDS = [
+  "_id",
+  "invoiceNumber",
+  "billingPeriod",
+  "lineItems",
+  "subtotal",
+  "discountCode",
+  "discountAmount",
+  "taxRate",
+  "taxInclusive",
+  "taxAmount",
+  "exemptTaxAmount",
+  "amount",
+  "amountPaid",
+  "balance",
+  "dueDate",
+  "status",
+  "paymentDate",
+  "voidedAt",
+  "createdAt",
+];
+const PORTAL_PAYMENT_FIELDS = [
+  "_id",
+  "invoiceId",
+  "amount",
+  "paymentMethod",
+  "referenceNumber",
+  "paidAt",
+];
+const PORTAL_TICKET_FIELDS = [
+  "_id",
+  "ticketNumber",
+  "category",
+  "priority",
+  "status",
+  "subject",
+  "description",
+  "scheduledVisitAt",
+  "resolvedAt",
+  "closedAt",
+  "createdAt",
+];
+
+// Copy the listed fields of a record
+function pick(record, fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => record[field] !== undefined)
+      .map((field) => [field, record[field]])
+  );
+}
+
+// Generate a portal access token for a customer. `issuedAt` is the issue
+// time in milliseconds, as on staff tokens, so a logout revokes every token
+// issued up to it.
+function generatePortalToken(customerId) {
+  return jwt.sign(
+    { customerId: String(customerId), issuedAt: Date.now() },
+    PORTAL_JWT_SECRET,
+    { expiresIn: PORTAL_TOKEN_TTL, audience: "portal" }
+  );
+}
+
+// The customer's own profile as shown in the portal
+function portalProfile(customer) {
+  return {
+    id: customer._id,
+    fullName: customer.fullName,
+    email: customer.email,
+    contactNumber: customer.contactNumber,
+    addressStreet: customer.addressStreet,
+    addressCity: customer.addressCity,
+    addressZip: customer.addressZip,
+    status: customer.status,
+    subscriptionStartDate: customer.subscriptionStartDate,
+    plan: {
+      id: customer.planId || null,
+      name: customer.planType,
+      bandwidthMbps: customer.bandwidthMbps,
+      monthlyFee: customer.monthlyFee,
+    },
+  };
+}
+
+// Find the customers an email or contact number may log in to, each with its
+// portal account; locked accounts are left out. Several accounts can share
+// an email or number, and `accountId` picks one of them. Nothing here tells
+// a caller whether any customer matched, and nothing is written.
+async function findLoginCandidates(identifier, accountId) {
+  const value = String(identifier).trim();
+  const matches = await findCustomersByContact([value.toLowerCase()], [value]);
+  const customers = accountId
+    ? matches.filter((match) => String(match._id) === String(accountId))
+    : matches;
+
+  const candidates = [];
+  for (const customer of customers) {
+    const account = await getPortalAccount(customer._id);
+    if (!isPortalAccountLocked(account)) {
+      candidates.push({ customer, account });
+    }
+  }
+  return candidates;
+}
+
+// Count a failed login against every account it could have been for
+async function recordFailedLogins(candidates) {
+  for (const { customer } of candidates) {
+    await recordFailedPortalLogin(customer._id);
+  }
+}
+
+// Start a session for a customer who passed a login check
+async function startPortalSession(customer) {
+  await recordPortalLogin(customer._id);
+  const profile = await findCustomerById(customer._id);
+  return {
+    message: "Login successful",
+    token: generatePortalToken(customer._id),
+    customer: portalProfile(profile),
+  };
+}
+
+// Email a one-time login code to every account the email or contact number
+// belongs to. The answer is the same whether or not any account exists or is
+// locked, so it cannot be used to look up customers.
+async function requestLoginCode(req, res) {
+  try {
+    const { identifier, accountId } = req.body;
+
+    if (!identifier) {
+      return res
+        .status(400)
+        .json({ error: "Email or contact number is required" });
+    }
+
+    const candidates = await findLoginCandidates(identifier, accountId);
+    for (const { customer } of candidates) {
+      if (!customer.email) continue;
+      const code = await issueLoginCode(customer._id);
+      await sendLoginCode(customer, code);
+    }
+
+    res.json({
+      message: "If the account exists, a login code has been sent to its email",
+    });
+  } catch (err) {
+    console.error("Error sending portal login code:", err);
+    res.status(500).json({ error: "Failed to send login code" });
+  }
+}
+
+// Log in with an emailed one-time code. Unknown, locked and wrong answers all
+// get the same 401.
+async function loginWithCode(req, res) {
+  try {
+    const { identifier, accountId, code } = req.body;
+
+    if (!identifier || !code) {
+      return res.status(400).json({
+        error: "Email or contact number and code are required",
+      });
+    }
+
+    const candidates = await findLoginCandidates(identifier, accountId);
+    for (const { customer } of candidates) {
+      if (await consumeLoginCode(customer._id, code)) {
+        return res.json(await startPortalSession(customer));
+      }
+    }
+
+    await recordFailedLogins(candidates);
+    res.status(401).json({ error: "Invalid or expired code" });
+  } catch (err) {
+    console.error("Error logging in to portal with code:", err);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+}
+
+// Log in with a portal password. Unknown, locked and wrong answers all get
+// the same 401.
+async function loginWithPassword(req, res) {
+  try {
+    const { identifier, accountId, password } = req.body;
+
+    if (!identifier || !password) {
+      return res.status(400).json({
+        error: "Email or contact number and password are required",
+      });
+    }
+
+    const candidates = await findLoginCandidates(identifier, accountId);
+    for (const { customer, account } of candidates) {
+      if (await checkPortalPassword(account, password)) {
+        return res.json(await startPortalSession(customer));
+      }
+    }
+
+    // Check a password anyway, so no match takes as long as a wrong password
+    if (!candidates.length) await checkPortalPassword(null, password);
+
+    await recordFailedLogins(candidates);
+    res.status(401).json({ error: "Invalid credentials" });
+  } catch (err) {
+    console.error("Error logging in to portal:", err);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+}
+
+// Set or change the portal password. Changing an existing password needs
+// the current one. Every other session ends; this one gets a new token.
+async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (
+      typeof newPassword !== "string" ||
+      newPassword.length < PORTAL_PASSWORD_MIN_LENGTH
+    ) {
+      return res.status(400).json({
+        error: `newPassword must be at least ${PORTAL_PASSWORD_MIN_LENGTH} characters`,
+      });
+    }
+
+    const account = await getPortalAccount(req.customerId);
+    if (
+      account.passwordHash &&
+      !(await checkPortalPassword(account, currentPassword || ""))
+    ) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    await setPortalPassword(req.customerId, newPassword);
+    res.json({
+      message: "Password updated",
+      token: generatePortalToken(req.customerId),
+    });
+  } catch (err) {
+    console.error("Error changing portal password:", err);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+}
+
+// End every portal session of the customer
+async function logout(req, res) {
+  try {
+    await revokePortalTokens(req.customerId);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Error logging out of portal:", err);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+}
+
+// Get the customer's profile, plan and subscription status
+async function getMe(req, res) {
+  res.json(portalProfile(req.customer));
+}
+
+// Get a page of the customer's invoices
+async function getInvoices(req, res) {
+  try {
+    const page = parsePageParams(req.query, {
+      sortFields: ["createdAt", "dueDate"],
+      defaultSort: "-createdAt",
+    });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const result = await listInvoices({ customerId: req.customerId }, page);
+    res.json({
+      ...result,
+      items: result.items.map((invoice) =>
+        pick(invoice, PORTAL_INVOICE_FIELDS)
+      ),
+    });
+  } catch (err) {
+    console.error("Error fetching portal invoices:", err);
+    res.status(500).json({ error: "Failed to fetch invoices" });
+  }
+}
+
+// Whether an invoice belongs to the logged-in customer
+function isOwnInvoice(invoice, req) {
+  if (!invoice || !invoice.customerId) return false;
+  const customerId = invoice.customerId._id || invoice.customerId;
+  return String(customerId) === req.customerId;
+}
+
+// Get one of the customer's invoices. Other customers' invoices are reported
+// as not found.
+async function getInvoice(req, res) {
+  try {
+    const { id } = req.params;
+    const invoice = mongoose.isValidObjectId(id)
+      ? await getInvoiceById(id)
+      : null;
+
+    if (!isOwnInvoice(invoice, req)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    res.json(pick(invoice, PORTAL_INVOICE_FIELDS));
+  } catch (err) {
+    console.error("Error fetching portal invoice:", err);
+    res.status(500).json({ error: "Failed to fetch invoice" });
+  }
+}
+
+// Download one of the customer's invoices as a PDF
+async function getInvoicePdf(req, res) {
+  try {
+    const { id } = req.params;
+    const invoice = mongoose.isValidObjectId(id)
+      ? await getInvoiceDocument(id)
+      : null;
+
+    if (!isOwnInvoice(invoice, req)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${invoice.invoiceNumber}.pdf"`
+    );
+    renderInvoicePdf(invoice).pipe(res);
+  } catch (err) {
+    console.error("Error rendering portal invoice PDF:", err);
+    res.status(500).json({ error: "Failed to render invoice PDF" });
+  }
+}
+
+// Start an online payment of one of the customer's invoices; responds with
+// the gateway page to pay on
+async function payInvoice(req, res) {
+  try {
+    const { id } = req.params;
+    const { methods: requested } = req.body || {};
+
+    const { error, methods } = parseCheckoutMethods(requested);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const invoice = mongoose.isValidObjectId(id)
+      ? await getInvoiceById(id)
+      : null;
+    if (!isOwnInvoice(invoice, req)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const invalid = checkoutError(invoice);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const session = await startCheckout(invoice, {
+      methods,
+      source: "portal",
+    });
+
+    res.status(201).json({
+      id: session._id,
+      checkoutUrl: session.checkoutUrl,
+      amount: session.amount,
+      currency: session.currency,
+      methods: session.methods,
+      expiresAt: session.expiresAt,
+    });
+  } catch (err) {
+    console.error("Error starting portal checkout:", err);
+    res.status(500).json({ error: "Failed to start checkout" });
+  }
+}
+
+// Get the customer's payments, newest first
+async function getPayments(req, res) {
+  try {
+    const payments = await listPaymentsByCustomer(req.customerId);
+    res.json(
+      payments.reverse().map((payment) => pick(payment, PORTAL_PAYMENT_FIELDS))
+    );
+  } catch (err) {
+    console.error("Error fetching portal payments:", err);
+    res.status(500).json({ error: "Failed to fetch payments" });
+  }
+}
+
+// Get the plans the customer can switch to
+async function getPlans(req, res) {
+  try {
+    const plans = await listPlans({ active: true });
+    res.json(
+      plans
+        .filter((plan) => isPlanAvailable(plan))
+        .map((plan) => ({
+          id: plan._id,
+          name: plan.name,
+          bandwidthMbps: plan.bandwidthMbps,
+          monthlyFee: plan.monthlyFee,
+          installationFee: plan.installationFee,
+          current: String(plan._id) === String(req.customer.planId),
+        }))
+    );
+  } catch (err) {
+    console.error("Error fetching portal plans:", err);
+    res.status(500).json({ error: "Failed to fetch plans" });
+  }
+}
+
+// Get a page of the customer's tickets
+async function getTickets(req, res) {
+  try {
+    const page = parsePageParams(req.query, {
+      sortFields: TICKET_SORT_FIELDS,
+      defaultSort: "-createdAt",
+    });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const result = await listTickets({ customerId: req.customerId }, page);
+    res.json({
+      ...result,
+      items: result.items.map((ticket) => pick(ticket, PORTAL_TICKET_FIELDS)),
+    });
+  } catch (err) {
+    console.error("Error fetching portal tickets:", err);
+    res.status(500).json({ error: "Failed to fetch tickets" });
+  }
+}
+
+// Report an outage. While an outage ticket of the customer is still open,
+// that ticket is returned instead of raising another.
+async function reportOutage(req, res) {
+  try {
+    const { description } = req.body;
+
+    const existing = await findOpenTicket(req.customerId, "Outage");
+    if (existing) {
+      return res.json({
+        message: "An outage report is already open",
+        ticket: pick(existing, PORTAL_TICKET_FIELDS),
+      });
+    }
+
+    const ticket = await createTicket({
+      customer: req.customer,
+      category: "Outage",
+      priority: "High",
+      source: "portal",
+      subject: `Outage reported by ${req.customer.fullName}`,
+      description,
+    });
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      after: ticket,
+      metadata: { source: "portal", customerId: req.customerId },
+    });
+
+    res.status(201).json({
+      message: "Outage reported",
+      ticket: pick(ticket, PORTAL_TICKET_FIELDS),
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Error reporting outage:", err);
+    res.status(500).json({ error: "Failed to report outage" });
+  }
+}
+
+// Ask for a plan change. Staff review the request ticket and make the
+// change; the customer's plan is not changed here.
+async function requestPlanChange(req, res) {
+  try {
+    const { planId, note } = req.body;
+
+    if (!planId || !mongoose.isValidObjectId(planId)) {
+      return res.status(400).json({ error: "planId must be a valid plan ID" });
+    }
+
+    const plan = await findPlanById(planId);
+    if (!plan || !isPlanAvailable(plan)) {
+      return res.status(400).json({ error: "Plan is not available" });
+    }
+    if (String(plan._id) === String(req.customer.planId)) {
+      return res.status(400).json({ error: "You are already on this plan" });
+    }
+
+    const existing = await findOpenTicket(req.customerId, "Plan Change");
+    if (existing) {
+      return res.status(409).json({
+        error: "A plan change request is already open",
+        ticket: pick(existing, PORTAL_TICKET_FIELDS),
+      });
+    }
+
+    const ticket = await createTicket({
+      customer: req.customer,
+      category: "Plan Change",
+      priority: "Normal",
+      source: "portal",
+      subject: `Plan change to ${plan.name}`,
+      description: [
+        `Current plan: ${req.customer.planType} (${req.customer.bandwidthMbps} Mbps)`,
+        `Requested plan: ${plan.name} (${plan.bandwidthMbps} Mbps), plan ID ${plan._id}`,
+        note ? `Note: ${note}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      after: ticket,
+      metadata: {
+        source: "portal",
+        customerId: req.customerId,
+        planId: String(plan._id),
+      },
+    });
+
+    res.status(201).json({
+      message: "Plan change requested",
+      ticket: pick(ticket, PORTAL_TICKET_FIELDS),
+    });
+  } catch (err) {
+    console.error("Error requesting plan change:", err);
+    res.status(500).json({ error: "Failed to request plan change" });
+  }
+}
+
+module.exports = {
+  requestLoginCode,
+  loginWithCode,
+  loginWithPassword,
+  changePassword,
+  logout,
+  getMe,
+  getInvoices,
+  getInvoice,
+  getInvoicePdf,
+  payInvoice,
+  getPayments,
+  getPlans,
+  getTickets,
+  reportOutage,
+  requestPlanChange,
+};
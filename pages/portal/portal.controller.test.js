@@ -0,0 +1,182 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const portal = require("./portal.model");
+const customers = require("../customers/customers.model");
+const notifications = require("../notifications/notifications.service");
+const { PORTAL_JWT_SECRET } = require("../../config/portal");
+
+// Two customers sharing an email, with their login state kept in memory; the
+// controller takes its dependencies at require time, so they are replaced
+// before it is loaded
+const CUSTOMERS = [
+  { _id: "cust1", fullName: "Ana Cruz", email: "home@example.com" },
+  { _id: "cust2", fullName: "Ben Cruz", email: "home@example.com" },
+];
+let accounts;
+let codes;
+let failed;
+let sent;
+
+customers.findCustomersByContact = async (emails, contactNumbers) =>
+  CUSTOMERS.filter(
+    (customer) =>
+      emails.includes(customer.email) ||
+      contactNumbers.includes(customer.contactNumber)
+  );
+customers.findCustomerById = async (id) =>
+  CUSTOMERS.find((customer) => customer._id === id) || null;
+portal.getPortalAccount = async (customerId) =>
+  accounts[customerId] || { customerId, passwordHash: null, lockUntil: null };
+portal.checkPortalPassword = async (account, password) =>
+  Boolean(account && account.password === password);
+portal.issueLoginCode = async (customerId) => {
+  codes[customerId] = `${customerId}-code`;
+  return codes[customerId];
+};
+portal.consumeLoginCode = async (customerId, code) => {
+  if (!codes[customerId] || codes[customerId] !== code) return false;
+  delete codes[customerId];
+  return true;
+};
+portal.recordFailedPortalLogin = async (customerId) => {
+  failed.push(customerId);
+};
+portal.recordPortalLogin = async () => {};
+notifications.sendLoginCode = async (customer, code) => {
+  sent.push({ customerId: customer._id, code });
+};
+
+const {
+  requestLoginCode,
+  loginWithCode,
+  loginWithPassword,
+} = require("./portal.controller");
+
+// Minimal Express response recording the status and JSON body
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Call a handler with a request body
+async function call(handler, body) {
+  const res = createResponse();
+  await handler({ body }, res);
+  return res;
+}
+
+describe("portal login", () => {
+  beforeEach(() => {
+    accounts = {};
+    codes = {};
+    failed = [];
+    sent = [];
+  });
+
+  it("emails a code to every account of an email", async () => {
+    const res = await call(requestLoginCode, {
+      identifier: "Home@Example.com ",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(
+      sent.map((entry) => entry.customerId),
+      ["cust1", "cust2"]
+    );
+  });
+
+  it("answers the same for unknown accounts", async () => {
+    const known = await call(requestLoginCode, {
+      identifier: "home@example.com",
+    });
+    const unknown = await call(requestLoginCode, {
+      identifier: "nobody@example.com",
+    });
+
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(sent.length, 2);
+  });
+
+  it("logs in to the account the code was sent for", async () => {
+    await call(requestLoginCode, { identifier: "home@example.com" });
+    const res = await call(loginWithCode, {
+      identifier: "home@example.com",
+      code: "cust2-code",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.customer.fullName, "Ben Cruz");
+    const token = jwt.verify(res.body.token, PORTAL_JWT_SECRET, {
+      audience: "portal",
+    });
+    assert.equal(token.customerId, "cust2");
+  });
+
+  it("accepts a code only once", async () => {
+    await call(requestLoginCode, { identifier: "home@example.com" });
+    const body = { identifier: "home@example.com", code: "cust1-code" };
+
+    assert.equal((await call(loginWithCode, body)).statusCode, 200);
+    assert.equal((await call(loginWithCode, body)).statusCode, 401);
+  });
+
+  it("counts a wrong code against every matching account", async () => {
+    await call(requestLoginCode, { identifier: "home@example.com" });
+    const res = await call(loginWithCode, {
+      identifier: "home@example.com",
+      code: "000000",
+    });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(failed, ["cust1", "cust2"]);
+  });
+
+  it("does not let locked accounts in, even with the right code", async () => {
+    await call(requestLoginCode, { identifier: "home@example.com" });
+    accounts.cust1 = { lockUntil: new Date(Date.now() + 60 * 1000) };
+    const res = await call(loginWithCode, {
+      identifier: "home@example.com",
+      code: "cust1-code",
+    });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(failed, ["cust2"]);
+  });
+
+  it("logs in with the account's password", async () => {
+    accounts.cust1 = { password: "correct horse", lockUntil: null };
+    const res = await call(loginWithPassword, {
+      identifier: "home@example.com",
+      password: "correct horse",
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.customer.fullName, "Ana Cruz");
+  });
+
+  it("answers wrong passwords and unknown accounts alike", async () => {
+    accounts.cust1 = { password: "correct horse", lockUntil: null };
+    const wrong = await call(loginWithPassword, {
+      identifier: "home@example.com",
+      password: "wrong horse",
+    });
+    const unknown = await call(loginWithPassword, {
+      identifier: "nobody@example.com",
+      password: "correct horse",
+    });
+
+    assert.equal(wrong.statusCode, 401);
+    assert.deepEqual(unknown.body, wrong.body);
+  });
+});
@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const {
+  MAX_FAILED_LOGINS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+} = require("../../config/auth");
+const {
+  PORTAL_OTP_LENGTH,
+  PORTAL_OTP_TTL_MINUTES,
+  PORTAL_OTP_MAX_ATTEMPTS,
+} = require("../../config/portal");
+const { recordSystemAudit } = require("../audit/audit.model");
+
+// Portal account schema; the login state of a customer, kept apart from the
+// customer record so staff APIs never see it
+const PortalAccountSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      unique: true,
+    },
+    passwordHash: {
+      type: String,
+      select: false,
+    },
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// One-time login code schema. Only a hash of each code is stored.
+const PortalOtpSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+      index: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired codes are removed by MongoDB
+PortalOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PortalAccount = mongoose.model("PortalAccount", PortalAccountSchema);
+const PortalOtp = mongoose.model("PortalOtp", PortalOtpSchema);
+
+// Hash a login code for storage and lookup
+function hashCode(customerId, code) {
+  return crypto
+    .createHash("sha256")
+    .update(`${customerId}:${String(code).trim()}`)
+    .digest("hex");
+}
+
+// Hash compared against when a login has no password to check, so a login
+// takes as long whether or not the account exists or has a password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomUUID(), 10);
+
+// Get a customer's portal account without creating it. Customers who never
+// logged in get the defaults: no password and not locked.
+async function getPortalAccount(customerId) {
+  const account = await PortalAccount.findOne({ customerId })
+    .select("+passwordHash")
+    .lean();
+  return account || { customerId, passwordHash: null, lockUntil: null };
+}
+
+// Whether a portal account is currently locked out
+function isPortalAccountLocked(account, now = new Date()) {
+  return Boolean(account.lockUntil && account.lockUntil > now);
+}
+
+// Count a failed login; too many in a row locks the account, for longer
+// after each lockout. Lockouts are audited.
+async function recordFailedPortalLogin(customerId) {
+  const account = await PortalAccount.findOneAndUpdate(
+    { customerId },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  if (account.failedLoginAttempts < MAX_FAILED_LOGINS) return;
+
+  const lockMinutes = Math.min(
+    LOCKOUT_BASE_MINUTES * 2 ** account.lockouts,
+    LOCKOUT_MAX_MINUTES
+  );
+  const locked = await PortalAccount.findOneAndUpdate(
+    { customerId },
+    {
+      failedLoginAttempts: 0,
+      lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+      $inc: { lockouts: 1 },
+    },
+    { new: true }
+  ).lean();
+
+  await recordSystemAudit("portal-login-lockout", {
+    action: "lock",
+    entityType: "Customer",
+    entityId: customerId,
+    before: { lockUntil: account.lockUntil },
+    after: { lockUntil: locked && locked.lockUntil },
+    metadata: { lockouts: locked && locked.lockouts, minutes: lockMinutes },
+  });
+}
+
+// Clear failed logins after a successful login; the first login creates the
+// portal account
+async function recordPortalLogin(customerId) {
+  await PortalAccount.updateOne(
+    { customerId },
+    {
+      failedLoginAttempts: 0,
+      lockouts: 0,
+      lockUntil: null,
+      lastLoginAt: new Date(),
+    },
+    { upsert: true }
+  );
+}
+
+// Whether a password matches the account's; accounts without a password, and
+// a missing account, never match but take as long to check
+async function checkPortalPassword(account, password) {
+  if (!account || !account.passwordHash) {
+    await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+    return false;
+  }
+  return bcrypt.compare(String(password), account.passwordHash);
+}
+
+// Set a customer's portal password. Sessions issued until now end.
+async function setPortalPassword(customerId, password) {
+  const passwordHash = await bcrypt.hash(password, 10);
+  await PortalAccount.updateOne(
+    { customerId },
+    { passwordHash, tokensValidAfter: new Date() },
+    { upsert: true }
+  );
+}
+
+// Invalidate every portal session of a customer issued until now
+async function revokePortalTokens(customerId) {
+  await PortalAccount.updateOne(
+    { customerId },
+    { tokensValidAfter: new Date() },
+    { upsert: true }
+  );
+}
+
+// Issue a new login code for a customer; earlier codes stop working
+async function issueLoginCode(customerId) {
+  const code = String(crypto.randomInt(0, 10 ** PORTAL_OTP_LENGTH)).padStart(
+    PORTAL_OTP_LENGTH,
+    "0"
+  );
+  await PortalOtp.deleteMany({ customerId });
+  await PortalOtp.create({
+    customerId,
+    codeHash: hashCode(customerId, code),
+    expiresAt: new Date(Date.now() + PORTAL_OTP_TTL_MINUTES * 60 * 1000),
+  });
+  return code;
+}
+
+// Check and use up a login code. Each code allows a few guesses before it
+// stops working; a guess is counted before it is checked, so concurrent
+// guesses cannot get past the limit.
+async function consumeLoginCode(customerId, code) {
+  const now = new Date();
+  const otp = await PortalOtp.findOneAndUpdate(
+    {
+      customerId,
+      usedAt: null,
+      expiresAt: { $gt: now },
+      attempts: { $lt: PORTAL_OTP_MAX_ATTEMPTS },
+    },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 } }
+  ).lean();
+  if (!otp) return false;
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashCode(customerId, code), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) return false;
+
+  const used = await PortalOtp.updateOne(
+    { _id: otp._id, usedAt: null },
+    { usedAt: now }
+  );
+  return used.modifiedCount === 1;
+}
+
+module.exports = {
+  PortalAccount,
+  PortalOtp,
+  getPortalAccount,
+  isPortalAccountLocked,
+  recordFailedPortalLogin,
+  recordPortalLogin,
+  checkPortalPassword,
+  setPortalPassword,
+  revokePortalTokens,
+  issueLoginCode,
+  consumeLoginCode,
+};
@@ -0,0 +1,144 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const audit = require("../audit/audit.model");
+
+// Lockouts are audited; the model takes the audit function at require time
+const audited = [];
+audit.recordSystemAudit = async (source, entry) => {
+  audited.push({ source, ...entry });
+};
+
+const {
+  PortalAccount,
+  PortalOtp,
+  isPortalAccountLocked,
+  recordFailedPortalLogin,
+  checkPortalPassword,
+  issueLoginCode,
+  consumeLoginCode,
+} = require("./portal.model");
+const {
+  MAX_FAILED_LOGINS,
+  LOCKOUT_BASE_MINUTES,
+} = require("../../config/auth");
+const { PORTAL_OTP_MAX_ATTEMPTS } = require("../../config/portal");
+
+// Query result with the `lean()` mongoose queries are finished with
+function leanResult(value) {
+  return { lean: async () => value };
+}
+
+describe("login codes", () => {
+  // Stand-in for the code collection holding the last code issued
+  function mockCodes(t) {
+    const codes = [];
+    t.mock.method(PortalOtp, "deleteMany", async () => {});
+    t.mock.method(PortalOtp, "create", async (data) => {
+      codes.push({ _id: codes.length, attempts: 0, usedAt: null, ...data });
+    });
+    t.mock.method(PortalOtp, "findOneAndUpdate", () => {
+      const otp = codes.find(
+        (candidate) =>
+          !candidate.usedAt &&
+          candidate.expiresAt > new Date() &&
+          candidate.attempts < PORTAL_OTP_MAX_ATTEMPTS
+      );
+      if (otp) otp.attempts++;
+      return leanResult(otp ? { ...otp } : null);
+    });
+    t.mock.method(PortalOtp, "updateOne", async (query, update) => {
+      const otp = codes.find((candidate) => candidate._id === query._id);
+      if (!otp || otp.usedAt) return { modifiedCount: 0 };
+      otp.usedAt = update.usedAt;
+      return { modifiedCount: 1 };
+    });
+    return codes;
+  }
+
+  it("issues six-digit codes stored only as a hash", async (t) => {
+    const codes = mockCodes(t);
+    const code = await issueLoginCode("cust1");
+
+    assert.match(code, /^\d{6}$/);
+    assert.equal(codes.length, 1);
+    assert.notEqual(codes[0].codeHash, code);
+    assert.ok(codes[0].expiresAt > new Date());
+  });
+
+  it("accepts a code once", async (t) => {
+    mockCodes(t);
+    const code = await issueLoginCode("cust1");
+
+    assert.equal(await consumeLoginCode("cust1", code), true);
+    assert.equal(await consumeLoginCode("cust1", code), false);
+  });
+
+  it("rejects wrong codes and codes of other customers", async (t) => {
+    mockCodes(t);
+    const code = await issueLoginCode("cust1");
+    const wrong = code === "000000" ? "000001" : "000000";
+
+    assert.equal(await consumeLoginCode("cust1", wrong), false);
+    assert.equal(await consumeLoginCode("cust2", code), false);
+  });
+
+  it("stops accepting a code after too many guesses", async (t) => {
+    mockCodes(t);
+    const code = await issueLoginCode("cust1");
+    const wrong = code === "000000" ? "000001" : "000000";
+
+    for (let i = 0; i < PORTAL_OTP_MAX_ATTEMPTS; i++) {
+      assert.equal(await consumeLoginCode("cust1", wrong), false);
+    }
+    assert.equal(await consumeLoginCode("cust1", code), false);
+  });
+});
+
+describe("checkPortalPassword", () => {
+  it("matches the account's password", async () => {
+    const account = { passwordHash: await bcrypt.hash("correct horse", 4) };
+
+    assert.equal(await checkPortalPassword(account, "correct horse"), true);
+    assert.equal(await checkPortalPassword(account, "wrong horse"), false);
+  });
+
+  it("never matches accounts without a password", async () => {
+    assert.equal(await checkPortalPassword({ passwordHash: null }, ""), false);
+    assert.equal(await checkPortalPassword(null, "anything"), false);
+  });
+});
+
+describe("recordFailedPortalLogin", () => {
+  it("locks the account after too many failed logins", async (t) => {
+    let account = { failedLoginAttempts: 0, lockouts: 0, lockUntil: null };
+    t.mock.method(PortalAccount, "findOneAndUpdate", (query, update) => {
+      if (update.$inc.failedLoginAttempts) {
+        account = {
+          ...account,
+          failedLoginAttempts: account.failedLoginAttempts + 1,
+        };
+      } else {
+        account = {
+          ...account,
+          failedLoginAttempts: update.failedLoginAttempts,
+          lockUntil: update.lockUntil,
+          lockouts: account.lockouts + update.$inc.lockouts,
+        };
+      }
+      return leanResult(account);
+    });
+
+    for (let i = 1; i < MAX_FAILED_LOGINS; i++) {
+      await recordFailedPortalLogin("cust1");
+      assert.equal(isPortalAccountLocked(account), false);
+    }
+    await recordFailedPortalLogin("cust1");
+
+    assert.equal(isPortalAccountLocked(account), true);
+    assert.equal(account.failedLoginAttempts, 0);
+    assert.equal(audited.length, 1);
+    assert.equal(audited[0].source, "portal-login-lockout");
+    assert.equal(audited[0].metadata.minutes, LOCKOUT_BASE_MINUTES);
+  });
+});
@@ -0,0 +1,47 @@
+const express = require("express");
+const {
+  requestLoginCode,
+  loginWithCode,
+  loginWithPassword,
+  changePassword,
+  logout,
+  getMe,
+  getInvoices,
+  getInvoice,
+  getInvoicePdf,
+  payInvoice,
+  getPayments,
+  getPlans,
+  getTickets,
+  reportOutage,
+  requestPlanChange,
+} = require("./portal.controller");
+const authenticateCustomer = require("../../middleware/portal-auth");
+const {
+  portalLoginRateLimit,
+  portalOtpRateLimit,
+} = require("../../middleware/rate-limit");
+const { PAYMENT_GATEWAY_ENABLED } = require("../../config/payments");
+
+const router = express.Router();
+
+router.post("/login/code", portalOtpRateLimit, requestLoginCode);
+router.post("/login/code/verify", portalLoginRateLimit, loginWithCode);
+router.post("/login", portalLoginRateLimit, loginWithPassword);
+router.post("/logout", authenticateCustomer, logout);
+router.put("/password", authenticateCustomer, changePassword);
+router.get("/me", authenticateCustomer, getMe);
+router.get("/invoices", authenticateCustomer, getInvoices);
+router.get("/invoices/:id", authenticateCustomer, getInvoice);
+router.get("/invoices/:id/pdf", authenticateCustomer, getInvoicePdf);
+// Online payment only exists while a gateway is chosen
+if (PAYMENT_GATEWAY_ENABLED) {
+  router.post("/invoices/:id/checkout", authenticateCustomer, payInvoice);
+}
+router.get("/payments", authenticateCustomer, getPayments);
+router.get("/plans", authenticateCustomer, getPlans);
+router.get("/tickets", authenticateCustomer, getTickets);
+router.post("/outages", authenticateCustomer, reportOutage);
+router.post("/plan-change", authenticateCustomer, requestPlanChange);
+
+module.exports = router;
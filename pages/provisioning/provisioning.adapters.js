@@ -0,0 +1,123 @@
+const fs = require("fs/promises");
+const path = require("path");
+const {
+  PROVISIONING_ADAPTER,
+  PROVISIONING_RADIUS_DIR,
+} = require("../../config/provisioning");
+
+// An adapter is an object with a `name` and an async `apply(account)` that
+// brings the network in line with one customer account. Accounts look like
+// { customerId, username, fullName, state, bandwidthMbps } where `state` is
+// "active", "suspended" or "removed". Applying the same account twice must be
+// harmless, since failed pushes are retried.
+
+// Keep accounts in memory; for tests and setups without network equipment.
+// `failNext(count)` makes the next pushes fail.
+function createMockAdapter() {
+  let failures = 0;
+  return {
+    name: "mock",
+    accounts: new Map(),
+    pushes: [],
+    failNext(count = 1) {
+      failures = count;
+    },
+    async apply(account) {
+      if (failures > 0) {
+        failures--;
+        throw new Error("Mock provisioning failure");
+      }
+      this.pushes.push(account);
+      if (account.state === "removed") {
+        this.accounts.delete(account.username);
+      } else {
+        this.accounts.set(account.username, account);
+      }
+    },
+  };
+}
+
+// FreeRADIUS users file entry for an account. Active accounts get their
+// bandwidth as MikroTik and WISPr rate limit attributes; suspended accounts
+// are rejected.
+function radiusUsersEntry(account) {
+  const name = String(account.fullName || "").replace(/[\r\n]+/g, " ");
+  const header = `# ${name} (${account.customerId}), ${account.state}`;
+  const username = `"${account.username}"`;
+
+  if (account.state !== "active") {
+    return [
+      header,
+      `${username}\tAuth-Type := Reject`,
+      `\tReply-Message = "Account suspended"`,
+      "",
+    ].join("\n");
+  }
+
+  const bitsPerSecond = Math.round(account.bandwidthMbps * 1000000);
+  return [
+    header,
+    `${username}\tAuth-Type := Accept`,
+    `\tMikrotik-Rate-Limit = "${account.bandwidthMbps}M/${account.bandwidthMbps}M",`,
+    `\tWISPr-Bandwidth-Max-Down = ${bitsPerSecond},`,
+    `\tWISPr-Bandwidth-Max-Up = ${bitsPerSecond}`,
+    "",
+  ].join("\n");
+}
+
+// Write one FreeRADIUS users entry per account to a directory; removed
+// accounts have their file deleted. Files are replaced atomically so the
+// RADIUS server never reads half an entry.
+function createRadiusFileAdapter(dir = PROVISIONING_RADIUS_DIR) {
+  return {
+    name: "radius-file",
+    async apply(account) {
+      const safeName = String(account.username).replace(/[^\w.@-]/g, "_");
+      const file = path.join(dir, safeName);
+
+      if (account.state === "removed") {
+        await fs.rm(file, { force: true });
+        return;
+      }
+
+      await fs.mkdir(dir, { recursive: true });
+      const temp = `${file}.tmp`;
+      await fs.writeFile(temp, radiusUsersEntry(account));
+      await fs.rename(temp, file);
+    },
+  };
+}
+
+const ADAPTERS = {
+  mock: createMockAdapter,
+  "radius-file": createRadiusFileAdapter,
+};
+
+let adapter = null;
+
+// Get the configured adapter
+function getAdapter() {
+  if (!adapter) {
+    if (!PROVISIONING_ADAPTER) {
+      throw new Error("PROVISIONING_ADAPTER is not set");
+    }
+    const create = ADAPTERS[PROVISIONING_ADAPTER];
+    if (!create) {
+      throw new Error(`Unknown provisioning adapter "${PROVISIONING_ADAPTER}"`);
+    }
+    adapter = create();
+  }
+  return adapter;
+}
+
+// Replace the adapter, e.g. with one for other equipment or a mock in tests
+function setAdapter(customAdapter) {
+  adapter = customAdapter;
+}
+
+module.exports = {
+  createMockAdapter,
+  createRadiusFileAdapter,
+  getAdapter,
+  setAdapter,
+};
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const {
+  JOB_STATUSES,
+  listJobs,
+  listJobsByCustomer,
+} = require("./provisioning.model");
+const {
+  accountForCustomer,
+  requestProvisioning,
+} = require("./provisioning.service");
+const { findCustomerById } = require("../customers/customers.model");
+const { recordAudit } = require("../audit/audit.model");
+
+// Get provisioning queue jobs, optionally by status or customer
+async function getJobs(req, res) {
+  try {
+    const { status, customerId } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${JOB_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (customerId && !mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ error: "customerId must be a valid ID" });
+    }
+
+    const jobs = await listJobs({ status, customerId });
+    res.json(jobs);
+  } catch (err) {
+    console.error("Error fetching provisioning jobs:", err);
+    res.status(500).json({ error: "Failed to load provisioning jobs" });
+  }
+}
+
+// Get a customer's network sync state: what was last pushed, what should be
+// pushed now, and the latest jobs
+async function getCustomerProvisioning(req, res) {
+  try {
+    const { id } = req.params;
+    const customer = await findCustomerById(id, { includeDeleted: true });
+
+    if (!customer) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    const jobs = await listJobsByCustomer(customer._id);
+    res.json({
+      customerId: customer._id,
+      fullName: customer.fullName,
+      provisioning: customer.provisioning || null,
+      expected: accountForCustomer(customer),
+      jobs,
+    });
+  } catch (err) {
+    console.error("Error fetching customer provisioning:", err);
+    res.status(500).json({ error: "Failed to load customer provisioning" });
+  }
+}
+
+// Push a customer's account to the network again
+async function resyncCustomer(req, res) {
+  try {
+    const { id } = req.params;
+    const customer = await findCustomerById(id, { includeDeleted: true });
+
+    if (!customer) {
+      return res.status(404).json({ error: "Customer not found" });
+    }
+
+    const job = await requestProvisioning(customer._id, "resync");
+
+    await recordAudit(req, {
+      action: "resync",
+      entityType: "Customer",
+      entityId: customer._id,
+      metadata: { jobId: job._id },
+    });
+
+    res.status(202).json({ message: "Provisioning queued", job });
+  } catch (err) {
+    console.error("Error queueing customer provisioning:", err);
+    res.status(500).json({ error: "Failed to queue customer provisioning" });
+  }
+}
+
+module.exports = {
+  getJobs,
+  getCustomerProvisioning,
+  resyncCustomer,
+};
@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+
+// Events that queue a push of a customer's account to the network
+const PROVISIONING_ACTIONS = [
+  "create",
+  "plan-change",
+  "suspend",
+  "pause",
+  "reconnect",
+  "terminate",
+  "delete",
+  "restore",
+  "resync",
+];
+
+// Queue statuses. A job is superseded when it failed while a newer push for
+// the same customer was already queued.
+const JOB_STATUSES = ["Pending", "Processing", "Done", "Failed", "Superseded"];
+
+// How long a claimed job stays locked before another worker may take it over
+const JOB_LOCK_MS = 5 * 60 * 1000;
+
+// Provisioning queue schema; one job per push of a customer's account
+const ProvisioningJobSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: PROVISIONING_ACTIONS,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "Pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    adapter: {
+      type: String,
+    },
+    account: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one pending job per customer; later events fold into it
+ProvisioningJobSchema.index(
+  { customerId: 1 },
+  { unique: true, partialFilterExpression: { status: "Pending" } }
+);
+ProvisioningJobSchema.index({ customerId: 1, createdAt: -1 });
+ProvisioningJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const ProvisioningJob = mongoose.model(
+  "ProvisioningJob",
+  ProvisioningJobSchema
+);
+
+// Queue a push for a customer, or fold the event into the push already
+// queued and make it due now
+async function enqueueJob(customerId, action) {
+  const upsert = () =>
+    ProvisioningJob.findOneAndUpdate(
+      { customerId, status: "Pending" },
+      { action, nextAttemptAt: new Date() },
+      { new: true, upsert: true }
+    ).lean();
+
+  try {
+    return await upsert();
+  } catch (err) {
+    // A concurrent event inserted the pending job first
+    if (err.code !== 11000) throw err;
+    return upsert();
+  }
+}
+
+// Claim a due job for processing; resolves to null when another worker has
+// it or it is not due
+async function claimJob(id, now = new Date()) {
+  return ProvisioningJob.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: "Pending", nextAttemptAt: { $lte: now } },
+        { status: "Processing", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      status: "Processing",
+      lockedUntil: new Date(now.getTime() + JOB_LOCK_MS),
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  ).lean();
+}
+
+// IDs of jobs due for processing, oldest first, including jobs whose worker
+// stopped before finishing them
+async function listDueJobIds(limit, now = new Date()) {
+  const jobs = await ProvisioningJob.find({
+    $or: [
+      { status: "Pending", nextAttemptAt: { $lte: now } },
+      { status: "Processing", lockedUntil: { $lt: now } },
+    ],
+  })
+    .select("_id")
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .lean();
+  return jobs.map((job) => job._id);
+}
+
+// Mark a job as pushed
+async function completeJob(id, data) {
+  return ProvisioningJob.findByIdAndUpdate(
+    id,
+    {
+      status: "Done",
+      adapter: data.adapter,
+      account: data.account,
+      lockedUntil: null,
+      completedAt: new Date(),
+    },
+    { new: true }
+  ).lean();
+}
+
+// Record a failed push. The job is queued again at `retryAt`, or marked
+// failed without one. When a newer push for the customer is already queued
+// this job is superseded by it instead.
+async function failJob(job, data) {
+  const fields = {
+    adapter: data.adapter,
+    account: data.account,
+    lastError: data.error,
+    lockedUntil: null,
+  };
+
+  if (!data.retryAt) {
+    return ProvisioningJob.findByIdAndUpdate(
+      job._id,
+      { ...fields, status: "Failed", completedAt: new Date() },
+      { new: true }
+    ).lean();
+  }
+
+  try {
+    return await ProvisioningJob.findByIdAndUpdate(
+      job._id,
+      { ...fields, status: "Pending", nextAttemptAt: data.retryAt },
+      { new: true }
+    ).lean();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return ProvisioningJob.findByIdAndUpdate(
+      job._id,
+      { ...fields, status: "Superseded", completedAt: new Date() },
+      { new: true }
+    ).lean();
+  }
+}
+
+// Get the latest jobs of a customer, newest first
+async function listJobsByCustomer(customerId, limit = 20) {
+  return ProvisioningJob.find({ customerId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+// Get queued jobs, most recently updated first
+async function listJobs(filters = {}) {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.customerId) query.customerId = filters.customerId;
+
+  return ProvisioningJob.find(query)
+    .populate("customerId", "fullName email")
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .lean();
+}
+
+module.exports = {
+  ProvisioningJob,
+  PROVISIONING_ACTIONS,
+  JOB_STATUSES,
+  enqueueJob,
+  claimJob,
+  listDueJobIds,
+  completeJob,
+  failJob,
+  listJobsByCustomer,
+  listJobs,
+};
@@ -0,0 +1,31 @@
+const express = require("express");
+const {
+  getJobs,
+  getCustomerProvisioning,
+  resyncCustomer,
+} = require("./provisioning.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/jobs",
+  authenticateToken,
+  requirePermission("provisioning:read"),
+  getJobs
+);
+router.get(
+  "/customers/:id",
+  authenticateToken,
+  requirePermission("provisioning:read"),
+  getCustomerProvisioning
+);
+router.post(
+  "/customers/:id/sync",
+  authenticateToken,
+  requirePermission("provisioning:write"),
+  resyncCustomer
+);
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const {
+  findCustomerById,
+  setProvisioningState,
+} = require("../customers/customers.model");
+const {
+  enqueueJob,
+  claimJob,
+  listDueJobIds,
+  completeJob,
+  failJob,
+} = require("./provisioning.model");
+const { getAdapter } = require("./provisioning.adapters");
+const {
+  PROVISIONING_RETRY_DELAY_MS,
+  PROVISIONING_MAX_RETRY_DELAY_MS,
+  PROVISIONING_MAX_ATTEMPTS,
+} = require("../../config/provisioning");
+
+// Network account of a customer as it should be now. Removed and terminated
+// customers lose their account; suspended and paused ones are blocked.
+function accountForCustomer(customer) {
+  let state = "active";
+  if (customer.deletedAt || customer.status === "Terminated") {
+    state = "removed";
+  } else if (customer.status === "Suspended" || customer.status === "Paused") {
+    state = "suspended";
+  }
+
+  return {
+    customerId: String(customer._id),
+    username: String(customer._id),
+    fullName: customer.fullName,
+    state,
+    bandwidthMbps: customer.bandwidthMbps,
+  };
+}
+
+// Delay before retrying a push that failed `attempts` times
+function retryDelay(attempts) {
+  return Math.min(
+    PROVISIONING_RETRY_DELAY_MS * 2 ** (attempts - 1),
+    PROVISIONING_MAX_RETRY_DELAY_MS
+  );
+}
+
+// Push the current account of a job's customer through the adapter. Resolves
+// to true when the push went through, false when it failed, or null when the
+// job was not due or another worker took it. The customer's sync state is
+// left to a newer push queued while this one ran.
+async function processJob(jobId) {
+  const job = await claimJob(jobId);
+  if (!job) return null;
+
+  const now = new Date();
+  let adapterName;
+  let account;
+
+  try {
+    const customer = await findCustomerById(job.customerId, {
+      includeDeleted: true,
+    });
+    if (!customer) {
+      throw new Error("Customer not found");
+    }
+
+    const adapter = getAdapter();
+    adapterName = adapter.name;
+    account = accountForCustomer(customer);
+    await adapter.apply(account);
+
+    await completeJob(job._id, { adapter: adapterName, account });
+    await setProvisioningState(
+      job.customerId,
+      {
+        status: "Synced",
+        state: account.state,
+        bandwidthMbps: account.bandwidthMbps,
+        adapter: adapterName,
+        attempts: job.attempts,
+        lastAttemptAt: now,
+        syncedAt: now,
+        lastError: null,
+      },
+      { jobId: job._id }
+    );
+    return true;
+  } catch (err) {
+    console.error(`Error provisioning customer ${job.customerId}:`, err);
+
+    const retryAt =
+      job.attempts < PROVISIONING_MAX_ATTEMPTS
+        ? new Date(now.getTime() + retryDelay(job.attempts))
+        : null;
+    const failed = await failJob(job, {
+      adapter: adapterName,
+      account,
+      error: err.message,
+      retryAt,
+    });
+
+    // A superseded job leaves the sync state to the newer one
+    if (failed.status !== "Superseded") {
+      await setProvisioningState(
+        job.customerId,
+        {
+          status: failed.status === "Failed" ? "Failed" : "Pending",
+          adapter: adapterName,
+          attempts: job.attempts,
+          lastAttemptAt: now,
+          lastError: err.message,
+        },
+        { jobId: job._id }
+      );
+    }
+    return false;
+  }
+}
+
+// Queue a push of each customer's account; the queue job picks them up.
+// The job is recorded on the customer, so only its outcome updates the sync
+// state from then on.
+async function queueProvisioning(customerIds, action) {
+  const jobs = [];
+  for (const customerId of customerIds) {
+    const job = await enqueueJob(customerId, action);
+    jobs.push(job);
+    await setProvisioningState(customerId, {
+      status: "Pending",
+      jobId: job._id,
+    });
+  }
+  return jobs;
+}
+
+// Queue a push of a customer's account and try it straight away in the
+// background; failures are left to the queue to retry
+async function requestProvisioning(customerId, action) {
+  const [job] = await queueProvisioning([customerId], action);
+  processJob(job._id).catch((err) =>
+    console.error(`Error provisioning customer ${customerId}:`, err)
+  );
+  return job;
+}
+
+// Push every due job in the queue, oldest first
+async function processProvisioningQueue(limit = 100) {
+  const jobIds = await listDueJobIds(limit);
+  let synced = 0;
+  let failed = 0;
+  for (const jobId of jobIds) {
+    const result = await processJob(jobId);
+    if (result === true) synced++;
+    if (result === false) failed++;
+  }
+  return { synced, failed };
+}
+
+module.exports = {
+  accountForCustomer,
+  queueProvisioning,
+  requestProvisioning,
+  processProvisioningQueue,
+};
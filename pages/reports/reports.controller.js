@@ -0,0 +1,149 @@
+const {
+  billedVsCollected,
+  receivablesAging,
+  revenueBy,
+  paymentMethodMix,
+  mrrAndChurn,
+  newSubscribers,
+} = require("./reports.service");
+const { parseDateParam } = require("../../utils/pagination");
+
+// Longest range a report covers
+const MAX_REPORT_MONTHS = 36;
+
+// Parse the `from` and `to` query parameters; the default range is the
+// current month and the eleven before it. Returns { error } when invalid.
+function parseReportRange(query) {
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to, { endOfDay: true });
+
+  if (from === null || to === null) {
+    return { error: "from and to must be valid dates" };
+  }
+
+  const end = to || new Date();
+  const start =
+    from || new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 11, 1));
+
+  if (start > end) {
+    return { error: "from must be before to" };
+  }
+
+  const months =
+    (end.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+    end.getUTCMonth() -
+    start.getUTCMonth() +
+    1;
+  if (months > MAX_REPORT_MONTHS) {
+    return {
+      error: `Reports can cover at most ${MAX_REPORT_MONTHS} months`,
+    };
+  }
+
+  return { from: start, to: end };
+}
+
+// Billed vs collected per billing period
+async function getBilledVsCollected(req, res) {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const data = await billedVsCollected(range);
+    res.json({ ...range, data });
+  } catch (err) {
+    console.error("Error building billed vs collected report:", err);
+    res
+      .status(500)
+      .json({ error: "Failed to build billed vs collected report" });
+  }
+}
+
+// Revenue by plan type, or by city with ?groupBy=city
+async function getRevenue(req, res) {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const data = await revenueBy({
+      ...range,
+      groupBy: req.query.groupBy === "city" ? "city" : "planType",
+    });
+    res.json({ ...range, data });
+  } catch (err) {
+    console.error("Error building revenue report:", err);
+    res.status(500).json({ error: "Failed to build revenue report" });
+  }
+}
+
+// Payment method mix
+async function getPaymentMethods(req, res) {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const data = await paymentMethodMix(range);
+    res.json({ ...range, data });
+  } catch (err) {
+    console.error("Error building payment method report:", err);
+    res.status(500).json({ error: "Failed to build payment method report" });
+  }
+}
+
+// MRR and churn per month
+async function getMrr(req, res) {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const data = await mrrAndChurn(range);
+    res.json({ ...range, data });
+  } catch (err) {
+    console.error("Error building MRR report:", err);
+    res.status(500).json({ error: "Failed to build MRR report" });
+  }
+}
+
+// New subscribers per month
+async function getNewSubscribers(req, res) {
+  try {
+    const range = parseReportRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const data = await newSubscribers(range);
+    res.json({ ...range, data });
+  } catch (err) {
+    console.error("Error building new subscribers report:", err);
+    res.status(500).json({ error: "Failed to build new subscribers report" });
+  }
+}
+
+// Accounts receivable aging of current balances
+async function getAging(req, res) {
+  try {
+    const report = await receivablesAging({ asOf: new Date() });
+    res.json(report);
+  } catch (err) {
+    console.error("Error building aging report:", err);
+    res.status(500).json({ error: "Failed to build aging report" });
+  }
+}
+
+module.exports = {
+  getBilledVsCollected,
+  getAging,
+  getRevenue,
+  getPaymentMethods,
+  getMrr,
+  getNewSubscribers,
+};
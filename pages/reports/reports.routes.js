@@ -0,0 +1,52 @@
+const express = require("express");
+const {
+  getBilledVsCollected,
+  getAging,
+  getRevenue,
+  getPaymentMethods,
+  getMrr,
+  getNewSubscribers,
+} = require("./reports.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/billed-vs-collected",
+  authenticateToken,
+  requirePermission("reports:read"),
+  getBilledVsCollected
+);
+router.get(
+  "/aging",
+  authenticateToken,
+  requirePermission("reports:read"),
+  getAging
+);
+router.get(
+  "/revenue",
+  authenticateToken,
+  requirePermission("reports:read"),
+  getRevenue
+);
+router.get(
+  "/payment-methods",
+  authenticateToken,
+  requirePermission("reports:read"),
+  getPaymentMethods
+);
+router.get(
+  "/mrr",
+  authenticateToken,
+  requirePermission("reports:read"),
+  getMrr
+);
+router.get(
+  "/new-subscribers",
+  authenticateToken,
+  requirePermission("reports:read"),
+  getNewSubscribers
+);
+
+module.exports = router;
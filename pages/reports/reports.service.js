@@ -0,0 +1,401 @@
+const { Invoice, UNPAID_STATUSES } = require("../invoices/invoices.model");
+const { Customer } = require("../customers/customers.model");
+const { Payment } = require("../payments/payments.model");
+const { roundAmount } = require("../invoices/totals");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Billing period (YYYY-MM) a date falls in
+function toBillingPeriod(date) {
+  const d = new Date(date);
+  const month = String(d.getUTCMonth() + 1).padStart(2, "0");
+  return `${d.getUTCFullYear()}-${month}`;
+}
+
+// Start of each calendar month between two dates, inclusive
+function monthsBetween(from, to) {
+  const months = [];
+  const start = new Date(from);
+  let year = start.getUTCFullYear();
+  let month = start.getUTCMonth();
+  while (Date.UTC(year, month, 1) <= to.getTime()) {
+    months.push({
+      period: toBillingPeriod(Date.UTC(year, month, 1)),
+      start: new Date(Date.UTC(year, month, 1)),
+      end: new Date(Date.UTC(year, month + 1, 1)),
+    });
+    month++;
+    if (month === 12) {
+      month = 0;
+      year++;
+    }
+  }
+  return months;
+}
+
+// Invoices that count towards revenue: not deleted and not voided
+function billedInvoicesMatch(from, to) {
+  return {
+    deletedAt: null,
+    status: { $ne: "Void" },
+    billingPeriod: { $gte: toBillingPeriod(from), $lte: toBillingPeriod(to) },
+  };
+}
+
+// Amount collected on an invoice; invoices paid before payments were
+// recorded count in full
+const COLLECTED_EXPRESSION = {
+  $cond: [
+    { $eq: ["$status", "Paid"] },
+    "$amount",
+    { $ifNull: ["$amountPaid", 0] },
+  ],
+};
+
+// Billed and collected amounts per billing period
+async function billedVsCollected({ from, to }) {
+  const rows = await Invoice.aggregate([
+    { $match: billedInvoicesMatch(from, to) },
+    {
+      $group: {
+        _id: "$billingPeriod",
+        invoices: { $sum: 1 },
+        billed: { $sum: "$amount" },
+        collected: { $sum: COLLECTED_EXPRESSION },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((row) => ({
+    billingPeriod: row._id,
+    invoices: row.invoices,
+    billed: roundAmount(row.billed),
+    collected: roundAmount(row.collected),
+    outstanding: roundAmount(row.billed - row.collected),
+    collectionRate:
+      row.billed > 0 ? roundAmount(row.collected / row.billed) : 0,
+  }));
+}
+
+// Accounts receivable aging buckets by days past due
+const AGING_BUCKETS = [
+  { key: "days0to30", label: "0-30", maxDays: 30 },
+  { key: "days31to60", label: "31-60", maxDays: 60 },
+  { key: "days61to90", label: "61-90", maxDays: 90 },
+  { key: "over90", label: "90+", maxDays: null },
+];
+
+// Unpaid balances per customer, grouped by how far past due they are at
+// `asOf`. Invoices not yet due fall in the first bucket.
+async function receivablesAging({ asOf = new Date() }) {
+  const daysPastDue = {
+    $floor: {
+      $divide: [{ $subtract: [asOf, "$dueDate"] }, DAY_MS],
+    },
+  };
+  const bucketSums = Object.fromEntries(
+    AGING_BUCKETS.map(({ key, maxDays }, index) => {
+      const min = index === 0 ? null : AGING_BUCKETS[index - 1].maxDays;
+      const conditions = [];
+      if (min !== null) conditions.push({ $gt: ["$daysPastDue", min] });
+      if (maxDays !== null)
+        conditions.push({ $lte: ["$daysPastDue", maxDays] });
+      return [key, { $sum: { $cond: [{ $and: conditions }, "$balance", 0] } }];
+    })
+  );
+
+  const rows = await Invoice.aggregate([
+    {
+      $match: {
+        deletedAt: null,
+        status: { $in: UNPAID_STATUSES },
+        createdAt: { $lte: asOf },
+      },
+    },
+    {
+      $project: {
+        customerId: 1,
+        daysPastDue,
+        balance: {
+          $subtract: ["$amount", { $ifNull: ["$amountPaid", 0] }],
+        },
+      },
+    },
+    { $match: { balance: { $gt: 0 } } },
+    {
+      $group: {
+        _id: "$customerId",
+        invoices: { $sum: 1 },
+        total: { $sum: "$balance" },
+        ...bucketSums,
+      },
+    },
+    {
+      $lookup: {
+        from: Customer.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "customer",
+      },
+    },
+    { $unwind: { path: "$customer", preserveNullAndEmptyArrays: true } },
+    { $sort: { total: -1 } },
+  ]);
+
+  const totals = Object.fromEntries(
+    [...AGING_BUCKETS.map(({ key }) => key), "total"].map((key) => [key, 0])
+  );
+  const customers = rows.map((row) => {
+    const amounts = {};
+    for (const key of Object.keys(totals)) {
+      amounts[key] = roundAmount(row[key]);
+      totals[key] = roundAmount(totals[key] + row[key]);
+    }
+    return {
+      customerId: row._id,
+      fullName: row.customer ? row.customer.fullName : null,
+      invoices: row.invoices,
+      ...amounts,
+    };
+  });
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals,
+    customers,
+  };
+}
+
+// Revenue per plan type or city of the billed customers
+async function revenueBy({ from, to, groupBy }) {
+  const field =
+    groupBy === "city" ? "$customer.addressCity" : "$customer.planType";
+
+  const rows = await Invoice.aggregate([
+    { $match: billedInvoicesMatch(from, to) },
+    {
+      $lookup: {
+        from: Customer.collection.name,
+        localField: "customerId",
+        foreignField: "_id",
+        as: "customer",
+      },
+    },
+    { $unwind: { path: "$customer", preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: { $ifNull: [field, "Unknown"] },
+        invoices: { $sum: 1 },
+        customers: { $addToSet: "$customerId" },
+        billed: { $sum: "$amount" },
+        collected: { $sum: COLLECTED_EXPRESSION },
+      },
+    },
+    { $sort: { billed: -1 } },
+  ]);
+
+  return rows.map((row) => ({
+    [groupBy === "city" ? "city" : "planType"]: row._id,
+    customers: row.customers.length,
+    invoices: row.invoices,
+    billed: roundAmount(row.billed),
+    collected: roundAmount(row.collected),
+  }));
+}
+
+// Payments received per payment method
+async function paymentMethodMix({ from, to }) {
+  const rows = await Payment.aggregate([
+    { $match: { paidAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: "$paymentMethod",
+        payments: { $sum: 1 },
+        total: { $sum: "$amount" },
+      },
+    },
+    { $sort: { total: -1 } },
+  ]);
+
+  const grandTotal = rows.reduce((sum, row) => sum + row.total, 0);
+  return rows.map((row) => ({
+    paymentMethod: row._id,
+    payments: row.payments,
+    total: roundAmount(row.total),
+    share: grandTotal > 0 ? roundAmount(row.total / grandTotal) : 0,
+  }));
+}
+
+// Customers subscribed at a moment in time: started, and neither removed nor
+// terminated yet
+function activeAtMatch(date) {
+  return {
+    subscriptionStartDate: { $lt: date },
+    $and: [
+      { $or: [{ deletedAt: null }, { deletedAt: { $gte: date } }] },
+      { $or: [{ terminatedAt: null }, { terminatedAt: { $gte: date } }] },
+    ],
+  };
+}
+
+// When a customer churned: the earlier of termination and removal, or null
+const CHURNED_AT_EXPRESSION = { $min: ["$deletedAt", "$terminatedAt"] };
+
+// Monthly fee of a customer at a moment, from the latest plan history entry
+// in effect then; customers without plan history use their current fee
+function feeAtExpression(date) {
+  return {
+    $let: {
+      vars: {
+        entries: {
+          $filter: {
+            input: { $ifNull: ["$planHistory", []] },
+            as: "entry",
+            cond: { $lt: ["$$entry.effectiveFrom", date] },
+          },
+        },
+      },
+      in: {
+        $let: {
+          vars: {
+            latest: {
+              $reduce: {
+                input: "$$entries",
+                initialValue: null,
+                in: {
+                  $cond: [
+                    {
+                      $or: [
+                        { $eq: ["$$value", null] },
+                        {
+                          $gte: [
+                            "$$this.effectiveFrom",
+                            "$$value.effectiveFrom",
+                          ],
+                        },
+                      ],
+                    },
+                    "$$this",
+                    "$$value",
+                  ],
+                },
+              },
+            },
+          },
+          in: { $ifNull: ["$$latest.monthlyFee", "$monthlyFee"] },
+        },
+      },
+    },
+  };
+}
+
+// Monthly recurring revenue, subscriber counts and churn per month. Churned
+// customers are those terminated or removed during the month.
+async function mrrAndChurn({ from, to }) {
+  const months = monthsBetween(from, to);
+
+  // One pipeline per month, run in parallel
+  const results = await Promise.all(
+    months.map(({ start, end }) =>
+      Customer.aggregate([
+        {
+          $facet: {
+            start: [{ $match: activeAtMatch(start) }, { $count: "count" }],
+            end: [
+              { $match: activeAtMatch(end) },
+              {
+                $group: {
+                  _id: null,
+                  count: { $sum: 1 },
+                  mrr: { $sum: feeAtExpression(end) },
+                },
+              },
+            ],
+            added: [
+              { $match: { subscriptionStartDate: { $gte: start, $lt: end } } },
+              { $count: "count" },
+            ],
+            churned: [
+              {
+                $match: {
+                  subscriptionStartDate: { $lt: start },
+                  $expr: {
+                    $and: [
+                      { $gte: [CHURNED_AT_EXPRESSION, start] },
+                      { $lt: [CHURNED_AT_EXPRESSION, end] },
+                    ],
+                  },
+                },
+              },
+              { $count: "count" },
+            ],
+          },
+        },
+      ])
+    )
+  );
+
+  const count = (rows) => (rows[0] ? rows[0].count : 0);
+  return months.map(({ period }, index) => {
+    const [result] = results[index];
+    const startCount = count(result.start);
+    const churned = count(result.churned);
+    return {
+      month: period,
+      subscribersAtStart: startCount,
+      subscribersAtEnd: count(result.end),
+      newSubscribers: count(result.added),
+      churned,
+      churnRate: startCount > 0 ? roundAmount(churned / startCount) : 0,
+      mrr: roundAmount(result.end[0] ? result.end[0].mrr : 0),
+    };
+  });
+}
+
+// New subscribers per month by subscription start date
+async function newSubscribers({ from, to }) {
+  const rows = await Customer.aggregate([
+    { $match: { subscriptionStartDate: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: "%Y-%m",
+            date: "$subscriptionStartDate",
+            timezone: "UTC",
+          },
+        },
+        subscribers: { $sum: 1 },
+        stillActive: {
+          $sum: {
+            $cond: [
+              { $eq: [{ $ifNull: [CHURNED_AT_EXPRESSION, null] }, null] },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  return rows.map((row) => ({
+    month: row._id,
+    subscribers: row.subscribers,
+    stillActive: row.stillActive,
+  }));
+}
+
+module.exports = {
+  toBillingPeriod,
+  monthsBetween,
+  billedVsCollected,
+  receivablesAging,
+  revenueBy,
+  paymentMethodMix,
+  mrrAndChurn,
+  newSubscribers,
+};
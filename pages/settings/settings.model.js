@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Setting schema; one document per key
+const SettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+const Setting = mongoose.model("Setting", SettingSchema);
+
+// Get a setting, or the default when it was never saved
+async function getSetting(key, defaultValue) {
+  const setting = await Setting.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+}
+
+// Save a setting
+async function setSetting(key, value, userId) {
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true }
+  ).lean();
+  return setting.value;
+}
+
+module.exports = {
+  Setting,
+  getSetting,
+  setSetting,
+};
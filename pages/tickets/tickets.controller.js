@@ -0,0 +1,436 @@
+const mongoose = require("mongoose");
+const {
+  TICKET_CATEGORIES,
+  TICKET_SOURCES,
+  TICKET_PRIORITIES,
+  TICKET_STATUSES,
+  TICKET_SORT_FIELDS,
+  OPEN_TICKET_STATUSES,
+  canChangeTicketStatus,
+  createTicket,
+  listTickets,
+  groupOpenTickets,
+  getTicketById,
+  updateTicket,
+  changeTicketStatus,
+  assignTicket,
+  addTicketComment,
+} = require("./tickets.model");
+const { findCustomerById } = require("../customers/customers.model");
+const { findUserById, getUserRole } = require("../auth/auth.model");
+const { hasPermission } = require("../../config/roles");
+const { parsePageParams, parseDateParam } = require("../../utils/pagination");
+const { recordAudit } = require("../audit/audit.model");
+
+// Validate ticket fields from a request body; returns an error message or
+// null. Only `category` and `subject` are required, and only on create.
+function validateTicketBody(body, options = {}) {
+  const { category, priority, subject } = body;
+
+  if (options.create && (!category || !subject)) {
+    return "category and subject are required";
+  }
+
+  if (category !== undefined && !TICKET_CATEGORIES.includes(category)) {
+    return `category must be one of: ${TICKET_CATEGORIES.join(", ")}`;
+  }
+
+  if (priority !== undefined && !TICKET_PRIORITIES.includes(priority)) {
+    return `priority must be one of: ${TICKET_PRIORITIES.join(", ")}`;
+  }
+
+  if (
+    subject !== undefined &&
+    !(typeof subject === "string" && subject.trim())
+  ) {
+    return "subject cannot be empty";
+  }
+
+  if (body.scheduledVisitAt !== null && parseVisitDate(body) === null) {
+    return "scheduledVisitAt must be a valid date";
+  }
+
+  return null;
+}
+
+// Find a staff member tickets can be assigned to; resolves to null when the
+// user does not exist or does not do field work
+async function findTechnician(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const user = await findUserById(id);
+  if (!user || !hasPermission(getUserRole(user), "tickets:work")) return null;
+  return user;
+}
+
+// Visit date from a request body: null clears it, undefined keeps it
+function parseVisitDate(body) {
+  if (body.scheduledVisitAt === null) return null;
+  return parseDateParam(body.scheduledVisitAt);
+}
+
+// Parse ticket list filters from query parameters; returns { error } or
+// { filters }. `assignedTo` takes a user ID, "me" or "none".
+function parseTicketFilters(query, userId) {
+  const { status, category, priority, source, customerId, city, slaBreached } =
+    query;
+
+  if (status && !TICKET_STATUSES.includes(status)) {
+    return {
+      error: `status must be one of: ${TICKET_STATUSES.join(", ")}`,
+    };
+  }
+
+  if (category && !TICKET_CATEGORIES.includes(category)) {
+    return {
+      error: `category must be one of: ${TICKET_CATEGORIES.join(", ")}`,
+    };
+  }
+
+  if (priority && !TICKET_PRIORITIES.includes(priority)) {
+    return {
+      error: `priority must be one of: ${TICKET_PRIORITIES.join(", ")}`,
+    };
+  }
+
+  if (source && !TICKET_SOURCES.includes(source)) {
+    return {
+      error: `source must be one of: ${TICKET_SOURCES.join(", ")}`,
+    };
+  }
+
+  if (customerId && !mongoose.isValidObjectId(customerId)) {
+    return { error: "customerId must be a valid ID" };
+  }
+
+  let assignedTo;
+  if (query.assignedTo === "me") {
+    assignedTo = userId;
+  } else if (query.assignedTo === "none") {
+    assignedTo = null;
+  } else if (query.assignedTo) {
+    if (!mongoose.isValidObjectId(query.assignedTo)) {
+      return { error: "assignedTo must be a user ID, me or none" };
+    }
+    assignedTo = query.assignedTo;
+  }
+
+  return {
+    filters: {
+      status,
+      category,
+      priority,
+      source,
+      customerId,
+      city,
+      assignedTo,
+      openOnly: query.open === "true",
+      slaBreached: slaBreached === "true",
+    },
+  };
+}
+
+// Get a page of tickets
+async function getTickets(req, res) {
+  try {
+    const { error, filters } = parseTicketFilters(req.query, req.userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = parsePageParams(req.query, {
+      sortFields: TICKET_SORT_FIELDS,
+      defaultSort: "-createdAt",
+    });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const tickets = await listTickets(filters, page);
+    res.json(tickets);
+  } catch (err) {
+    console.error("Error fetching tickets:", err);
+    res.status(500).json({ error: "Failed to load tickets" });
+  }
+}
+
+// Get open tickets per technician; unassigned tickets form their own group
+async function getOpenTicketsByTechnician(req, res) {
+  try {
+    const { error, filters } = parseTicketFilters(req.query, req.userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const groups = await groupOpenTickets("assignedTo", filters);
+    res.json(groups);
+  } catch (err) {
+    console.error("Error fetching open tickets by technician:", err);
+    res.status(500).json({ error: "Failed to load open tickets" });
+  }
+}
+
+// Get open tickets per city
+async function getOpenTicketsByCity(req, res) {
+  try {
+    const { error, filters } = parseTicketFilters(req.query, req.userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const groups = await groupOpenTickets("city", filters);
+    res.json(groups);
+  } catch (err) {
+    console.error("Error fetching open tickets by city:", err);
+    res.status(500).json({ error: "Failed to load open tickets" });
+  }
+}
+
+// Get ticket by ID
+async function getTicket(req, res) {
+  try {
+    const ticket = await getTicketById(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).json({ error: "Ticket not found" });
+    }
+
+    res.json(ticket);
+  } catch (err) {
+    console.error("Error fetching ticket:", err);
+    res.status(500).json({ error: "Failed to load ticket" });
+  }
+}
+
+// Create ticket
+async function addTicket(req, res) {
+  try {
+    const { customerId, category, priority, subject, description, assignedTo } =
+      req.body;
+
+    if (!customerId || !mongoose.isValidObjectId(customerId)) {
+      return res.status(400).json({ error: "A valid customerId is required" });
+    }
+
+    const error = validateTicketBody(req.body, { create: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const customer = await findCustomerById(customerId);
+    if (!customer) {
+      return res.status(400).json({ error: "Customer not found" });
+    }
+
+    if (assignedTo && !(await findTechnician(assignedTo))) {
+      return res.status(400).json({
+        error: "assignedTo must be a field technician",
+      });
+    }
+
+    const ticket = await createTicket({
+      customer,
+      category,
+      priority,
+      subject,
+      description,
+      assignedTo,
+      scheduledVisitAt: parseVisitDate(req.body),
+      userId: req.userId,
+    });
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      after: ticket,
+    });
+
+    res.status(201).json(ticket);
+  } catch (err) {
+    console.error("Error creating ticket:", err);
+    res.status(500).json({ error: "Failed to create ticket" });
+  }
+}
+
+// Update ticket details
+async function updateTicketById(req, res) {
+  try {
+    const { id } = req.params;
+    const { category, priority, subject, description } = req.body;
+
+    const error = validateTicketBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await getTicketById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Ticket not found" });
+    }
+
+    const ticket = await updateTicket(id, {
+      category,
+      priority,
+      subject,
+      description,
+      scheduledVisitAt: parseVisitDate(req.body),
+    });
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      before: existing,
+      after: ticket,
+    });
+
+    res.json(ticket);
+  } catch (err) {
+    console.error("Error updating ticket:", err);
+    res.status(500).json({ error: "Failed to update ticket" });
+  }
+}
+
+// Assign a ticket to a technician
+async function assignTicketById(req, res) {
+  try {
+    const { id } = req.params;
+    const { technicianId } = req.body;
+
+    const technician = await findTechnician(technicianId);
+    if (!technician) {
+      return res.status(400).json({
+        error: "technicianId must be a field technician",
+      });
+    }
+
+    const existing = await getTicketById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Ticket not found" });
+    }
+
+    if (!OPEN_TICKET_STATUSES.includes(existing.status)) {
+      return res.status(400).json({
+        error: `A ${existing.status.toLowerCase()} ticket cannot be assigned`,
+      });
+    }
+
+    const ticket = await assignTicket(id, technician._id, req.userId);
+    if (!ticket) {
+      return res.status(409).json({
+        error: "Ticket status changed in the meantime; reload and retry",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "assign",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      before: existing,
+      after: ticket,
+    });
+
+    res.json(ticket);
+  } catch (err) {
+    console.error("Error assigning ticket:", err);
+    res.status(500).json({ error: "Failed to assign ticket" });
+  }
+}
+
+// Move a ticket along its workflow, e.g. start work or resolve it
+async function changeTicketStatusById(req, res) {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${TICKET_STATUSES.join(", ")}`,
+      });
+    }
+
+    const existing = await getTicketById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Ticket not found" });
+    }
+
+    if (!canChangeTicketStatus(existing.status, status)) {
+      return res.status(400).json({
+        error: `A ticket cannot move from ${existing.status} to ${status}`,
+      });
+    }
+
+    if (status === "Assigned" && !existing.assignedTo) {
+      return res.status(400).json({
+        error: "Assign a technician to move the ticket to Assigned",
+      });
+    }
+
+    const ticket = await changeTicketStatus(id, existing.status, {
+      status,
+      note,
+      userId: req.userId,
+    });
+    if (!ticket) {
+      return res.status(409).json({
+        error: "Ticket status changed in the meantime; reload and retry",
+      });
+    }
+
+    await recordAudit(req, {
+      action: "status-change",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      before: existing,
+      after: ticket,
+      metadata: { from: existing.status, to: status, note },
+    });
+
+    res.json(ticket);
+  } catch (err) {
+    console.error("Error changing ticket status:", err);
+    res.status(500).json({ error: "Failed to change ticket status" });
+  }
+}
+
+// Add a comment to a ticket
+async function addComment(req, res) {
+  try {
+    const { id } = req.params;
+    const { body } = req.body;
+
+    if (!(typeof body === "string" && body.trim())) {
+      return res.status(400).json({ error: "Comment body is required" });
+    }
+
+    const ticket = await addTicketComment(id, { body, userId: req.userId });
+    if (!ticket) {
+      return res.status(404).json({ error: "Ticket not found" });
+    }
+
+    const comment = ticket.comments[ticket.comments.length - 1];
+    await recordAudit(req, {
+      action: "comment",
+      entityType: "Ticket",
+      entityId: ticket._id,
+      metadata: { commentId: comment._id, body: comment.body },
+    });
+
+    res.status(201).json(ticket);
+  } catch (err) {
+    console.error("Error adding ticket comment:", err);
+    res.status(500).json({ error: "Failed to add comment" });
+  }
+}
+
+module.exports = {
+  getTickets,
+  getOpenTicketsByTechnician,
+  getOpenTicketsByCity,
+  getTicket,
+  addTicket,
+  updateTicketById,
+  assignTicketById,
+  changeTicketStatusById,
+  addComment,
+};
@@ -0,0 +1,486 @@
+const mongoose = require("mongoose");
+const { nextSequence } = require("../counters/counters.model");
+const { paginate } = require("../../utils/pagination");
+const {
+  TICKET_SLA_HOURS,
+  TICKET_GROUP_LIMIT,
+  TICKET_NUMBER_PREFIX,
+  TICKET_NUMBER_PADDING,
+} = require("../../config/tickets");
+
+// Ticket categories and priorities
+const TICKET_CATEGORIES = [
+  "Installation",
+  "Repair",
+  "Outage",
+  "Relocation",
+  "Disconnection",
+  "Plan Change",
+  "Other",
+];
+const TICKET_PRIORITIES = ["Low", "Normal", "High", "Urgent"];
+
+// Who raised a ticket: staff, the customer through the portal, or the system
+const TICKET_SOURCES = ["staff", "portal", "system"];
+
+// Ticket statuses and the statuses each one can move to. Closed and
+// cancelled tickets are final; resolved ones can be reopened.
+const TICKET_STATUSES = [
+  "Open",
+  "Assigned",
+  "In Progress",
+  "On Hold",
+  "Resolved",
+  "Closed",
+  "Cancelled",
+];
+const TICKET_TRANSITIONS = {
+  Open: ["Assigned", "Cancelled"],
+  Assigned: ["Open", "In Progress", "On Hold", "Cancelled"],
+  "In Progress": ["On Hold", "Resolved"],
+  "On Hold": ["In Progress", "Cancelled"],
+  Resolved: ["Closed", "In Progress"],
+  Closed: [],
+  Cancelled: [],
+};
+
+// Statuses of tickets still being worked on
+const OPEN_TICKET_STATUSES = ["Open", "Assigned", "In Progress", "On Hold"];
+
+// Fields ticket lists can be sorted by
+const TICKET_SORT_FIELDS = ["createdAt", "slaDueAt", "scheduledVisitAt"];
+
+// Ticket schema
+const TicketSchema = new mongoose.Schema(
+  {
+    ticketNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    // City of the service address when the ticket was raised
+    city: {
+      type: String,
+      trim: true,
+    },
+    category: {
+      type: String,
+      enum: TICKET_CATEGORIES,
+      required: true,
+    },
+    priority: {
+      type: String,
+      enum: TICKET_PRIORITIES,
+      default: "Normal",
+    },
+    status: {
+      type: String,
+      enum: TICKET_STATUSES,
+      default: "Open",
+    },
+    source: {
+      type: String,
+      enum: TICKET_SOURCES,
+      default: "staff",
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    scheduledVisitAt: {
+      type: Date,
+      default: null,
+    },
+    slaDueAt: {
+      type: Date,
+      required: true,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    comments: [
+      {
+        authorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        body: { type: String, required: true, trim: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    statusHistory: [
+      {
+        _id: false,
+        status: { type: String, enum: TICKET_STATUSES },
+        note: String,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        changedAt: Date,
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes behind the per-customer, per-technician and per-city lists
+TicketSchema.index({ customerId: 1, createdAt: -1 });
+TicketSchema.index({ assignedTo: 1, status: 1 });
+TicketSchema.index({ city: 1, status: 1 });
+TicketSchema.index({ status: 1, slaDueAt: 1 });
+
+const Ticket = mongoose.model("Ticket", TicketSchema);
+
+// Related fields shown with tickets
+const TICKET_CUSTOMER_FIELDS =
+  "fullName contactNumber addressStreet addressCity addressZip landmark planType";
+const TICKET_USER_FIELDS = "username adminName";
+
+// Add related records to a ticket query
+function populateTicket(query) {
+  return query
+    .populate("customerId", TICKET_CUSTOMER_FIELDS)
+    .populate("assignedTo", TICKET_USER_FIELDS)
+    .populate("comments.authorId", TICKET_USER_FIELDS);
+}
+
+// SLA due time of a ticket raised at `openedAt` with a priority. A ticket
+// with a visit scheduled later is counted from the visit, since no work can
+// be done on it before then.
+function computeSlaDueAt(openedAt, priority, scheduledVisitAt = null) {
+  const hours = TICKET_SLA_HOURS[priority] || TICKET_SLA_HOURS.Normal;
+  const startsAt = Math.max(
+    new Date(openedAt).getTime(),
+    scheduledVisitAt ? new Date(scheduledVisitAt).getTime() : 0
+  );
+  return new Date(startsAt + hours * 60 * 60 * 1000);
+}
+
+// Attach whether the ticket is past its SLA due time
+function withSla(ticket, now = new Date()) {
+  if (!ticket) return ticket;
+  const data = ticket.toObject ? ticket.toObject() : ticket;
+  const finishedAt = data.resolvedAt || data.closedAt;
+  const checkedAt = finishedAt || (data.status === "Cancelled" ? null : now);
+  return {
+    ...data,
+    slaBreached: Boolean(checkedAt && checkedAt > new Date(data.slaDueAt)),
+  };
+}
+
+// Whether a ticket can move from one status to another
+function canChangeTicketStatus(from, to) {
+  return (TICKET_TRANSITIONS[from] || []).includes(to);
+}
+
+// Next ticket number
+async function generateTicketNumber() {
+  const seq = await nextSequence("ticket");
+  const number = String(seq).padStart(TICKET_NUMBER_PADDING, "0");
+  return `${TICKET_NUMBER_PREFIX}-${number}`;
+}
+
+// Create ticket for a customer
+async function createTicket(data) {
+  const now = new Date();
+  const priority = data.priority || "Normal";
+  const status = data.assignedTo ? "Assigned" : "Open";
+  const ticket = new Ticket({
+    customerId: data.customer._id,
+    city: data.customer.addressCity,
+    category: data.category,
+    priority,
+    status,
+    source: data.source || "staff",
+    subject: data.subject,
+    description: data.description,
+    assignedTo: data.assignedTo || null,
+    scheduledVisitAt: data.scheduledVisitAt || null,
+    slaDueAt: computeSlaDueAt(now, priority, data.scheduledVisitAt),
+    statusHistory: [{ status, changedBy: data.userId, changedAt: now }],
+    createdBy: data.userId,
+  });
+  await ticket.validate({ pathsToSkip: ["ticketNumber"] });
+  ticket.ticketNumber = await generateTicketNumber();
+  await ticket.save();
+  return getTicketById(ticket._id);
+}
+
+// Open the installation ticket of a new subscriber, with the visit
+// scheduled for the subscription start date when that is still ahead
+async function createInstallationTicket(customer, userId) {
+  const startDate = new Date(customer.subscriptionStartDate);
+  const address = [
+    customer.addressStreet,
+    customer.addressCity,
+    customer.addressZip,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return createTicket({
+    customer,
+    category: "Installation",
+    priority: "Normal",
+    source: "system",
+    subject: `Installation for ${customer.fullName}`,
+    description: [
+      `${customer.planType} plan (${customer.bandwidthMbps} Mbps)`,
+      `Address: ${address}`,
+      customer.landmark ? `Landmark: ${customer.landmark}` : null,
+      `Contact: ${customer.contactNumber}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    scheduledVisitAt: startDate > new Date() ? startDate : null,
+    userId,
+  });
+}
+
+// Latest open ticket of a customer in a category, or null
+async function findOpenTicket(customerId, category) {
+  return Ticket.findOne({
+    customerId,
+    category,
+    status: { $in: OPEN_TICKET_STATUSES },
+  })
+    .sort({ createdAt: -1 })
+    .select("-comments")
+    .lean();
+}
+
+// Query matching the ticket list filters
+function buildTicketQuery(filters = {}) {
+  const query = {};
+  if (filters.openOnly) query.status = { $in: OPEN_TICKET_STATUSES };
+  if (filters.status) query.status = filters.status;
+  if (filters.category) query.category = filters.category;
+  if (filters.priority) query.priority = filters.priority;
+  if (filters.source) query.source = filters.source;
+  if (filters.customerId) query.customerId = filters.customerId;
+  if (filters.assignedTo !== undefined) query.assignedTo = filters.assignedTo;
+  if (filters.city) query.city = filters.city;
+  if (filters.slaBreached) {
+    query.status = { $in: OPEN_TICKET_STATUSES };
+    query.slaDueAt = { $lt: new Date() };
+  }
+  return query;
+}
+
+// Get a page of tickets matching the filters
+async function listTickets(filters = {}, page) {
+  const result = await paginate(Ticket, buildTicketQuery(filters), page, (q) =>
+    q
+      .select("-comments -statusHistory")
+      .populate("customerId", TICKET_CUSTOMER_FIELDS)
+      .populate("assignedTo", TICKET_USER_FIELDS)
+  );
+  return { ...result, items: result.items.map((ticket) => withSla(ticket)) };
+}
+
+// Open tickets grouped by `field` ("assignedTo" or "city"). Each group counts
+// all its open tickets but lists only the first `limit` by SLA due time.
+// Groups with the most open tickets come first.
+async function groupOpenTickets(
+  field,
+  filters = {},
+  limit = TICKET_GROUP_LIMIT
+) {
+  const now = new Date();
+  // Cast by hand, since aggregate() leaves IDs in the filters as strings
+  const match = Ticket.find(
+    buildTicketQuery({ ...filters, openOnly: true })
+  ).cast(Ticket);
+
+  const rows = await Ticket.aggregate([
+    { $match: match },
+    { $sort: { slaDueAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: `$${field}`,
+        open: { $sum: 1 },
+        slaBreached: { $sum: { $cond: [{ $lt: ["$slaDueAt", now] }, 1, 0] } },
+        ticketIds: { $push: "$_id" },
+      },
+    },
+    {
+      $project: {
+        open: 1,
+        slaBreached: 1,
+        ticketIds: { $slice: ["$ticketIds", limit] },
+      },
+    },
+  ]);
+
+  const tickets = await Ticket.find({
+    _id: { $in: rows.flatMap((row) => row.ticketIds) },
+  })
+    .select("-comments -statusHistory")
+    .populate("customerId", TICKET_CUSTOMER_FIELDS)
+    .populate("assignedTo", TICKET_USER_FIELDS)
+    .sort({ slaDueAt: 1, _id: 1 })
+    .lean();
+
+  const ticketsByGroup = new Map();
+  for (const ticket of tickets) {
+    const value = ticket[field];
+    const key = value && value._id ? String(value._id) : String(value || "");
+    if (!ticketsByGroup.has(key)) ticketsByGroup.set(key, []);
+    ticketsByGroup.get(key).push(withSla(ticket, now));
+  }
+
+  return rows
+    .map((row) => {
+      const groupTickets = ticketsByGroup.get(String(row._id || "")) || [];
+      return {
+        [field === "city" ? "city" : "technician"]: groupTickets.length
+          ? groupTickets[0][field] || null
+          : row._id || null,
+        open: row.open,
+        slaBreached: row.slaBreached,
+        tickets: groupTickets,
+      };
+    })
+    .sort((a, b) => b.open - a.open);
+}
+
+// Get ticket by ID
+async function getTicketById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const ticket = await populateTicket(Ticket.findById(id)).lean();
+  return withSla(ticket);
+}
+
+// Update ticket details; fields left undefined are kept. A priority change
+// or a new visit date moves the SLA due time.
+async function updateTicket(id, data) {
+  const ticket = await Ticket.findById(id);
+  if (!ticket) return null;
+
+  for (const field of ["category", "subject", "description"]) {
+    if (data[field] !== undefined) ticket[field] = data[field];
+  }
+  if (data.scheduledVisitAt !== undefined) {
+    ticket.scheduledVisitAt = data.scheduledVisitAt;
+  }
+  if (data.priority) ticket.priority = data.priority;
+  if (ticket.isModified("priority") || ticket.isModified("scheduledVisitAt")) {
+    ticket.slaDueAt = computeSlaDueAt(
+      ticket.createdAt,
+      ticket.priority,
+      ticket.scheduledVisitAt
+    );
+  }
+
+  await ticket.save();
+  return getTicketById(id);
+}
+
+// Fields set when a ticket enters a status
+function statusFields(status, now) {
+  if (status === "Resolved") return { resolvedAt: now };
+  if (status === "Closed") return { closedAt: now };
+  if (status === "In Progress") return { resolvedAt: null };
+  return {};
+}
+
+// Move a ticket from `from` to another status. Resolves to null when the
+// ticket is no longer in `from`, e.g. because it changed in the meantime.
+async function changeTicketStatus(id, from, change) {
+  const now = new Date();
+  const update = {
+    status: change.status,
+    ...statusFields(change.status, now),
+    $push: {
+      statusHistory: {
+        status: change.status,
+        note: change.note,
+        changedBy: change.userId,
+        changedAt: now,
+      },
+    },
+  };
+  if (change.status === "Open") update.assignedTo = null;
+
+  const ticket = await Ticket.findOneAndUpdate(
+    { _id: id, status: from },
+    update,
+    { new: true }
+  );
+  return ticket ? getTicketById(ticket._id) : null;
+}
+
+// Assign a ticket to a technician; open tickets become assigned
+async function assignTicket(id, technicianId, userId) {
+  const ticket = await Ticket.findOneAndUpdate(
+    { _id: id, status: { $in: OPEN_TICKET_STATUSES } },
+    { assignedTo: technicianId },
+    { new: true }
+  );
+  if (!ticket) return null;
+
+  if (ticket.status === "Open") {
+    const assigned = await changeTicketStatus(id, "Open", {
+      status: "Assigned",
+      userId,
+      note: "Assigned to technician",
+    });
+    if (assigned) return assigned;
+  }
+  return getTicketById(ticket._id);
+}
+
+// Add a comment to a ticket
+async function addTicketComment(id, data) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const ticket = await Ticket.findByIdAndUpdate(
+    id,
+    {
+      $push: {
+        comments: { authorId: data.userId, body: data.body },
+      },
+    },
+    { new: true }
+  );
+  return ticket ? getTicketById(ticket._id) : null;
+}
+
+module.exports = {
+  Ticket,
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_SOURCES,
+  TICKET_STATUSES,
+  OPEN_TICKET_STATUSES,
+  TICKET_SORT_FIELDS,
+  canChangeTicketStatus,
+  createTicket,
+  createInstallationTicket,
+  findOpenTicket,
+  listTickets,
+  groupOpenTickets,
+  getTicketById,
+  updateTicket,
+  changeTicketStatus,
+  assignTicket,
+  addTicketComment,
+};
@@ -0,0 +1,73 @@
+const express = require("express");
+const {
+  getTickets,
+  getOpenTicketsByTechnician,
+  getOpenTicketsByCity,
+  getTicket,
+  addTicket,
+  updateTicketById,
+  assignTicketById,
+  changeTicketStatusById,
+  addComment,
+} = require("./tickets.controller");
+const authenticateToken = require("../../middleware/auth");
+const requirePermission = require("../../middleware/permissions");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission("tickets:read"),
+  getTickets
+);
+router.get(
+  "/open/by-technician",
+  authenticateToken,
+  requirePermission("tickets:read"),
+  getOpenTicketsByTechnician
+);
+router.get(
+  "/open/by-city",
+  authenticateToken,
+  requirePermission("tickets:read"),
+  getOpenTicketsByCity
+);
+router.get(
+  "/:id",
+  authenticateToken,
+  requirePermission("tickets:read"),
+  getTicket
+);
+router.post(
+  "/",
+  authenticateToken,
+  requirePermission("tickets:write"),
+  addTicket
+);
+router.put(
+  "/:id",
+  authenticateToken,
+  requirePermission("tickets:write"),
+  updateTicketById
+);
+router.post(
+  "/:id/assign",
+  authenticateToken,
+  requirePermission("tickets:write"),
+  assignTicketById
+);
+router.post(
+  "/:id/status",
+  authenticateToken,
+  requirePermission("tickets:write"),
+  changeTicketStatusById
+);
+router.post(
+  "/:id/comments",
+  authenticateToken,
+  requirePermission("tickets:write"),
+  addComment
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// Remove duplicate subscription invoices for the same customer and billing
+// period, so the unique index on { customerId, billingPeriod } can be built.
+// Fee invoices are left alone. Invoices need a kind first, so this refuses to
+// run until `npm run migrate-invoice-kinds` has been. Of each set of
+// duplicates the invoice that was paid, or else the oldest one, is kept.
+// Duplicates that were paid or exported to accounting are only reported and
+// must be resolved by hand before running this again.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { Invoice } = require("../pages/invoices/invoices.model");
+
+// Rank invoices by how much should be kept: live before void or deleted,
+// then the most paid, then the oldest
+function compareForKeeping(a, b) {
+  const aLive = a.status !== "Void" && !a.deletedAt;
+  const bLive = b.status !== "Void" && !b.deletedAt;
+  if (aLive !== bLive) return aLive ? -1 : 1;
+  if ((a.amountPaid || 0) !== (b.amountPaid || 0)) {
+    return (b.amountPaid || 0) - (a.amountPaid || 0);
+  }
+  return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+async function dedupeInvoices() {
+  await connectDB();
+
+  if (await Invoice.exists({ kind: { $exists: false } })) {
+    console.error(
+      "Some invoices have no kind yet; run `npm run migrate-invoice-kinds` first"
+    );
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const groups = await Invoice.aggregate([
+    { $match: { kind: "Subscription" } },
+    {
+      $group: {
+        _id: { customerId: "$customerId", billingPeriod: "$billingPeriod" },
+        ids: { $push: "$_id" },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]);
+
+  let removed = 0;
+  let unresolved = 0;
+  for (const group of groups) {
+    const invoices = await Invoice.find({ _id: { $in: group.ids } }).lean();
+    const [kept, ...duplicates] = invoices.sort(compareForKeeping);
+
+    for (const invoice of duplicates) {
+      if ((invoice.amountPaid || 0) > 0 || invoice.exportBatchId) {
+        console.warn(
+          `Invoice ${invoice.invoiceNumber} duplicates ${kept.invoiceNumber} for ${group._id.billingPeriod} but was paid or exported; resolve it by hand`
+        );
+        unresolved++;
+        continue;
+      }
+
+      await Invoice.deleteOne({ _id: invoice._id });
+      console.log(
+        `Removed invoice ${invoice.invoiceNumber}, a duplicate of ${kept.invoiceNumber}`
+      );
+      removed++;
+    }
+  }
+
+  console.log(
+    `Removed ${removed} duplicate invoices from ${groups.length} customer billing periods`
+  );
+
+  if (unresolved > 0) {
+    console.error(
+      `${unresolved} duplicates need to be resolved by hand before the unique index can be built`
+    );
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  await Invoice.createIndexes();
+  console.log("Invoice indexes are up to date");
+  await mongoose.disconnect();
+}
+
+dedupeInvoices().catch((err) => {
+  console.error("Invoice deduplication failed:", err);
+  process.exit(1);
+});
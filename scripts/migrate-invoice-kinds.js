@@ -0,0 +1,56 @@
+// Give every invoice without a kind one, and replace the unique index on
+// { customerId, billingPeriod } with one that only covers subscription
+// invoices. Invoices that only bill a reconnection fee are fee invoices;
+// everything else is the period's subscription invoice.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { Invoice } = require("../pages/invoices/invoices.model");
+
+// Unique index from before fee invoices had their own kind
+const LEGACY_INDEX = "customerId_1_billingPeriod_1";
+
+async function migrateInvoiceKinds() {
+  await connectDB();
+
+  const fees = await Invoice.updateMany(
+    {
+      kind: { $exists: false },
+      "lineItems.0": { $exists: true },
+      lineItems: { $not: { $elemMatch: { type: { $ne: "reconnection" } } } },
+    },
+    { $set: { kind: "Reconnection Fee" } }
+  );
+  const subscriptions = await Invoice.updateMany(
+    { kind: { $exists: false } },
+    { $set: { kind: "Subscription" } }
+  );
+  console.log(
+    `Marked ${fees.modifiedCount} reconnection fee and ${subscriptions.modifiedCount} subscription invoices`
+  );
+
+  const indexes = await Invoice.collection.indexes();
+  if (indexes.some((index) => index.name === LEGACY_INDEX)) {
+    await Invoice.collection.dropIndex(LEGACY_INDEX);
+    console.log(`Dropped index ${LEGACY_INDEX}`);
+  }
+
+  try {
+    await Invoice.createIndexes();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    console.error(
+      "Some customers have more than one subscription invoice for a billing period; run `npm run dedupe-invoices`"
+    );
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  console.log("Invoice indexes are up to date");
+  await mongoose.disconnect();
+}
+
+migrateInvoiceKinds().catch((err) => {
+  console.error("Invoice kind migration failed:", err);
+  process.exit(1);
+});
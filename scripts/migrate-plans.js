@@ -0,0 +1,62 @@
+// Seed the plan catalog from the plans that used to be hard-coded and link
+// existing customers and their plan history to them by plan name.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { Plan } = require("../pages/plans/plans.model");
+const { Customer } = require("../pages/customers/customers.model");
+
+const LEGACY_PLANS = [
+  { name: "Basic", bandwidthMbps: 10, monthlyFee: 800 },
+  { name: "Standard", bandwidthMbps: 50, monthlyFee: 1100 },
+  { name: "Premium", bandwidthMbps: 100, monthlyFee: 1400 },
+];
+
+async function migratePlans() {
+  await connectDB();
+
+  const plansByName = new Map();
+  for (const legacy of LEGACY_PLANS) {
+    let plan = await Plan.findOne({ name: legacy.name });
+    if (!plan) {
+      // Legacy prices applied from the start, so old periods bill the same
+      plan = await Plan.create({
+        ...legacy,
+        effectiveFrom: new Date(0),
+        priceHistory: [
+          { monthlyFee: legacy.monthlyFee, effectiveFrom: new Date(0) },
+        ],
+      });
+      console.log(`Created plan ${plan.name}`);
+    }
+    plansByName.set(plan.name, plan);
+  }
+
+  const customers = await Customer.find({ planId: { $exists: false } });
+  let linked = 0;
+  for (const customer of customers) {
+    const plan = plansByName.get(customer.planType);
+    if (!plan) {
+      console.warn(
+        `Customer ${customer._id} has unknown plan "${customer.planType}"`
+      );
+      continue;
+    }
+
+    customer.planId = plan._id;
+    for (const entry of customer.planHistory) {
+      const entryPlan = plansByName.get(entry.planType);
+      if (entryPlan) entry.planId = entryPlan._id;
+    }
+    await customer.save();
+    linked++;
+  }
+
+  console.log(`Linked ${linked} of ${customers.length} customers to plans`);
+  await mongoose.disconnect();
+}
+
+migratePlans().catch((err) => {
+  console.error("Plan migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Give every user without a role an explicit one. Accounts created before
+// roles existed were all admins, so they get "admin" unless another role is
+// passed: `npm run migrate-roles -- auditor`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { ROLES } = require("../config/roles");
+const { User } = require("../pages/auth/auth.model");
+
+async function migrateRoles() {
+  const role = process.argv[2] || "admin";
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  await connectDB();
+
+  const users = await User.find({ role: { $in: [null, ""] } })
+    .select("username")
+    .lean();
+  for (const user of users) {
+    await User.updateOne({ _id: user._id }, { role });
+    console.log(`Gave ${user.username} the ${role} role`);
+  }
+
+  console.log(`Assigned roles to ${users.length} users`);
+  await mongoose.disconnect();
+}
+
+migrateRoles().catch((err) => {
+  console.error("Role migration failed:", err);
+  process.exit(1);
+});
@@ -2,14 +2,36 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const connectDB = require("./config/db");
+const { TRUST_PROXY } = require("./config/auth");
+const { getAdapter } = require("./pages/provisioning/provisioning.adapters");
+const { getGateway } = require("./pages/checkout/checkout.gateways");
+const { PAYMENT_GATEWAY_ENABLED } = require("./config/payments");
+const startOverdueJob = require("./jobs/overdue");
+const startRemindersJob = require("./jobs/reminders");
+const startSuspensionsJob = require("./jobs/suspensions");
+const startProvisioningJob = require("./jobs/provisioning");
+const startPlanPricesJob = require("./jobs/plan-prices");
 
 const customersRoutes = require("./pages/customers/customers.routes");
 const authRoutes = require("./pages/auth/auth.routes");
 const invoicesRoutes = require("./pages/invoices/invoices.routes");
+const plansRoutes = require("./pages/plans/plans.routes");
+const discountsRoutes = require("./pages/discounts/discounts.routes");
+const notificationsRoutes = require("./pages/notifications/notifications.routes");
+const auditRoutes = require("./pages/audit/audit.routes");
+const reportsRoutes = require("./pages/reports/reports.routes");
+const accountingRoutes = require("./pages/accounting/accounting.routes");
+const provisioningRoutes = require("./pages/provisioning/provisioning.routes");
+const ticketsRoutes = require("./pages/tickets/tickets.routes");
+const portalRoutes = require("./pages/portal/portal.routes");
+const checkoutRoutes = require("./pages/checkout/checkout.routes");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// req.ip is the client address, not the proxy's, behind a reverse proxy
+app.set("trust proxy", TRUST_PROXY);
+
 // Middleware
 app.use(
   cors({
@@ -18,7 +40,14 @@ app.use(
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
-app.use(express.json());
+// The raw body is kept for checking payment webhook signatures
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Routes
 app.get("/api/health", (req, res) => {
@@ -28,6 +57,19 @@ app.get("/api/health", (req, res) => {
 app.use("/api/customers", customersRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/invoices", invoicesRoutes);
+app.use("/api/plans", plansRoutes);
+app.use("/api/discounts", discountsRoutes);
+app.use("/api/notifications", notificationsRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/reports", reportsRoutes);
+app.use("/api/accounting", accountingRoutes);
+app.use("/api/provisioning", provisioningRoutes);
+app.use("/api/tickets", ticketsRoutes);
+app.use("/api/portal", portalRoutes);
+// Online payments only exist while a gateway is chosen
+if (PAYMENT_GATEWAY_ENABLED) {
+  app.use("/api/checkout", checkoutRoutes);
+}
 
 app.use("/api", (req, res) => {
   res.status(404).json({ error: "Not found" });
@@ -36,7 +78,17 @@ app.use("/api", (req, res) => {
 // Start server
 async function startServer() {
   try {
+    // A missing or unknown adapter, or a misconfigured gateway, stops the
+    // server here rather than failing every provisioning push or checkout
+    // later
+    getAdapter();
+    if (PAYMENT_GATEWAY_ENABLED) getGateway();
     await connectDB();
+    startOverdueJob();
+    startRemindersJob();
+    startSuspensionsJob();
+    startProvisioningJob();
+    startPlanPricesJob();
     app.listen(PORT, () => {
       console.log(`Backend server running on port ${PORT}`);
     });
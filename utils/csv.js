@@ -0,0 +1,83 @@
+// Quote a CSV value when needed. Text that a spreadsheet would run as a
+// formula is prefixed with an apostrophe.
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Build CSV text from column definitions, e.g. { header: "Amount", value:
+// (row) => row.amount }, and rows
+function toCsv(columns, rows) {
+  let csv = toCsvLine(columns.map((column) => column.header));
+  for (const row of rows) {
+    csv += toCsvLine(columns.map((column) => column.value(row)));
+  }
+  return csv;
+}
+
+// Build one CSV line from values
+function toCsvLine(values) {
+  return values.map(escapeCsvValue).join(",") + "\r\n";
+}
+
+// Parse CSV text into rows of strings. Handles quoted fields with commas,
+// doubled quotes and line breaks; a leading byte order mark is ignored.
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter((values) => values.some((value) => value.trim() !== ""));
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  toCsvLine,
+  parseCsv,
+};
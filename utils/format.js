@@ -0,0 +1,26 @@
+const { CURRENCY } = require("../config/company");
+
+// Format an amount of money, e.g. "PHP 1,234.50"
+function formatMoney(value) {
+  const amount = Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${CURRENCY} ${amount}`;
+}
+
+// Format a date, e.g. "Jun 30, 2025"
+function formatDate(value) {
+  if (!value) return "";
+  return new Date(value).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+module.exports = {
+  formatMoney,
+  formatDate,
+};
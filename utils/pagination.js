@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Parse `limit`, `sort` and `cursor` query parameters. `sort` is a field name,
+// prefixed with "-" for descending order, and must be one of `sortFields`.
+// Returns { error } when a parameter is invalid.
+function parsePageParams(query, { sortFields, defaultSort }) {
+  const sortParam = String(query.sort || defaultSort);
+  const direction = sortParam.startsWith("-") ? -1 : 1;
+  const field = sortParam.replace(/^-/, "");
+
+  if (!sortFields.includes(field)) {
+    const fields = sortFields.join(", ");
+    return {
+      error: `sort must be one of: ${fields} (prefix with - for descending)`,
+    };
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: "limit must be a positive whole number" };
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.field !== field) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  return { limit, sort: { field, direction }, cursor };
+}
+
+// Cursor pointing just after a document in the given sort order
+function encodeCursor(doc, field) {
+  const value = doc[field];
+  const payload = {
+    field,
+    value: value instanceof Date ? value.toISOString() : value ?? null,
+    date: value instanceof Date,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// Decode a cursor; returns null when it is malformed
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (!payload.field || !mongoose.isValidObjectId(payload.id)) return null;
+    return {
+      field: payload.field,
+      value: payload.date ? new Date(payload.value) : payload.value ?? null,
+      id: new mongoose.Types.ObjectId(payload.id),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Condition matching the documents after a cursor. Ties on the sort field are
+// broken by _id so that no document is skipped or repeated. Missing and null
+// values sort before every other value, and comparisons with null match
+// nothing, so they are handled apart.
+function afterCursor(cursor, sort) {
+  const { field } = sort;
+  const op = sort.direction === 1 ? "$gt" : "$lt";
+  const ties = { [field]: cursor.value, _id: { [op]: cursor.id } };
+
+  if (cursor.value === null) {
+    return sort.direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, ties] }
+      : ties;
+  }
+
+  const after = [{ [field]: { [op]: cursor.value } }, ties];
+  if (sort.direction === -1) after.push({ [field]: null });
+  return { $or: after };
+}
+
+// Fetch one page of a query. `configure` can add populate or select calls.
+// Resolves to { items, total, limit, nextCursor, hasMore }; `total` counts
+// every match, not just this page.
+async function paginate(model, query, page, configure = (q) => q) {
+  const { limit, sort, cursor } = page;
+  const pageQuery = cursor
+    ? { $and: [query, afterCursor(cursor, sort)] }
+    : query;
+
+  const [docs, total] = await Promise.all([
+    configure(
+      model
+        .find(pageQuery)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1)
+    ).lean(),
+    model.countDocuments(query),
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    total,
+    limit,
+    nextCursor: hasMore ? encodeCursor(last, sort.field) : null,
+    hasMore,
+  };
+}
+
+// Escape text for use inside a regular expression
+function escapePattern(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Regular expression matching fields that start with `text`. Being anchored,
+// it is answered from an index on the field instead of scanning every
+// document; a case-sensitive one reads only the matching index range.
+function prefixPattern(text, options = {}) {
+  return new RegExp(`^${escapePattern(text)}`, options.ignoreCase ? "i" : "");
+}
+
+// Case-insensitive regular expression matching exactly `text`
+function exactPattern(text) {
+  return new RegExp(`^${escapePattern(text)}$`, "i");
+}
+
+// Parse an optional date query parameter; returns null when it is invalid.
+// With `endOfDay`, a plain YYYY-MM-DD date covers that whole day.
+function parseDateParam(value, options = {}) {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (options.endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return date;
+}
+
+// Date range condition from optional bounds, or undefined without bounds
+function dateRange(from, to) {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageParams,
+  paginate,
+  escapePattern,
+  prefixPattern,
+  exactPattern,
+  parseDateParam,
+  dateRange,
+};
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+let transactionsSupported;
+
+// Whether the connected server can run multi-document transactions. Replica
+// sets and sharded clusters can; a standalone mongod cannot.
+async function supportsTransactions() {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === "isdbgrid";
+    if (!transactionsSupported) {
+      console.warn(
+        "MongoDB is running standalone, so writes that should be atomic run without a transaction. Run it as a replica set in production."
+      );
+    }
+  }
+  return transactionsSupported;
+}
+
+// Run `fn(session)` in a transaction, or with a null session when the server
+// does not support transactions
+async function withTransaction(fn) {
+  if (!(await supportsTransactions())) return fn(null);
+  return mongoose.connection.transaction(fn);
+}
+
+module.exports = {
+  supportsTransactions,
+  withTransaction,
+};